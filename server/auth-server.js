@@ -0,0 +1,275 @@
+// auth-server.js
+
+/**
+ * LOCAL REFERENCE AUTH SERVER
+ * A dependency-free Node server implementing the auth protocol the app's HTTP
+ * adapter speaks (src/AuthClient.js), so the login flow can run fully offline.
+ *
+ *   npm run auth-server
+ *   REACT_APP_AUTH_ADAPTER=http npm start
+ *
+ * Every endpoint takes a JSON POST body and answers
+ * { status: "success", ... } or { status: "error", message }:
+ *   POST /api/auth/register                { email, passwordHash, remember } -> { token, expiresAt }
+ *   POST /api/auth/login                   { email, passwordHash, remember } -> { token, expiresAt }
+ *   POST /api/auth/logout                  { token }
+ *   POST /api/auth/session                 { token } -> { email, expiresAt }
+ *   POST /api/auth/change-password         { token, email, currentPasswordHash, newPasswordHash }
+ *   POST /api/auth/reset-password/request  { email }   (the code is printed to this console)
+ *   POST /api/auth/reset-password/confirm  { email, code, newPasswordHash }
+ *
+ * The browser sends SHA-256 hashes, never passwords; they are stored salted
+ * with scrypt. Accounts live in memory, or in the JSON file named by
+ * AUTH_DATA_FILE; sessions and reset codes are always in memory only.
+ * Settings (environment): PORT (4000), ALLOWED_ORIGIN (http://localhost:3000), AUTH_DATA_FILE.
+ * This is a development server: it does not use HTTPS or send emails.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+
+const PORT = Number(process.env.PORT) || 4000;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "http://localhost:3000";
+const DATA_FILE = process.env.AUTH_DATA_FILE || null;
+const BASE_PATH = "/api/auth";
+
+const SESSION_MS = 8 * 60 * 60 * 1000;
+const REMEMBERED_SESSION_MS = 30 * 24 * 60 * 60 * 1000;
+const RESET_CODE_MS = 15 * 60 * 1000;
+const MAX_RESET_ATTEMPTS = 5;
+// Failed logins per email before it is locked, and for how long
+const MAX_LOGIN_FAILURES = 6;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+const MAX_BODY_BYTES = 10 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// email -> { salt, hash, createdAt }
+const users = new Map();
+// token -> { email, expiresAt }
+const sessions = new Map();
+// email -> { code, expiresAt, attempts }
+const resets = new Map();
+// email -> { failures, lockedUntil }
+const loginFailures = new Map();
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// --- Account storage ---
+
+const loadUsers = () => {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+  const saved = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  Object.entries(saved).forEach(([email, user]) => users.set(email, user));
+  console.log(`[auth-server] Loaded ${users.size} account(s) from ${DATA_FILE}.`);
+};
+
+const saveUsers = () => {
+  if (!DATA_FILE) return;
+  fs.writeFileSync(DATA_FILE, JSON.stringify(Object.fromEntries(users), null, 2));
+};
+
+const hashSecret = (passwordHash, salt) => crypto.scryptSync(passwordHash, salt, 64).toString("hex");
+
+const setPassword = (email, passwordHash) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  users.set(email, { ...users.get(email), salt, hash: hashSecret(passwordHash, salt) });
+  saveUsers();
+};
+
+const checkPassword = (email, passwordHash) => {
+  const user = users.get(email);
+  // Unknown emails cost the same work as known ones
+  const expected = Buffer.from(user ? user.hash : "0".repeat(128), "hex");
+  const actual = Buffer.from(hashSecret(passwordHash, user ? user.salt : "unknown"), "hex");
+  return crypto.timingSafeEqual(expected, actual) && Boolean(user);
+};
+
+const startSession = (email, remember) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = Date.now() + (remember ? REMEMBERED_SESSION_MS : SESSION_MS);
+  sessions.set(token, { email, expiresAt });
+  return { token, expiresAt };
+};
+
+const endSessionsOf = (email) => {
+  sessions.forEach((session, token) => {
+    if (session.email === email) sessions.delete(token);
+  });
+};
+
+// --- Input validation ---
+
+const requireEmail = (body) => {
+  const email = String(body.email || "").trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) throw new HttpError(400, "A valid email address is required.");
+  return email;
+};
+
+const requireHash = (body, field) => {
+  const value = String(body[field] || "");
+  if (!HASH_PATTERN.test(value)) throw new HttpError(400, `${field} must be a SHA-256 hex digest.`);
+  return value;
+};
+
+// --- Endpoints ---
+
+const routes = {
+  "/register": (body) => {
+    const email = requireEmail(body);
+    const passwordHash = requireHash(body, "passwordHash");
+    if (users.has(email)) throw new HttpError(409, "An account with this email already exists.");
+    users.set(email, { createdAt: Date.now() });
+    setPassword(email, passwordHash);
+    console.log(`[auth-server] Registered ${email}.`);
+    return startSession(email, body.remember);
+  },
+
+  "/login": (body) => {
+    const email = requireEmail(body);
+    const passwordHash = requireHash(body, "passwordHash");
+    const record = loginFailures.get(email);
+    if (record && record.lockedUntil > Date.now()) {
+      throw new HttpError(429, "Too many failed attempts. Please try again later.");
+    }
+    if (!checkPassword(email, passwordHash)) {
+      // Counting starts over once a lock has run out
+      const failures = (record && !record.lockedUntil ? record.failures : 0) + 1;
+      loginFailures.set(email, { failures, lockedUntil: failures >= MAX_LOGIN_FAILURES ? Date.now() + LOGIN_LOCK_MS : 0 });
+      throw new HttpError(401, "Incorrect email or password.");
+    }
+    loginFailures.delete(email);
+    return startSession(email, body.remember);
+  },
+
+  "/logout": (body) => {
+    sessions.delete(String(body.token || ""));
+    return {};
+  },
+
+  // A stored session is only restored by the app once its token checks out here
+  "/session": (body) => {
+    const session = sessions.get(String(body.token || ""));
+    if (!session || session.expiresAt < Date.now()) throw new HttpError(401, "Your session has expired. Please log in again.");
+    return { email: session.email, expiresAt: session.expiresAt };
+  },
+
+  "/change-password": (body) => {
+    const email = requireEmail(body);
+    const currentPasswordHash = requireHash(body, "currentPasswordHash");
+    const newPasswordHash = requireHash(body, "newPasswordHash");
+    const session = sessions.get(String(body.token || ""));
+    if (!session || session.email !== email || session.expiresAt < Date.now()) {
+      throw new HttpError(401, "Your session has expired. Please log in again.");
+    }
+    if (!checkPassword(email, currentPasswordHash)) throw new HttpError(403, "The current password is not correct.");
+    setPassword(email, newPasswordHash);
+    // Other devices have to log in with the new password
+    const keep = body.token;
+    endSessionsOf(email);
+    sessions.set(keep, session);
+    console.log(`[auth-server] Password changed for ${email}.`);
+    return {};
+  },
+
+  "/reset-password/request": (body) => {
+    const email = requireEmail(body);
+    // Same answer for unknown emails, so accounts cannot be discovered
+    if (users.has(email)) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      resets.set(email, { code, expiresAt: Date.now() + RESET_CODE_MS, attempts: 0 });
+      console.log(`[auth-server] Password reset code for ${email}: ${code} (valid 15 min).`);
+    }
+    return { message: "If an account exists for this email, a reset code has been sent." };
+  },
+
+  "/reset-password/confirm": (body) => {
+    const email = requireEmail(body);
+    const newPasswordHash = requireHash(body, "newPasswordHash");
+    const reset = resets.get(email);
+    if (!reset || reset.expiresAt < Date.now() || reset.attempts >= MAX_RESET_ATTEMPTS) {
+      throw new HttpError(400, "This reset code has expired. Please request a new one.");
+    }
+    if (reset.code !== String(body.code || "").trim()) {
+      reset.attempts += 1;
+      throw new HttpError(400, "The reset code is not correct.");
+    }
+    resets.delete(email);
+    loginFailures.delete(email);
+    setPassword(email, newPasswordHash);
+    endSessionsOf(email);
+    console.log(`[auth-server] Password reset for ${email}.`);
+    return {};
+  },
+};
+
+// --- HTTP plumbing ---
+
+const send = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, "Request body too large."));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("not an object");
+      resolve(body);
+    } catch (err) {
+      reject(new HttpError(400, "The request body must be a JSON object."));
+    }
+  });
+  req.on("error", reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const path = (req.url || "").split("?")[0];
+  const handler = path.startsWith(BASE_PATH) ? routes[path.slice(BASE_PATH.length)] : null;
+  try {
+    if (!handler) throw new HttpError(404, "Not found.");
+    if (req.method !== "POST") throw new HttpError(405, "Only POST requests are accepted.");
+    if (!String(req.headers["content-type"] || "").startsWith("application/json")) {
+      throw new HttpError(415, "Content-Type must be application/json.");
+    }
+    const result = handler(await readJsonBody(req));
+    send(res, 200, { status: "success", ...result });
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error("[auth-server] Unexpected error.", err);
+    send(res, err.statusCode || 500, { status: "error", message: err.statusCode ? err.message : "Internal server error." });
+  }
+});
+
+loadUsers();
+server.listen(PORT, () => {
+  console.log(`[auth-server] Listening on http://localhost:${PORT}${BASE_PATH} (allowed origin: ${ALLOWED_ORIGIN}).`);
+});
@@ -0,0 +1,128 @@
+// llm-proxy.js
+
+/**
+ * LLM KEY PROXY
+ * A dependency-free Node proxy that keeps LLM API keys on the server. The
+ * browser calls the proxy without a key; the proxy adds the key and forwards
+ * the request unchanged, streaming the reply back. Only the chat endpoints the
+ * app uses are forwarded (Gemini generateContent and streamGenerateContent,
+ * OpenAI chat/completions), so the key cannot reach anything else.
+ *
+ *   GEMINI_API_KEY=... OPENAI_API_KEY=... npm run llm-proxy
+ *
+ * Then, in the chat's assistant settings (or REACT_APP_LLM_BASE_URL), use:
+ *   Gemini             http://localhost:4001/gemini/v1beta
+ *   OpenAI-compatible  http://localhost:4001/openai/v1
+ *
+ * Settings (environment): PORT (4001), HOST (127.0.0.1; set 0.0.0.0 to serve
+ * other machines), ALLOWED_ORIGIN (http://localhost:3000),
+ * GEMINI_API_KEY, GEMINI_UPSTREAM (https://generativelanguage.googleapis.com),
+ * OPENAI_API_KEY, OPENAI_UPSTREAM (https://api.openai.com; e.g. a hosted
+ * OpenAI-compatible service). Requires Node 18+ (global fetch).
+ */
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 4001;
+const HOST = process.env.HOST || "127.0.0.1";
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "http://localhost:3000";
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Path prefix -> where it goes, how the key is attached and which paths may be forwarded
+const UPSTREAMS = {
+  gemini: {
+    url: (process.env.GEMINI_UPSTREAM || "https://generativelanguage.googleapis.com").replace(/\/+$/, ""),
+    headers: () => (process.env.GEMINI_API_KEY ? { "x-goog-api-key": process.env.GEMINI_API_KEY } : {}),
+    paths: /^\/v1(?:beta)?\/models\/\w[\w.-]*:(?:generateContent|streamGenerateContent)(?:\?alt=sse)?$/,
+  },
+  openai: {
+    url: (process.env.OPENAI_UPSTREAM || "https://api.openai.com").replace(/\/+$/, ""),
+    headers: () => (process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+    paths: /^\/v1\/chat\/completions$/,
+  },
+};
+
+const sendError = (res, statusCode, message) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ error: { message } }));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error("Request body too large."));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => resolve(Buffer.concat(chunks)));
+  req.on("error", reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // "/gemini/v1beta/models/x:generateContent?alt=sse" -> upstream "gemini", rest "/v1beta/models/x:generateContent?alt=sse"
+  const match = (req.url || "").match(/^\/(\w+)(\/.*)$/);
+  // Own keys only: "/__proto__/..." or "/constructor/..." must not resolve to Object.prototype members
+  const upstream = match && Object.hasOwn(UPSTREAMS, match[1]) ? UPSTREAMS[match[1]] : null;
+  if (!upstream) return sendError(res, 404, "Unknown upstream. Use /gemini/... or /openai/...");
+  if (!upstream.paths.test(match[2])) return sendError(res, 404, "Only the chat endpoints are forwarded.");
+  if (req.method !== "POST") return sendError(res, 405, "Only POST requests are accepted.");
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return sendError(res, 413, err.message);
+  }
+
+  // The browser stopping or closing the chat cancels the upstream request, so it stops generating (and billing).
+  // The response's "close" is the disconnect signal: the request's own "close" already fires once its body is read.
+  const upstreamRequest = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) upstreamRequest.abort();
+  });
+
+  let response;
+  try {
+    // Only the content type is forwarded: client credentials never reach the upstream
+    response = await fetch(`${upstream.url}${match[2]}`, {
+      method: "POST",
+      headers: { "Content-Type": req.headers["content-type"] || "application/json", ...upstream.headers() },
+      body,
+      signal: upstreamRequest.signal,
+    });
+  } catch (err) {
+    if (upstreamRequest.signal.aborted) return console.log(`[llm-proxy] ${match[1]} request cancelled by the client.`);
+    console.error(`[llm-proxy] ${match[1]} upstream unreachable: ${err.message}`);
+    return sendError(res, 502, "The LLM provider could not be reached.");
+  }
+
+  res.writeHead(response.status, { "Content-Type": response.headers.get("content-type") || "application/json" });
+  try {
+    // Piped chunk by chunk, so streamed replies stay streamed
+    for await (const chunk of response.body) res.write(chunk);
+  } catch (err) {
+    if (upstreamRequest.signal.aborted) return console.log(`[llm-proxy] ${match[1]} reply cancelled by the client.`);
+    console.error(`[llm-proxy] ${match[1]} reply interrupted: ${err.message}`);
+  }
+  res.end();
+});
+
+server.listen(PORT, HOST, () => {
+  const keys = Object.keys(UPSTREAMS).filter((name) => Object.keys(UPSTREAMS[name].headers()).length);
+  console.log(`[llm-proxy] Listening on http://${HOST}:${PORT} (keys for: ${keys.join(", ") || "none"}; allowed origin: ${ALLOWED_ORIGIN}).`);
+});
@@ -0,0 +1,105 @@
+// ActivityLog.js
+
+import React, { useEffect, useMemo, useState } from "react";
+import { AUDIT_EVENT_INFO, getAuditEvents, subscribeAuditLog } from "./AuditLog";
+
+/**
+ * ACTIVITY PAGE
+ * The logged-in user's audit events (see AuditLog.js), newest first, with
+ * filters for category, event type, time range and free text.
+ */
+
+const TIME_RANGES = [
+    { key: "all", label: "Any time", ms: null },
+    { key: "day", label: "Last 24 hours", ms: 24 * 60 * 60 * 1000 },
+    { key: "week", label: "Last 7 days", ms: 7 * 24 * 60 * 60 * 1000 },
+    { key: "month", label: "Last 30 days", ms: 30 * 24 * 60 * 60 * 1000 },
+];
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString([], { dateStyle: "medium", timeStyle: "medium" });
+
+// { resume: "Backend", atsScore: 72 } -> "resume: Backend · atsScore: 72"
+const formatDetails = (details) => Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(" · ");
+
+export default function ActivityLog({ userEmail }) {
+    const [events, setEvents] = useState([]);
+    const [category, setCategory] = useState("all");
+    const [type, setType] = useState("all");
+    const [range, setRange] = useState("all");
+    const [query, setQuery] = useState("");
+
+    // Loads the user's events and reloads after every new one
+    useEffect(() => {
+        let active = true;
+        const load = () => getAuditEvents(userEmail).then(list => { if (active) setEvents(list); });
+        load();
+        const unsubscribe = subscribeAuditLog(load);
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, [userEmail]);
+
+    const typeOptions = Object.entries(AUDIT_EVENT_INFO).filter(([, info]) => category === "all" || info.category === category);
+
+    const visible = useMemo(() => {
+        const since = TIME_RANGES.find(r => r.key === range).ms;
+        const needle = query.trim().toLowerCase();
+        return events.filter(e => (
+            (category === "all" || e.category === category)
+            && (type === "all" || e.type === type)
+            && (!since || Date.now() - new Date(e.timestamp).getTime() <= since)
+            && (!needle || `${AUDIT_EVENT_INFO[e.type]?.label} ${formatDetails(e.details)}`.toLowerCase().includes(needle))
+        ));
+    }, [events, category, type, range, query]);
+
+    const handleCategoryChange = (value) => {
+        setCategory(value);
+        // Keep the type filter only if it belongs to the new category
+        if (value !== "all" && AUDIT_EVENT_INFO[type]?.category !== value) setType("all");
+    };
+
+    return (
+        <section className="container">
+            <div className="card activity-card">
+                <h2 className="section-title">📜 Activity</h2>
+                <p className="hint">Security events and account activity for {userEmail}, recorded in this browser.</p>
+
+                <div className="activity-filters">
+                    <select className="text-input" value={category} onChange={e => handleCategoryChange(e.target.value)} aria-label="Category">
+                        <option value="all">All categories</option>
+                        <option value="security">Security</option>
+                        <option value="activity">Activity</option>
+                    </select>
+                    <select className="text-input" value={type} onChange={e => setType(e.target.value)} aria-label="Event type">
+                        <option value="all">All events</option>
+                        {typeOptions.map(([key, info]) => <option key={key} value={key}>{info.label}</option>)}
+                    </select>
+                    <select className="text-input" value={range} onChange={e => setRange(e.target.value)} aria-label="Time range">
+                        {TIME_RANGES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                    </select>
+                    <input className="text-input" value={query} onChange={e => setQuery(e.target.value)} placeholder="Search details…" aria-label="Search events" />
+                </div>
+
+                <p className="hint">Showing {visible.length} of {events.length} event{events.length === 1 ? "" : "s"}.</p>
+                {visible.length > 0 ? (
+                    <ul className="activity-list">
+                        {visible.map(e => (
+                            <li key={e.id} className={`activity-item ${e.category}`}>
+                                <span className="activity-time">{formatTimestamp(e.timestamp)}</span>
+                                <span className={`activity-badge ${e.category}`}>{e.category}</span>
+                                <span className="activity-label">{AUDIT_EVENT_INFO[e.type]?.label || e.type}</span>
+                                {formatDetails(e.details) && <span className="activity-details">{formatDetails(e.details)}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="hint">No events match these filters.</p>
+                )}
+            </div>
+        </section>
+    );
+}
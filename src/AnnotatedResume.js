@@ -0,0 +1,75 @@
+// AnnotatedResume.js
+
+import React, { useMemo, useState } from "react";
+import { findWeakPhrases, suggestStrongVerbs } from "./Vocabulary";
+import { locateKeywords } from "./KeywordMatcher";
+
+/**
+ * ANNOTATED RESUME VIEW
+ * Shows the resume text with weak phrases (see Vocabulary.js) and matched JD
+ * keywords highlighted in place. Clicking a weak phrase lists stronger action
+ * verbs that could replace it.
+ */
+
+// Splits the text into plain, weak and keyword segments. Weak phrases win where both overlap.
+function annotate(text, matchedKeywords) {
+    const weak = findWeakPhrases(text).map(r => ({ ...r, kind: "weak" }));
+    const keywords = locateKeywords(text, matchedKeywords)
+        .filter(k => !weak.some(w => k.start < w.end && w.start < k.end))
+        .map(r => ({ ...r, kind: "keyword" }));
+    const marks = [...weak, ...keywords].sort((a, b) => a.start - b.start);
+
+    const segments = [];
+    let pos = 0;
+    marks.forEach(m => {
+        if (m.start > pos) segments.push({ kind: "text", text: text.slice(pos, m.start) });
+        segments.push({ ...m, text: text.slice(m.start, m.end) });
+        pos = m.end;
+    });
+    if (pos < text.length) segments.push({ kind: "text", text: text.slice(pos) });
+    return segments;
+}
+
+export default function AnnotatedResume({ resumeText, matchedKeywords }) {
+    const [activeStart, setActiveStart] = useState(null);
+    const segments = useMemo(() => annotate(resumeText, matchedKeywords), [resumeText, matchedKeywords]);
+    const weakCount = segments.filter(s => s.kind === "weak").length;
+    const keywordCount = segments.filter(s => s.kind === "keyword").length;
+    // Tracked by offset, so the suggestions close once the text under them changes
+    const active = segments.find(s => s.kind === "weak" && s.start === activeStart);
+
+    return (
+        <div className="card mt-1 annotated-card">
+            <h2 className="section-title">🔍 Annotated Resume</h2>
+            <div className="annotation-legend">
+                <span className="mark-weak">Weak phrase ({weakCount})</span>
+                <span className="mark-keyword">Matched JD keyword ({keywordCount})</span>
+            </div>
+            {active ? (
+                <div className="annotation-suggestions">
+                    Instead of <strong>“{active.text}”</strong>, try: {suggestStrongVerbs(active.phrase).map(v => (
+                        <span key={v} className="verb-chip">{v}</span>
+                    ))}
+                    <button type="button" className="annotation-close" onClick={() => setActiveStart(null)} aria-label="Close suggestions">×</button>
+                </div>
+            ) : (
+                <p className="hint">Click a highlighted weak phrase to see stronger action verbs.</p>
+            )}
+            <div className="annotated-text">
+                {segments.map((s, i) => {
+                    if (s.kind === "weak") {
+                        return (
+                            <button key={i} type="button" className={`mark-weak ${s === active ? "active" : ""}`} onClick={() => setActiveStart(s.start)} title="Show stronger verbs">
+                                {s.text}
+                            </button>
+                        );
+                    }
+                    if (s.kind === "keyword") {
+                        return <mark key={i} className="mark-keyword" title={`JD keyword: ${s.term}`}>{s.text}</mark>;
+                    }
+                    return <React.Fragment key={i}>{s.text}</React.Fragment>;
+                })}
+            </div>
+        </div>
+    );
+}
@@ -2,61 +2,161 @@
 
 import React, { useState, useCallback, useEffect } from "react"; 
 import ResumeAnalyzer from "./ResumeAnalyzer";
-import Chatbot from "./Chatbot";
+import Chatbot, { INITIAL_MESSAGES } from "./Chatbot";
 import Auth from "./Auth";
+import ActivityLog from "./ActivityLog";
+import ChangePassword from "./ChangePassword";
+import { useChatThreads } from "./ChatThreads";
+import SessionTimeoutDialog, { useIdleTimeout } from "./SessionTimeout";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+import { loadSession, saveSession, clearSession, broadcastLogout, onLogoutBroadcast, touchActivity } from "./SessionManager";
+import { setAssistantUser } from "./AssistantClient";
+import { getAuthAdapter, hashPassword } from "./AuthClient";
+import { rekeyResumeStore, createStoreSecret } from "./ResumeStore";
+import { getLoginThrottle, recordLoginFailure, clearLoginFailures } from "./LoginThrottle";
 import "./App.css";
-const SESSION_AUTH_KEY = "RA_SESSION_AUTH";
+
+const LOGGED_OUT = { isLoggedIn: false, userEmail: null, storeSecret: null, token: null, expiresAt: null };
 
 export default function App() {
   const [showChatbot, setShowChatbot] = useState(false);
-  const [authData, setAuthData] = useState({
-    isLoggedIn: false,
-    userEmail: null,
-    passwordHash: null,
-  });
+  // storeSecret stays in memory only (it unlocks the encrypted resume store); after a reload
+  // the session is restored from its token and the user re-enters the password to unlock
+  const [authData, setAuthData] = useState(LOGGED_OUT);
   // State to hold resume-related context for the Chatbot
   const [resumeContext, setResumeContext] = useState({ 
     userEmail: null, 
     resumeText: "", 
-    analysisSummary: null 
+    resumeModel: null,
+    analysisSummary: null,
+    // Full calculateATSScore result, for the chatbot's offline answers
+    analysis: null,
   }); 
+  // Result of unlocking the encrypted resume store (reported by ResumeAnalyzer); conversations are saved in it
+  const [storeStatus, setStoreStatus] = useState(null);
+  // Chat conversation and the user's saved threads
+  const chat = useChatThreads(authData.userEmail, storeStatus, INITIAL_MESSAGES);
+  // "analyzer" or "activity" (the audit log page)
+  const [view, setView] = useState("analyzer");
 
+  // A stored session is only a claim: its token is checked with the auth backend before it is restored
   useEffect(() => {
-    const savedAuth = sessionStorage.getItem(SESSION_AUTH_KEY);
-    if (savedAuth) {
-      try {
-        const parsedAuth = JSON.parse(savedAuth);
-        setAuthData(parsedAuth);
+    const session = loadSession();
+    if (!session) return;
+    let cancelled = false;
+    getAuthAdapter().verifySession({ token: session.token })
+      .then(result => {
+        if (cancelled) return;
+        if (!result.ok || String(result.email).toLowerCase() !== session.email.toLowerCase()) {
+          clearSession();
+          console.warn("[App] The stored session was rejected by the auth backend. Please log in again.");
+          return;
+        }
+        const expiresAt = result.expiresAt || session.expiresAt;
+        // The restore counts as activity; the last one recorded may be from days ago and would trip the idle logout at once
+        touchActivity();
+        setAuthData({ isLoggedIn: true, userEmail: session.email, storeSecret: null, token: session.token, expiresAt });
         // Initialize resumeContext.userEmail on session load
-        setResumeContext(prev => ({ ...prev, userEmail: parsedAuth.userEmail })); 
-      } catch (e) {
-        sessionStorage.removeItem(SESSION_AUTH_KEY);
-      }
-    }
+        setResumeContext(prev => ({ ...prev, userEmail: session.email })); 
+      })
+      // Backend unreachable: stay logged out, the stored session is tried again on the next load
+      .catch(err => console.warn(`[App] Could not verify the stored session: ${err.message}`));
+    return () => { cancelled = true; };
   }, []);
 
-// Handles successful login and saves to sessionStorage
-  const handleLogin = useCallback(({ email, passwordHash }) => {
-    const newAuthData = { isLoggedIn: true, userEmail: email, passwordHash };
-    setAuthData(newAuthData);
-    sessionStorage.setItem(SESSION_AUTH_KEY, JSON.stringify(newAuthData));
+// Handles successful login and stores the session token (never the password, its hash or the store secret)
+  const handleLogin = useCallback(({ email, storeSecret, token, expiresAt, remember }) => {
+    saveSession({ token, email, expiresAt }, remember);
+    setAuthData({ isLoggedIn: true, userEmail: email, storeSecret, token, expiresAt });
     // Initialize resumeContext.userEmail on fresh login
     setResumeContext(prev => ({ ...prev, userEmail: email })); 
-    console.log(`[App] Session for ${email} saved.`);
+    console.log(`[App] Session for ${email} saved${remember ? " (remembered)" : ""}.`);
   }, []);
 
-  // Fixes the potential ESLint warning by ensuring the function is correctly scoped and used below.
-  const handleLogout = useCallback(() => {
-    setAuthData({ isLoggedIn: false, userEmail: null, passwordHash: null });
-    sessionStorage.removeItem(SESSION_AUTH_KEY); 
+  // Ends the session for a reason: "user", "idle", "expired", "data deleted" or "other tab"
+  const endSession = useCallback((reason) => {
+    if (reason !== "other tab") {
+      // After "Delete all my data" the deletion stays the user's only audit event
+      if (reason !== "data deleted") logAuditEvent(AUDIT_EVENTS.LOGOUT, authData.userEmail, { reason });
+      broadcastLogout();
+      // Revoke the token on the auth backend; the local session ends either way
+      if (authData.token) {
+        getAuthAdapter().logout({ token: authData.token })
+          .catch(err => console.warn(`[App] Could not revoke the session token: ${err.message}`));
+      }
+    }
+    clearSession();
+    setAuthData(LOGGED_OUT);
     // Clear chatbot context on logout
-    setResumeContext({ userEmail: null, resumeText: "", analysisSummary: null }); 
+    setResumeContext({ userEmail: null, resumeText: "", resumeModel: null, analysisSummary: null, analysis: null }); 
+    setStoreStatus(null);
+    setShowChatbot(false);
+    setView("analyzer");
     console.log("Logged out. Session cleared. Resume data remains persisted in localStorage.");
-  }, []);
+  }, [authData.userEmail, authData.token]);
+
+  // Fixes the potential ESLint warning by ensuring the function is correctly scoped and used below.
+  const handleLogout = useCallback(() => endSession("user"), [endSession]);
+
+  // The assistant uses the logged-in user's own settings; logging out forgets their API key
+  useEffect(() => {
+    setAssistantUser(authData.userEmail);
+  }, [authData.userEmail]);
+
+  // Logging out in another tab logs out this one too
+  useEffect(() => {
+    if (!authData.isLoggedIn) return;
+    return onLogoutBroadcast(() => endSession("other tab"));
+  }, [authData.isLoggedIn, endSession]);
+
+  const { secondsLeft, stayLoggedIn } = useIdleTimeout({
+    active: authData.isLoggedIn,
+    expiresAt: authData.expiresAt,
+    onTimeout: endSession,
+  });
+
+  // Re-checks the password with the auth backend (throttled like a login), then unlocks the resume store with it
+  const handleUnlockStore = useCallback(async (password) => {
+    const email = authData.userEmail;
+    if (!getLoginThrottle(email).allowed) throw new Error("Too many failed attempts. Please wait a moment and try again.");
+    const passwordHash = await hashPassword(password);
+    const adapter = getAuthAdapter();
+    const result = await adapter.login({ email, passwordHash });
+    if (!result.ok) {
+      const { locked, failures } = recordLoginFailure(email);
+      logAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, email, { reason: result.message || "rejected", failures, context: "unlock saved resumes" });
+      if (locked) logAuditEvent(AUDIT_EVENTS.ACCOUNT_LOCKED, email, { failures });
+      throw new Error("That password is not correct.");
+    }
+    // Only the password check was needed: drop the extra session it opened
+    adapter.logout({ token: result.token }).catch(() => {});
+    clearLoginFailures(email);
+    const storeSecret = await createStoreSecret(password);
+    setAuthData(prev => ({ ...prev, storeSecret }));
+  }, [authData.userEmail]);
+
+  // Changes the password on the auth backend, then re-encrypts the saved resumes with the new one
+  const handleChangePassword = useCallback(async (currentPassword, newPassword) => {
+    const { userEmail: email, token } = authData;
+    const currentPasswordHash = await hashPassword(currentPassword);
+    const newPasswordHash = await hashPassword(newPassword);
+    const result = await getAuthAdapter().changePassword({ token, email, currentPasswordHash, newPasswordHash });
+    if (!result.ok) {
+      logAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGE_FAILURE, email, { reason: result.message || "rejected" });
+      throw new Error(result.message || "The password could not be changed.");
+    }
+    const newSecret = await createStoreSecret(newPassword);
+    const storeStatus = await rekeyResumeStore(email, await createStoreSecret(currentPassword), newSecret);
+    logAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGED, email, { resumesReencrypted: storeStatus === "ok" });
+    setAuthData(prev => ({ ...prev, storeSecret: newSecret }));
+    return storeStatus === "ok"
+      ? "Your password was changed and your saved resumes were re-encrypted with it."
+      : "Your password was changed. Saved resumes that could not be unlocked keep their old encryption.";
+  }, [authData]);
     
   // Callback to receive resume data from ResumeAnalyzer
   const handleResumeDataChange = useCallback((data) => {
-    // Note: We use the incoming data object directly as it contains all three fields
+    // Note: We use the incoming data object directly as it contains all fields
     setResumeContext(data); 
     console.log(`[App] Resume context updated for ${data.userEmail}.`);
   }, []);
@@ -77,6 +177,9 @@ export default function App() {
                     <span className="user-email" title={authData.userEmail}>
                         {authData.userEmail}
                     </span>
+                    <button className="btn logout-btn" onClick={() => setView(view === "activity" ? "analyzer" : "activity")}>
+                        {view === "activity" ? "Back to Analyzer" : "Activity"}
+                    </button>
                     {/* handleLogout is used here, resolving the warning */}
                     <button className="btn logout-btn" onClick={handleLogout}>
                         Logout
@@ -90,18 +193,32 @@ export default function App() {
 
       {/* Main Content */}
       <main className="container">
+        {authData.isLoggedIn && view === "activity" && <ActivityLog userEmail={authData.userEmail} />}
         {authData.isLoggedIn ? (
-          <ResumeAnalyzer 
-            userEmail={authData.userEmail} 
-            passwordHash={authData.passwordHash} 
-            // Pass the data change handler to ResumeAnalyzer
-            onDataChange={handleResumeDataChange}
-          />
+          // Stays mounted (hidden) while the Activity page is open, so unsaved edits survive
+          <div hidden={view !== "analyzer"}>
+            <ResumeAnalyzer 
+              userEmail={authData.userEmail} 
+              storeSecret={authData.storeSecret} 
+              // Pass the data change handler to ResumeAnalyzer
+              onDataChange={handleResumeDataChange}
+              onStoreStatusChange={setStoreStatus}
+              // An imported "My Data" bundle replaces the saved conversations
+              onChatsImported={chat.reload}
+              onUnlockStore={handleUnlockStore}
+              // "Delete all my data" ends the session too
+              onAccountDataDeleted={() => endSession("data deleted")}
+            />
+            <ChangePassword userEmail={authData.userEmail} onChangePassword={handleChangePassword} />
+          </div>
         ) : (
           <Auth onLogin={handleLogin} />
         )}
       </main>
 
+      {/* Idle timeout warning */}
+      <SessionTimeoutDialog secondsLeft={secondsLeft} onStay={stayLoggedIn} onLogout={handleLogout} />
+
       {/* Floating Chatbot Button (FAB) */}
       {authData.isLoggedIn && (
         <>
@@ -118,6 +235,9 @@ export default function App() {
             onClose={() => setShowChatbot(false)} 
             isOpen={showChatbot} 
             resumeContext={resumeContext} 
+            messages={chat.messages}
+            onMessagesChange={chat.setMessages}
+            threads={chat}
           />
         </>
       )}
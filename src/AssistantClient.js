@@ -0,0 +1,197 @@
+// AssistantClient.js
+
+import { createGeminiProvider, createOpenAICompatibleProvider, createMockProvider } from "./AssistantProviders";
+
+/**
+ * LLM BACKEND CLIENT
+ * The single place the app talks to a language model, used by the chatbot and
+ * by the optional AI mode of the bullet rewrite assistant. The model itself
+ * sits behind a provider (AssistantProviders.js): Gemini, any OpenAI-compatible
+ * endpoint (including locally hosted models) or an offline mock. Errors are
+ * thrown so each caller can decide on its own fallback.
+ *
+ * Settings are { provider: "gemini"|"openai"|"mock", model, baseUrl, apiKey }.
+ * Build-time defaults come from .env (REACT_APP_LLM_PROVIDER, REACT_APP_LLM_MODEL,
+ * REACT_APP_LLM_BASE_URL); each user can override them at runtime from the
+ * chat. The override is kept per user in this browser's localStorage, except
+ * the API key, which is only held in memory for the logged-in user and has to
+ * be entered again after a reload. No API key is built into the app: enter your
+ * own, or point baseUrl at server/llm-proxy.js, which holds the key on the server.
+ */
+
+const SETTINGS_STORAGE_PREFIX = "RA_LLM_SETTINGS:";
+// Older versions kept one override for the whole browser, API key included, in plain text
+const LEGACY_SETTINGS_STORAGE_KEY = "RA_LLM_SETTINGS";
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+// Choices for the settings form
+export const ASSISTANT_PROVIDERS = [
+  { id: "gemini", label: "Gemini" },
+  { id: "openai", label: "OpenAI-compatible (incl. local models)" },
+  { id: "mock", label: "Mock (offline, for testing)" },
+];
+
+const envDefaults = () => ({
+  provider: process.env.REACT_APP_LLM_PROVIDER || "gemini",
+  model: process.env.REACT_APP_LLM_MODEL || "",
+  baseUrl: process.env.REACT_APP_LLM_BASE_URL || "",
+  apiKey: "",
+});
+
+// Whose settings are active, and the API key they entered in this page load
+let currentUser = null;
+let sessionApiKey = "";
+
+const settingsStorageKey = (userEmail) => `${SETTINGS_STORAGE_PREFIX}${userEmail.toLowerCase()}`;
+
+const readOverrides = () => {
+  if (!currentUser) return {};
+  try {
+    // A key stored by an older version is never read back
+    const { apiKey, ...overrides } = JSON.parse(localStorage.getItem(settingsStorageKey(currentUser))) || {};
+    return overrides;
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * The active settings: .env defaults with the runtime overrides applied.
+ * @returns {{ provider: string, model: string, baseUrl: string, apiKey: string }}
+ */
+export const getAssistantSettings = () => {
+  const settings = { ...envDefaults(), ...readOverrides(), apiKey: sessionApiKey };
+  if (!PROVIDER_FACTORIES[settings.provider]) {
+    console.warn(`[AssistantClient] Unknown LLM provider "${settings.provider}", using Gemini.`);
+    settings.provider = "gemini";
+  }
+  return settings;
+};
+
+let provider = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener(getAssistantProvider()));
+
+/**
+ * The provider built from the current settings.
+ * @returns {{ id: string, label: string, model: string, isConfigured: () => boolean, generate: Function }}
+ */
+export const getAssistantProvider = () => {
+  if (!provider) {
+    const { provider: id, model, baseUrl, apiKey } = getAssistantSettings();
+    // Empty fields fall back to each provider's own defaults
+    const options = Object.fromEntries(Object.entries({ model, baseUrl, apiKey }).filter(([, value]) => value));
+    provider = PROVIDER_FACTORIES[id](options);
+  }
+  return provider;
+};
+
+/**
+ * Switches to the settings of the logged-in user (null when logged out). The
+ * API key entered by the previous user is forgotten.
+ * @param {string|null} userEmail
+ */
+export const setAssistantUser = (userEmail) => {
+  if (localStorage.getItem(LEGACY_SETTINGS_STORAGE_KEY) !== null) {
+    localStorage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+    console.log("[AssistantClient] Removed the browser-wide assistant settings of an older version.");
+  }
+  if (currentUser === userEmail) return;
+  currentUser = userEmail || null;
+  sessionApiKey = "";
+  provider = null;
+  notify();
+};
+
+/**
+ * Stores the user's runtime settings and switches to the provider they
+ * describe. The API key is kept in memory only.
+ * @param {{ provider: string, model?: string, baseUrl?: string, apiKey?: string }} settings
+ */
+export const saveAssistantSettings = ({ apiKey = "", ...settings }) => {
+  if (currentUser) localStorage.setItem(settingsStorageKey(currentUser), JSON.stringify(settings));
+  sessionApiKey = apiKey;
+  provider = null;
+  notify();
+};
+
+/**
+ * Drops one user's runtime settings, and their API key when they are the
+ * logged-in user, going back to the .env defaults. Other users' settings are kept.
+ * @param {string|null} [userEmail] - Defaults to the logged-in user.
+ */
+export const resetAssistantSettings = (userEmail = currentUser) => {
+  if (!userEmail) return;
+  localStorage.removeItem(settingsStorageKey(userEmail));
+  if (userEmail.toLowerCase() !== currentUser?.toLowerCase()) return;
+  sessionApiKey = "";
+  provider = null;
+  notify();
+};
+
+/**
+ * Replaces the provider directly (e.g. a mock provider in tests).
+ * @param {object} nextProvider - Implements the provider shape (see AssistantProviders.js).
+ */
+export const setAssistantProvider = (nextProvider) => {
+  provider = nextProvider;
+  notify();
+};
+
+/**
+ * Calls the listener with the new provider whenever it changes.
+ * @param {(provider: object) => void} listener
+ * @returns {() => void} Unsubscribes.
+ */
+export const subscribeAssistantProvider = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Whether the active provider can be called at all (e.g. it has a key or a proxy).
+ * @returns {boolean}
+ */
+export const isAssistantConfigured = () => getAssistantProvider().isConfigured();
+
+/**
+ * Sends one request to the active provider and returns the reply text.
+ * @param {{ systemInstruction: string, messages: Array<{ role: "user"|"assistant", text: string }> }} request
+ * @returns {Promise<string>}
+ * @throws {Error} When the provider is not configured, the network fails or the API returns an error.
+ */
+export const generateContent = async (request) => {
+  const active = requireConfiguredProvider();
+  return active.generate(request);
+};
+
+/**
+ * Streams a reply from the active provider, piece by piece. Providers without
+ * a streaming endpoint yield their whole reply once.
+ * @param {{ systemInstruction: string, messages: Array<{ role: "user"|"assistant", text: string }> }} request
+ * @param {{ signal?: AbortSignal }} [options] - Aborting stops the stream.
+ * @returns {AsyncGenerator<string>}
+ * @throws {Error} Like generateContent; a cancelled request throws an AbortError or just ends.
+ */
+export async function* streamContent(request, { signal } = {}) {
+  const active = requireConfiguredProvider();
+  if (active.stream) {
+    yield* active.stream(request, { signal });
+  } else {
+    yield await active.generate(request);
+  }
+}
+
+function requireConfiguredProvider() {
+  const active = getAssistantProvider();
+  if (!active.isConfigured()) {
+    throw new Error(`${active.label} is not configured: add an API key or a proxy URL in the assistant settings.`);
+  }
+  return active;
+}
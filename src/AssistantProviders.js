@@ -0,0 +1,195 @@
+// AssistantProviders.js
+
+/**
+ * LLM PROVIDERS
+ * Adapters behind AssistantClient.js. Every provider has the same shape:
+ *   { id, label, model, isConfigured(),
+ *     generate({ systemInstruction, messages }),
+ *     stream({ systemInstruction, messages }, { signal }) }
+ * where messages are { role: "user"|"assistant", text } oldest first.
+ * generate resolves with the whole reply text; stream is an async generator
+ * yielding the reply in pieces as they arrive (server-sent events) and stops
+ * when the AbortSignal fires. Both throw an Error on failure.
+ *
+ * API keys are optional: a provider pointed at a proxy (server/llm-proxy.js)
+ * sends none and the proxy adds its own, so no key has to ship in the bundle.
+ */
+
+export const GEMINI_DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+export const GEMINI_DEFAULT_MODEL = "gemini-2.5-flash";
+export const OPENAI_DEFAULT_BASE_URL = "https://api.openai.com/v1";
+export const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+
+const trimSlash = (url) => (url || "").replace(/\/+$/, "");
+
+const apiError = (providerLabel, data, status) => {
+  const detail = data?.error?.message || (typeof data?.error === "string" ? data.error : `HTTP ${status}`);
+  return new Error(`${providerLabel} API Error: ${detail}`);
+};
+
+// POSTs JSON, turning network and HTTP failures into readable errors. A cancelled request keeps its AbortError.
+const post = async (url, headers, payload, providerLabel, signal) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new Error(`${providerLabel} could not be reached.`);
+  }
+  if (!response.ok) throw apiError(providerLabel, await response.json().catch(() => null), response.status);
+  return response;
+};
+
+const postJson = async (url, headers, payload, providerLabel) => {
+  const response = await post(url, headers, payload, providerLabel);
+  const data = await response.json().catch(() => null);
+  if (data?.error) throw apiError(providerLabel, data, response.status);
+  return data;
+};
+
+// Parses one "data:" line of a server-sent event stream; null for other lines and the "[DONE]" marker
+const parseSseLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("data:")) return null;
+  const data = trimmed.slice(5).trim();
+  return data && data !== "[DONE]" ? JSON.parse(data) : null;
+};
+
+// Yields the JSON payload of every event in a server-sent event response, as it arrives
+async function* readEvents(response) {
+  if (!response.body?.getReader) {
+    // No readable stream (older browsers): parse the whole reply at once
+    for (const line of (await response.text()).split("\n")) {
+      const event = parseSseLine(line);
+      if (event) yield event;
+    }
+    return;
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    // The last piece may be an incomplete line: keep it for the next read
+    buffer = done ? "" : lines.pop();
+    for (const line of lines) {
+      const event = parseSseLine(line);
+      if (event) yield event;
+    }
+    if (done) return;
+  }
+}
+
+/**
+ * Google Gemini (generateContent REST API). The key goes in a header, never in the URL.
+ * @param {{ apiKey?: string, model?: string, baseUrl?: string }} [options]
+ * @returns {object} A provider.
+ */
+export const createGeminiProvider = ({ apiKey = "", model = GEMINI_DEFAULT_MODEL, baseUrl = GEMINI_DEFAULT_BASE_URL } = {}) => {
+  const root = trimSlash(baseUrl) || GEMINI_DEFAULT_BASE_URL;
+  const headers = apiKey ? { "x-goog-api-key": apiKey } : {};
+  // system_instruction must be a top-level field, not nested inside 'config'.
+  const toPayload = ({ systemInstruction, messages }) => ({
+    system_instruction: { parts: [{ text: systemInstruction }] },
+    contents: messages.map((m) => ({ role: m.role === "user" ? "user" : "model", parts: [{ text: m.text }] })),
+  });
+  return {
+    id: "gemini",
+    label: "Gemini",
+    model,
+    // Google's endpoint needs a key; a proxy adds its own
+    isConfigured: () => Boolean(apiKey) || root !== GEMINI_DEFAULT_BASE_URL,
+    generate: async (request) => {
+      const data = await postJson(`${root}/models/${encodeURIComponent(model)}:generateContent`, headers, toPayload(request), "Gemini");
+      const parts = data?.candidates?.[0]?.content?.parts;
+      if (!parts) throw new Error("Unknown Gemini API response structure.");
+      return parts.map((p) => p.text).join(" ");
+    },
+    stream: async function* (request, { signal } = {}) {
+      const response = await post(`${root}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, headers, toPayload(request), "Gemini", signal);
+      for await (const event of readEvents(response)) {
+        if (event.error) throw apiError("Gemini", event, response.status);
+        const parts = event.candidates?.[0]?.content?.parts || [];
+        const text = parts.map((p) => p.text || "").join("");
+        if (text) yield text;
+      }
+    },
+  };
+};
+
+/**
+ * Any OpenAI-compatible Chat Completions endpoint: OpenAI itself, or locally
+ * hosted models (Ollama, LM Studio, llama.cpp, vLLM) which need no key.
+ * @param {{ apiKey?: string, model?: string, baseUrl?: string }} [options]
+ * @returns {object} A provider.
+ */
+export const createOpenAICompatibleProvider = ({ apiKey = "", model = OPENAI_DEFAULT_MODEL, baseUrl = OPENAI_DEFAULT_BASE_URL } = {}) => {
+  const root = trimSlash(baseUrl) || OPENAI_DEFAULT_BASE_URL;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const label = "OpenAI-compatible endpoint";
+  const toPayload = ({ systemInstruction, messages }) => ({
+    model,
+    messages: [
+      { role: "system", content: systemInstruction },
+      ...messages.map((m) => ({ role: m.role === "user" ? "user" : "assistant", content: m.text })),
+    ],
+  });
+  return {
+    id: "openai",
+    label: "OpenAI-compatible",
+    model,
+    isConfigured: () => Boolean(apiKey) || root !== OPENAI_DEFAULT_BASE_URL,
+    generate: async (request) => {
+      const data = await postJson(`${root}/chat/completions`, headers, toPayload(request), label);
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error("Unknown OpenAI-compatible response structure.");
+      return content;
+    },
+    stream: async function* (request, { signal } = {}) {
+      const response = await post(`${root}/chat/completions`, headers, { ...toPayload(request), stream: true }, label, signal);
+      for await (const event of readEvents(response)) {
+        if (event.error) throw apiError(label, event, response.status);
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+};
+
+/**
+ * Offline provider for tests and demos: answers without any network.
+ * @param {{ reply?: (request: { systemInstruction: string, messages: Array<{ role: string, text: string }> }) => string, delayMs?: number }} [options]
+ *   `reply` builds the reply (by default it echoes the last user message);
+ *   `delayMs` is the pause between streamed words.
+ * @returns {object} A provider.
+ */
+export const createMockProvider = ({ reply, delayMs = 40 } = {}) => {
+  const generate = async (request) => {
+    if (reply) return reply(request);
+    const lastUser = [...request.messages].reverse().find((m) => m.role === "user");
+    return `(Mock assistant) You asked: "${lastUser ? lastUser.text : ""}". Configure a real provider for AI answers.`;
+  };
+  return {
+    id: "mock",
+    label: "Mock",
+    model: "mock",
+    isConfigured: () => true,
+    generate,
+    // Word by word, like a real model
+    stream: async function* (request, { signal } = {}) {
+      const words = (await generate(request)).split(/(?<=\s)/);
+      for (const word of words) {
+        if (signal?.aborted) return;
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        yield word;
+      }
+    },
+  };
+};
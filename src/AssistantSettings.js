@@ -0,0 +1,73 @@
+// AssistantSettings.js
+
+import React, { useState } from "react";
+import { ASSISTANT_PROVIDERS, getAssistantSettings, saveAssistantSettings, resetAssistantSettings } from "./AssistantClient";
+import { GEMINI_DEFAULT_BASE_URL, GEMINI_DEFAULT_MODEL, OPENAI_DEFAULT_BASE_URL, OPENAI_DEFAULT_MODEL } from "./AssistantProviders";
+
+/**
+ * ASSISTANT SETTINGS
+ * Chooses the chatbot's LLM provider at runtime: provider, model, endpoint
+ * (the provider's own API, a local model server or the llm-proxy) and an
+ * optional API key. Empty fields use the provider's defaults.
+ */
+
+const PLACEHOLDERS = {
+    gemini: { baseUrl: GEMINI_DEFAULT_BASE_URL, model: GEMINI_DEFAULT_MODEL },
+    openai: { baseUrl: OPENAI_DEFAULT_BASE_URL, model: OPENAI_DEFAULT_MODEL },
+};
+
+export default function AssistantSettings({ onClose }) {
+    const [settings, setSettings] = useState(getAssistantSettings);
+    const placeholders = PLACEHOLDERS[settings.provider];
+
+    const update = (field, value) => setSettings(prev => ({ ...prev, [field]: value }));
+    // Endpoint, model and key belong to one provider: start over when it changes
+    const changeProvider = (provider) => setSettings({ provider, model: "", baseUrl: "", apiKey: "" });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const { provider, model, baseUrl, apiKey } = settings;
+        saveAssistantSettings({ provider, model: model.trim(), baseUrl: baseUrl.trim(), apiKey: apiKey.trim() });
+        onClose();
+    };
+
+    const handleReset = () => {
+        resetAssistantSettings();
+        onClose();
+    };
+
+    return (
+        <form className="assistant-settings" onSubmit={handleSubmit}>
+            <label>
+                Provider
+                <select className="text-input" value={settings.provider} onChange={e => changeProvider(e.target.value)}>
+                    {ASSISTANT_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+            </label>
+            {placeholders && (
+                <>
+                    <label>
+                        Endpoint URL
+                        <input className="text-input" type="url" value={settings.baseUrl} placeholder={placeholders.baseUrl} onChange={e => update("baseUrl", e.target.value)} />
+                    </label>
+                    <label>
+                        Model
+                        <input className="text-input" type="text" value={settings.model} placeholder={placeholders.model} onChange={e => update("model", e.target.value)} />
+                    </label>
+                    <label>
+                        API key
+                        <input className="text-input" type="password" value={settings.apiKey} placeholder="Not needed with a proxy or local model" autoComplete="off" onChange={e => update("apiKey", e.target.value)} />
+                    </label>
+                    <p className="hint">
+                        A key entered here is only kept in memory until you log out or reload the page. To keep it off the browser entirely, run <code>npm run llm-proxy</code> and use its URL as the endpoint.
+                    </p>
+                </>
+            )}
+            <div className="assistant-settings-actions">
+                <button type="submit" className="btn primary">Save</button>
+                <button type="button" className="btn secondary" onClick={handleReset}>Use defaults</button>
+                <button type="button" className="btn secondary" onClick={onClose}>Cancel</button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,173 @@
+// AuditLog.js
+
+/**
+ * SECURITY & ACTIVITY AUDIT LOG
+ * Every security event (logins, logouts, decryption failures, deletions) and
+ * notable user activity (saves, exports, imports) is recorded as a typed event:
+ *   { id, type, category: "security"|"activity", user, timestamp, details }
+ * and still echoed to the console with the usual [LOG:SECURITY] / [LOG:ACTIVITY]
+ * prefixes. The Activity page (ActivityLog.js) reads the events back.
+ *
+ * Events go to a pluggable backend. The default keeps the newest events in
+ * localStorage; a backend that ships them to a server only has to implement
+ * the same three methods and be passed to setAuditBackend:
+ *   append(event)          store one event (may return a Promise)
+ *   list()                 all events, oldest first (may return a Promise)
+ *   remove(predicate)      drop the events the predicate matches
+ */
+
+export const AUDIT_EVENTS = {
+  LOGIN_SUCCESS: "login_success",
+  LOGIN_FAILURE: "login_failure",
+  ACCOUNT_LOCKED: "account_locked",
+  REGISTRATION: "registration",
+  REGISTRATION_FAILURE: "registration_failure",
+  LOGOUT: "logout",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_CHANGE_FAILURE: "password_change_failure",
+  PASSWORD_RESET_REQUESTED: "password_reset_requested",
+  PASSWORD_RESET: "password_reset",
+  PASSWORD_RESET_FAILURE: "password_reset_failure",
+  DECRYPTION_FAILURE: "decryption_failure",
+  DATA_EXPIRED: "data_expired",
+  DATA_DELETED: "data_deleted",
+  ACCOUNT_DATA_DELETED: "account_data_deleted",
+  DATA_SAVED: "data_saved",
+  DATA_EXPORTED: "data_exported",
+  DATA_IMPORTED: "data_imported",
+  RESUME_CREATED: "resume_created",
+  RESUME_DELETED: "resume_deleted",
+  VERSION_RESTORED: "version_restored",
+  CHAT_DELETED: "chat_deleted",
+};
+
+// Category and display label of each event type
+export const AUDIT_EVENT_INFO = {
+  [AUDIT_EVENTS.LOGIN_SUCCESS]: { category: "security", label: "Logged in" },
+  [AUDIT_EVENTS.LOGIN_FAILURE]: { category: "security", label: "Login failed" },
+  [AUDIT_EVENTS.ACCOUNT_LOCKED]: { category: "security", label: "Login locked after repeated failures" },
+  [AUDIT_EVENTS.REGISTRATION]: { category: "security", label: "Registered" },
+  [AUDIT_EVENTS.REGISTRATION_FAILURE]: { category: "security", label: "Registration failed" },
+  [AUDIT_EVENTS.LOGOUT]: { category: "security", label: "Logged out" },
+  [AUDIT_EVENTS.PASSWORD_CHANGED]: { category: "security", label: "Password changed" },
+  [AUDIT_EVENTS.PASSWORD_CHANGE_FAILURE]: { category: "security", label: "Password change failed" },
+  [AUDIT_EVENTS.PASSWORD_RESET_REQUESTED]: { category: "security", label: "Password reset requested" },
+  [AUDIT_EVENTS.PASSWORD_RESET]: { category: "security", label: "Password reset" },
+  [AUDIT_EVENTS.PASSWORD_RESET_FAILURE]: { category: "security", label: "Password reset failed" },
+  [AUDIT_EVENTS.DECRYPTION_FAILURE]: { category: "security", label: "Stored data could not be decrypted" },
+  [AUDIT_EVENTS.DATA_EXPIRED]: { category: "security", label: "Stored data expired and was deleted" },
+  [AUDIT_EVENTS.DATA_DELETED]: { category: "security", label: "Saved resumes deleted" },
+  [AUDIT_EVENTS.ACCOUNT_DATA_DELETED]: { category: "security", label: "All account data deleted" },
+  [AUDIT_EVENTS.DATA_SAVED]: { category: "activity", label: "Resume saved" },
+  [AUDIT_EVENTS.DATA_EXPORTED]: { category: "activity", label: "Data exported" },
+  [AUDIT_EVENTS.DATA_IMPORTED]: { category: "activity", label: "Data imported" },
+  [AUDIT_EVENTS.RESUME_CREATED]: { category: "activity", label: "Resume created" },
+  [AUDIT_EVENTS.RESUME_DELETED]: { category: "activity", label: "Resume deleted" },
+  [AUDIT_EVENTS.VERSION_RESTORED]: { category: "activity", label: "Version restored" },
+  [AUDIT_EVENTS.CHAT_DELETED]: { category: "activity", label: "Conversation deleted" },
+};
+
+const AUDIT_STORAGE_KEY = "RA_AUDIT_LOG";
+const MAX_AUDIT_EVENTS = 500;
+
+/**
+ * Backend that keeps the newest `maxEvents` events in localStorage.
+ * @param {{ storageKey?: string, maxEvents?: number }} [options]
+ * @returns {{ append: Function, list: Function, remove: Function }}
+ */
+export const createLocalAuditBackend = ({ storageKey = AUDIT_STORAGE_KEY, maxEvents = MAX_AUDIT_EVENTS } = {}) => {
+  const read = () => {
+    try {
+      const events = JSON.parse(localStorage.getItem(storageKey));
+      return Array.isArray(events) ? events : [];
+    } catch (e) {
+      return [];
+    }
+  };
+  const write = (events) => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(events.slice(-maxEvents)));
+    } catch (e) {
+      // A full storage quota must never break the action being logged
+      console.error("[AuditLog] Could not store audit events.", e);
+    }
+  };
+  return {
+    append: (event) => write([...read(), event]),
+    list: () => read(),
+    remove: (predicate) => write(read().filter((event) => !predicate(event))),
+  };
+};
+
+let backend = createLocalAuditBackend();
+const listeners = new Set();
+// Backend calls run one after another, so events are stored in the order they happened
+let pending = Promise.resolve();
+
+const enqueue = (task) => {
+  pending = pending.then(task).catch((err) => console.error("[AuditLog] Audit backend call failed.", err));
+  return pending;
+};
+
+/**
+ * Replaces where events are stored (e.g. with a backend that posts them to a server).
+ * @param {{ append: Function, list: Function, remove: Function }} nextBackend
+ */
+export const setAuditBackend = (nextBackend) => {
+  backend = nextBackend;
+};
+
+/**
+ * Records one event.
+ * @param {string} type - One of AUDIT_EVENTS.
+ * @param {string|null} user - The user's email (null when unknown).
+ * @param {object} [details] - Event specific data; never passwords or hashes.
+ * @returns {object} The recorded event.
+ */
+export const logAuditEvent = (type, user, details = {}) => {
+  const info = AUDIT_EVENT_INFO[type];
+  if (!info) throw new Error(`Unknown audit event type: ${type}`);
+  const event = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+    type,
+    category: info.category,
+    user: user ? user.toLowerCase() : null,
+    timestamp: new Date().toISOString(),
+    details,
+  };
+
+  console.log(`[LOG:${info.category.toUpperCase()}] ${event.user || "Anonymous user"}: ${info.label}.`, details);
+  enqueue(async () => {
+    await backend.append(event);
+    listeners.forEach((listener) => listener(event));
+  });
+  return event;
+};
+
+/**
+ * Events of one user, newest first.
+ * @param {string} user
+ * @returns {Promise<object[]>}
+ */
+export const getAuditEvents = async (user) => {
+  await pending;
+  const events = await backend.list();
+  return events.filter((event) => event.user === user.toLowerCase()).reverse();
+};
+
+/**
+ * Deletes all events of one user (part of "delete all my data").
+ * @param {string} user
+ * @returns {Promise<void>}
+ */
+export const removeAuditEvents = (user) => enqueue(() => backend.remove((event) => event.user === user.toLowerCase()));
+
+/**
+ * Calls the listener after each recorded event.
+ * @param {(event: object) => void} listener
+ * @returns {() => void} Unsubscribes.
+ */
+export const subscribeAuditLog = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -1,38 +1,50 @@
-import React, { useState, useCallback } from "react";
-
-// NOTE: This URL points to a mock Google Apps Script endpoint 
-// for demonstration purposes of authentication flow and security implementation.
-const APPS_SCRIPT_URL =
-  "https://script.google.com/macros/s/AKfycbzTqKmb1sqsmGhh2g5MgBIw7JWtgYpEQ10cxZYIKFK0Kuitd6I_UYFKoUSoEIMDux1m/exec";
+import React, { useState, useEffect } from "react";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+import { evaluatePassword, isValidEmail } from "./PasswordPolicy";
+import { getLoginThrottle, recordLoginFailure, clearLoginFailures } from "./LoginThrottle";
+import { getAuthAdapter, hashPassword } from "./AuthClient";
+import { createStoreSecret } from "./ResumeStore";
+import PasswordStrength from "./PasswordStrength";
+import PasswordReset from "./PasswordReset";
+
+// "95000" -> "1 min 35 s"
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)} min ${seconds % 60} s` : `${seconds} s`;
+};
 
 export default function Auth({ onLogin }) {
   const [isLogin, setIsLogin] = useState(true);
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [remember, setRemember] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-
-  // SHA-256 helper for client-side password hashing (security simulation)
-  const sha256 = useCallback(async (message) => {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(message);
-    // Note: crypto.subtle.digest is asynchronous and secure
-    const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
-  }, []);
-
-  const validateEmail = (value) => {
-    return /^.+@.+\..+$/.test(value);
-  };
+  // Shown on the login form after a password reset
+  const [notice, setNotice] = useState(null);
+  const [resetting, setResetting] = useState(false);
+  // Re-renders every second while a login delay or lockout counts down
+  const [, setTick] = useState(0);
+
+  const normalizedEmail = (email || "").trim().toLowerCase();
+  const strength = isLogin ? null : evaluatePassword(password, normalizedEmail);
+  const throttle = isLogin && isValidEmail(normalizedEmail) ? getLoginThrottle(normalizedEmail) : null;
+  const waiting = Boolean(throttle && !throttle.allowed);
+
+  useEffect(() => {
+    if (!waiting) return;
+    const timer = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(timer);
+  }, [waiting]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
+    setNotice(null);
 
-    const normalizedEmail = (email || "").trim().toLowerCase();
-
-    if (!validateEmail(normalizedEmail)) {
+    if (!isValidEmail(normalizedEmail)) {
       setError("Please enter a valid email address.");
       return;
     }
@@ -40,35 +52,78 @@ export default function Auth({ onLogin }) {
       setError("Please enter a password.");
       return;
     }
+    if (waiting) {
+      setError(`Too many failed attempts. Try again in ${formatWait(throttle.waitMs)}.`);
+      return;
+    }
+    if (!isLogin && !strength.valid) {
+      setError("Choose a stronger password: it must meet every rule below.");
+      return;
+    }
+    if (!isLogin && password !== confirmPassword) {
+      setError("The passwords do not match.");
+      return;
+    }
 
     setLoading(true);
     try {
       // 1. Hash password securely before transmission
-      const passwordHash = await sha256(password);
-
-      // 2. Mock API call
-      const url = `${APPS_SCRIPT_URL}?action=${
-        isLogin ? "login" : "register"
-      }&email=${encodeURIComponent(normalizedEmail)}&password=${passwordHash}`;
+      const passwordHash = await hashPassword(password);
 
-      const resp = await fetch(url);
-      const result = await resp.json();
+      // 2. Call the configured auth backend (see AuthClient.js)
+      const adapter = getAuthAdapter();
+      const result = await adapter[isLogin ? "login" : "register"]({ email: normalizedEmail, passwordHash, remember });
 
-      if (result.status === "success") {
+      if (result.ok) {
         // Successful login/register
-        onLogin({ email: normalizedEmail, passwordHash }); 
+        logAuditEvent(isLogin ? AUDIT_EVENTS.LOGIN_SUCCESS : AUDIT_EVENTS.REGISTRATION, normalizedEmail, { remember });
+        clearLoginFailures(normalizedEmail);
+        // The resume store is keyed from the password itself, never from the hash just sent
+        const storeSecret = await createStoreSecret(password);
+        onLogin({ email: normalizedEmail, storeSecret, token: result.token, expiresAt: result.expiresAt, remember }); 
+      } else if (isLogin) {
+        // Handle API-side errors (e.g., wrong password); each one slows the next attempt down
+        const { locked, failures } = recordLoginFailure(normalizedEmail);
+        logAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, normalizedEmail, { reason: result.message || "rejected", failures });
+        if (locked) {
+          logAuditEvent(AUDIT_EVENTS.ACCOUNT_LOCKED, normalizedEmail, { failures });
+          setError("Too many failed attempts. Login for this email is locked for 15 minutes.");
+        } else {
+          setError(result.message || "Authentication failed. Check your credentials.");
+        }
       } else {
-        // Handle API-side errors (e.g., user not found)
-        setError(result.message || "Authentication failed. Check your credentials.");
+        logAuditEvent(AUDIT_EVENTS.REGISTRATION_FAILURE, normalizedEmail, { reason: result.message || "rejected" });
+        setError(result.message || "Registration failed. Please try again.");
       }
     } catch (err) {
       // Handle network errors
-      setError("Network or server error: Could not reach the authentication endpoint.");
+      logAuditEvent(isLogin ? AUDIT_EVENTS.LOGIN_FAILURE : AUDIT_EVENTS.REGISTRATION_FAILURE, normalizedEmail, { reason: "network error" });
+      setError(err.message);
     } finally {
       setLoading(false);
     }
   };
 
+  if (resetting) {
+    return (
+      <div className="auth-container">
+        <div className="card auth-card">
+          <PasswordReset
+            initialEmail={normalizedEmail}
+            onDone={(resetEmail) => {
+              setResetting(false);
+              setIsLogin(true);
+              setEmail(resetEmail);
+              setPassword("");
+              setNotice("Your password has been reset. Log in with the new password.");
+            }}
+            onCancel={() => setResetting(false)}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="card auth-card">
@@ -87,30 +142,79 @@ export default function Auth({ onLogin }) {
             disabled={loading}
           />
 
-          <input
-            className="text-input"
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-            disabled={loading}
-          />
-
-          <button type="submit" className="btn primary full-width" disabled={loading}>
+          <div className="password-field">
+            <input
+              className="text-input"
+              type={showPassword ? "text" : "password"}
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={isLogin ? "current-password" : "new-password"}
+              required
+              disabled={loading}
+            />
+            <button
+              type="button"
+              className="password-toggle"
+              onClick={() => setShowPassword(!showPassword)}
+              aria-label={showPassword ? "Hide password" : "Show password"}
+              aria-pressed={showPassword}
+            >
+              {showPassword ? "Hide" : "Show"}
+            </button>
+          </div>
+
+          {!isLogin && (
+            <>
+              <input
+                className="text-input"
+                type={showPassword ? "text" : "password"}
+                placeholder="Confirm password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+              {confirmPassword && confirmPassword !== password && <p className="hint file-error password-mismatch">The passwords do not match.</p>}
+              {password && <PasswordStrength result={strength} />}
+            </>
+          )}
+
+          <label className="remember-me">
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} disabled={loading} />
+            Remember me on this device
+          </label>
+
+          {waiting && (
+            <p className="hint file-error">
+              {throttle.locked ? "Login is locked after too many failed attempts." : "Too many failed attempts."} Try again in {formatWait(throttle.waitMs)}.
+            </p>
+          )}
+
+          <button type="submit" className="btn primary full-width" disabled={loading || waiting}>
             {loading ? (isLogin ? "Logging in..." : "Registering...") : isLogin ? "Login" : "Register"}
           </button>
         </form>
 
+        {notice && <p className="hint auth-notice">{notice}</p>}
         {error && <p className="error" style={{ color: "#b00020", marginTop: "0.6rem" }}>{error}</p>}
 
+        {isLogin && (
+          <div className="switch-auth center" style={{ marginTop: "0.8rem" }}>
+            <button className="link-button" onClick={() => { setResetting(true); setError(null); setNotice(null); }} type="button" disabled={loading}>
+              Forgot password?
+            </button>
+          </div>
+        )}
+
         <div className="switch-auth center" style={{ marginTop: "0.8rem" }}>
           <span style={{ marginRight: "0.5rem" }}>
             {isLogin ? "Need an account?" : "Already have an account?"}
           </span>
           <button
             className="link-button"
-            onClick={() => { setIsLogin(!isLogin); setError(null); }}
+            onClick={() => { setIsLogin(!isLogin); setError(null); setNotice(null); setConfirmPassword(""); }}
             type="button"
             disabled={loading}
           >
@@ -0,0 +1,118 @@
+// AuthClient.js
+
+import { createMockAuthAdapter } from "./MockAuthAdapter";
+
+/**
+ * AUTHENTICATION BACKENDS
+ * Every account operation goes through an auth adapter with this interface
+ * (all methods return Promises):
+ *   register({ email, passwordHash, remember })           -> { ok, message?, token?, expiresAt? }
+ *   login({ email, passwordHash, remember })              -> { ok, message?, token?, expiresAt? }
+ *   logout({ token })                                     -> { ok }
+ *   verifySession({ token })                              -> { ok, message?, email?, expiresAt? }
+ *   changePassword({ token, email, currentPasswordHash, newPasswordHash }) -> { ok, message? }
+ *   requestPasswordReset({ email })                       -> { ok, message?, devCode? }
+ *   resetPassword({ email, code, newPasswordHash })       -> { ok, message? }
+ * A rejected request resolves with ok: false and a message; methods only throw
+ * when the backend cannot be reached. Passwords are hashed (SHA-256) in the
+ * browser, so the backend never sees them in clear text.
+ *
+ * The adapter is chosen by configuration (.env):
+ *   REACT_APP_AUTH_ADAPTER=mock  in-browser mock (MockAuthAdapter.js), works offline; the default in development
+ *   REACT_APP_AUTH_ADAPTER=http  JSON POST requests to REACT_APP_AUTH_URL
+ *                                (default http://localhost:4000/api/auth, see server/auth-server.js);
+ *                                the default in production builds
+ * The mock keeps every account in the browser's own localStorage, so anyone
+ * with access to it can read or change them: a production build only uses it
+ * when REACT_APP_AUTH_ADAPTER=mock is set explicitly, and then logs an error.
+ */
+
+const DEFAULT_AUTH_URL = "http://localhost:4000/api/auth";
+
+// Endpoint path of each adapter method on the HTTP backend
+const HTTP_ROUTES = {
+  register: "/register",
+  login: "/login",
+  logout: "/logout",
+  verifySession: "/session",
+  changePassword: "/change-password",
+  requestPasswordReset: "/reset-password/request",
+  resetPassword: "/reset-password/confirm",
+};
+
+/**
+ * SHA-256 of the password as hex, sent to the auth backend instead of the password (security simulation).
+ * Never use it as an encryption key: the resume store derives its key from the password itself.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = async (password) => {
+  const data = new TextEncoder().encode(password);
+  // Note: crypto.subtle.digest is asynchronous and secure
+  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+/**
+ * Adapter for a server speaking the reference server's protocol: every call is
+ * a JSON POST, credentials only ever travel in the request body, and replies
+ * are { status: "success", ... } or { status: "error", message }.
+ * @param {string} baseUrl - e.g. "http://localhost:4000/api/auth".
+ * @returns {object} An auth adapter.
+ */
+export const createHttpAuthAdapter = (baseUrl) => {
+  const post = async (route, body) => {
+    let result;
+    try {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      result = await response.json();
+    } catch (err) {
+      throw new Error("Network or server error: Could not reach the authentication server.");
+    }
+    const { status, ...rest } = result || {};
+    return status === "success" ? { ...rest, ok: true } : { ok: false, message: rest.message };
+  };
+
+  return Object.fromEntries([
+    ["name", "http"],
+    ...Object.entries(HTTP_ROUTES).map(([method, route]) => [method, (body) => post(route, body)]),
+  ]);
+};
+
+const createConfiguredAdapter = () => {
+  const production = process.env.NODE_ENV === "production";
+  const fallback = production ? "http" : "mock";
+  let kind = process.env.REACT_APP_AUTH_ADAPTER || fallback;
+  if (kind !== "http" && kind !== "mock") {
+    console.warn(`[AuthClient] Unknown REACT_APP_AUTH_ADAPTER "${kind}", using the ${fallback} adapter.`);
+    kind = fallback;
+  }
+  if (kind === "http") return createHttpAuthAdapter(process.env.REACT_APP_AUTH_URL || DEFAULT_AUTH_URL);
+  if (production) {
+    console.error("[AuthClient] ⚠️ This production build uses the MOCK auth adapter: accounts live in this browser's localStorage and are NOT secure. Set REACT_APP_AUTH_ADAPTER=http.");
+  }
+  return createMockAuthAdapter();
+};
+
+let adapter = null;
+
+/**
+ * The configured auth adapter.
+ * @returns {object}
+ */
+export const getAuthAdapter = () => {
+  if (!adapter) adapter = createConfiguredAdapter();
+  return adapter;
+};
+
+/**
+ * Replaces the auth adapter (e.g. with one for another identity provider).
+ * @param {object} nextAdapter - Implements the interface described above.
+ */
+export const setAuthAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
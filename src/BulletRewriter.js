@@ -0,0 +1,209 @@
+// BulletRewriter.js
+
+import { WEAK_WORDS } from "./Vocabulary";
+
+/**
+ * RULE-BASED BULLET REWRITES
+ * Finds resume lines that open with a weak phrase ("Responsible for ...",
+ * "Worked on ...") and proposes rewrites that lead with a strong action verb.
+ * A rewrite must not change what the line says: the line's own verb is used
+ * when it hides behind the weak phrase ("Worked on testing" -> "Tested"),
+ * otherwise only verbs that fit both the weak phrase and what the line acts on.
+ * Lines where no such verb is known get no suggestion, but are still listed so
+ * the AI mode in RewriteAssistant.js can help with them. Works fully offline.
+ */
+
+const MAX_REWRITES = 4;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Bullet marker, optional "I"/"was", then a weak phrase from Vocabulary.js (longest first)
+const LINE_PREFIX = /^(\s*(?:[-*•–—]|\d+\.)\s+|\s*)/;
+const WEAK_OPENER = new RegExp(
+  `^(?:i\\s+)?(?:was\\s+|were\\s+)?(${[...WEAK_WORDS].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})\\b[\\s,:]*`,
+  "i"
+);
+
+// Openers that say nothing about the work itself, so any verb that fits the object can replace them
+const VAGUE_OPENERS = new Set([
+  "responsible for", "worked on", "duties included", "my main task was", "i was tasked with", "involved in", "was involved in", "gained experience in",
+]);
+
+// What the line acts on (its object, see objectOf) -> verbs for that kind of work. `verbs` replace a
+// vague opener; `keeps` lists, per weak verb, the strong verbs that keep its meaning for this object.
+const OBJECT_VERBS = [
+  {
+    pattern: /^(customers|clients|users|students|patients|stakeholders|colleagues)\b/i,
+    verbs: ["Advised", "Guided", "Served"],
+    keeps: { supported: ["Guided", "Served"], assisted: ["Guided", "Served"], handled: ["Served"] },
+  },
+  {
+    pattern: /\b(team|teams|interns|engineers|staff|group|squad)\b/i,
+    verbs: ["Led", "Orchestrated", "Managed"],
+    keeps: { managed: ["Led", "Orchestrated"], ran: ["Led", "Orchestrated"], oversaw: ["Led", "Orchestrated"] },
+  },
+  {
+    pattern: /\b(apps?|applications?|websites?|sites?|apis?|services?|systems?|tools?|features?|platforms?|pipelines?|dashboards?|models?|modules?|backend|frontend|databases?|scripts?|prototypes?)\b/i,
+    verbs: ["Built", "Engineered", "Designed", "Developed"],
+    keeps: { "developed a": ["Built", "Engineered", "Designed"] },
+  },
+  {
+    pattern: /\b(process|processes|workflow|workflows|efficiency|performance|latency|quality|operations)\b/i,
+    verbs: ["Streamlined", "Optimized"],
+    keeps: { managed: ["Orchestrated"], ran: ["Orchestrated"], oversaw: ["Orchestrated"] },
+  },
+  {
+    pattern: /\b(data|analysis|metrics|research|insights|trends|kpis?)\b/i,
+    verbs: ["Analyzed"],
+    keeps: {},
+  },
+  {
+    pattern: /\b(launch|initiative|project|campaign|migration|rollout|program|strategy)\b/i,
+    verbs: ["Spearheaded", "Drove", "Initiated"],
+    keeps: { managed: ["Led", "Spearheaded", "Drove"], ran: ["Led", "Spearheaded", "Drove"], oversaw: ["Led", "Spearheaded"] },
+  },
+];
+
+// The object of the line: the last word before its first preposition, the head of that noun phrase
+// ("customers with onboarding" -> "customers", "billing system migration" -> "migration")
+const objectOf = (rest) => rest.split(/\s+(?:for|with|in|on|at|to|across|by|from|of|using|via|through|into|and|while)\b|[,;]/i)[0].trim().split(/\s+/).pop();
+
+// Strong verbs for `weakPhrase` (an opener, or a weak verb recovered from the line) that fit the object
+const fittingVerbs = (weakPhrase, rest) => {
+  const match = OBJECT_VERBS.find((c) => c.pattern.test(objectOf(rest)));
+  if (!match) return [];
+  return VAGUE_OPENERS.has(weakPhrase) ? match.verbs : match.keeps[weakPhrase] || [];
+};
+
+// "the development of X" reads better as "Developed X"
+const NOMINALIZATIONS = {
+  development: "develop", creation: "create", implementation: "implement", design: "design",
+  analysis: "analyze", optimization: "optimize", execution: "execute",
+};
+const NOMINAL_OPENER = new RegExp(`^(?:the\\s+)?(${Object.keys(NOMINALIZATIONS).join("|")})\\s+of\\s+`, "i");
+
+// Verbs a gerund after the opener is recognized as (base form -> verbs that say the same thing).
+// Any other "-ing" word ("everything", "string", "billing") is left alone.
+const KNOWN_VERBS = {
+  analyze: ["Evaluated", "Assessed"], automate: [], build: ["Developed", "Engineered"], coach: ["Mentored", "Trained"],
+  code: ["Programmed"], collect: ["Gathered"], conduct: ["Led"], configure: ["Set up"], coordinate: ["Organized", "Orchestrated"],
+  create: ["Built", "Designed"], debug: ["Troubleshot", "Diagnosed"], deliver: ["Shipped"], deploy: ["Released", "Shipped"],
+  design: ["Architected"], develop: ["Built", "Engineered"], document: [], draft: ["Wrote"], evaluate: ["Assessed", "Reviewed"],
+  execute: ["Carried out"], fix: ["Resolved", "Repaired"], gather: ["Collected"], grow: ["Expanded", "Scaled"],
+  identify: ["Pinpointed"], implement: ["Built", "Delivered"], improve: ["Enhanced", "Optimized"], integrate: [],
+  investigate: ["Researched", "Examined"], launch: ["Introduced", "Released"], lead: ["Directed", "Headed"], make: ["Created", "Built"],
+  map: ["Charted"], mentor: ["Coached", "Trained"], migrate: ["Moved", "Transitioned"], monitor: ["Tracked"], negotiate: [],
+  optimize: ["Improved", "Streamlined"], organize: ["Coordinated", "Arranged"], plan: ["Organized", "Scheduled"], prepare: ["Drafted"],
+  present: ["Delivered"], produce: ["Created"], program: ["Coded"], prototype: ["Built"], recruit: ["Hired"], redesign: ["Reworked"],
+  refactor: ["Restructured"], research: ["Investigated", "Studied"], resolve: ["Fixed"], review: ["Evaluated", "Audited"],
+  scale: ["Expanded", "Grew"], sell: [], ship: ["Delivered", "Released"], streamline: ["Simplified", "Optimized"], study: ["Investigated", "Analyzed"],
+  teach: ["Trained", "Coached"], test: ["Validated", "Verified"], train: ["Coached", "Mentored"], troubleshoot: ["Debugged", "Diagnosed"],
+  update: ["Refreshed"], upgrade: ["Modernized"], validate: ["Verified", "Tested"], write: ["Authored", "Drafted"],
+  // Weak verbs: recognized so they can be replaced (see WEAK_PAST), never suggested themselves
+  assist: [], do: [], handle: [], help: [], maintain: [], manage: [], process: [], run: [], support: [], use: [], work: [],
+};
+
+const IRREGULAR_PAST = {
+  build: "built", lead: "led", make: "made", write: "wrote", grow: "grew", teach: "taught", sell: "sold",
+  run: "ran", do: "did", troubleshoot: "troubleshot",
+};
+// Past forms that are no stronger than the phrase they would replace
+const WEAK_PAST = new Set(["used", "helped", "worked", "did", "ran", "managed", "handled", "supported", "assisted", "maintained", "processed"]);
+
+// A gerund straight before a bare singular noun names a kind of thing, not an action:
+// "billing system", "logging infrastructure", "testing framework"
+const NOUN_HEADS = /^(system|infrastructure|platform|service|pipeline|module|process|team|department|engine|framework|stack|tool|library|layer|program|workflow|suite|environment|solution|feature|software|materials?|sessions?)\b/i;
+
+// "developing" -> "develop", "planning" -> "plan", "making" -> "make"; null for words that are not known verbs
+const gerundBase = (gerund) => {
+  const stem = gerund.toLowerCase().slice(0, -3);
+  const undoubled = /([b-df-hj-np-tv-z])\1$/.test(stem) ? stem.slice(0, -1) : null;
+  return [stem, `${stem}e`, undoubled].find((base) => base && Object.hasOwn(KNOWN_VERBS, base)) || null;
+};
+
+// "develop" -> "developed", "study" -> "studied", "plan" -> "planned" (the gerund shows the doubling), "run" -> "ran"
+const pastOf = (base, gerund = "") => {
+  if (IRREGULAR_PAST[base]) return IRREGULAR_PAST[base];
+  if (/e$/.test(base)) return `${base}d`;
+  if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ied`;
+  if (gerund.toLowerCase().startsWith(`${base}${base.slice(-1)}ing`)) return `${base}${base.slice(-1)}ed`;
+  return `${base}ed`;
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// The line's own verb in the past tense, then the verbs that say the same thing
+const ownVerbRewrites = (base, past, rest) =>
+  [capitalize(past), ...KNOWN_VERBS[base]].map((verb) => `${verb} ${rest}`);
+
+/**
+ * Proposes rewrites for one bullet that opens with a weak phrase.
+ * @param {string} bullet - The line without its bullet marker.
+ * @returns {string[]} Rewritten lines, best first (empty when the line has no weak opener).
+ */
+export const suggestRewrites = (bullet) => {
+  const opener = bullet.match(WEAK_OPENER);
+  if (!opener) return [];
+  const weakPhrase = opener[1].toLowerCase();
+  const hasPeriod = /\.\s*$/.test(bullet);
+  let rest = bullet.slice(opener[0].length).replace(/\.\s*$/, "").trim();
+  if (!rest) return [];
+  // "Developed a React app" keeps its article
+  if (/\sa$/.test(weakPhrase)) rest = `a ${rest}`;
+
+  // "Managed to reduce ...", "Had to fix ...": the real verb follows, and no swap keeps its meaning
+  if (/\sto$/.test(weakPhrase) || /^to\s+[a-z]+/i.test(rest)) return [];
+
+  // The line's own verb, if it was hiding right behind the weak phrase ("Worked on designing ...");
+  // only a weak one ("Responsible for managing ...") is replaced, by verbs that keep its meaning
+  let meaning = weakPhrase;
+  const gerund = rest.match(/^([a-z]+ing)\s+(\S+)/i);
+  const base = gerund && !NOUN_HEADS.test(gerund[2]) ? gerundBase(gerund[1]) : null;
+  const nominal = rest.match(NOMINAL_OPENER);
+  let own = null;
+  if (base) {
+    const past = pastOf(base, gerund[1]);
+    rest = rest.slice(gerund[1].length).trim();
+    if (WEAK_PAST.has(past)) meaning = past;
+    else own = ownVerbRewrites(base, past, rest);
+  } else if (nominal) {
+    const verb = NOMINALIZATIONS[nominal[1].toLowerCase()];
+    rest = rest.slice(nominal[0].length);
+    own = ownVerbRewrites(verb, pastOf(verb), rest);
+  }
+
+  const rewrites = own || fittingVerbs(meaning, rest)
+    .filter((verb) => verb.toLowerCase() !== weakPhrase)
+    .map((verb) => `${verb} ${rest}`);
+  return [...new Set(rewrites)].slice(0, MAX_REWRITES).map((r) => (hasPeriod ? `${r}.` : r));
+};
+
+/**
+ * Finds every line of the resume that opens with a weak phrase, including
+ * those no rule-based rewrite fits (their `rewrites` is empty; the AI can still help).
+ * @param {string} text - Raw resume text.
+ * @returns {Array<{ lineIndex: number, prefix: string, bullet: string, weakPhrase: string, openerLength: number, rewrites: string[] }>}
+ *   `prefix` is the original bullet marker and indentation, kept when a rewrite is applied;
+ *   `openerLength` is how many characters of `bullet` the weak opener spans.
+ */
+export const findWeakBullets = (text) =>
+  (text || "").split("\n").flatMap((line, lineIndex) => {
+    const prefix = line.match(LINE_PREFIX)[0];
+    const bullet = line.slice(prefix.length).trimEnd();
+    const opener = bullet.match(WEAK_OPENER);
+    if (!opener) return [];
+    return [{ lineIndex, prefix, bullet, weakPhrase: opener[1].toLowerCase(), openerLength: opener[0].trimEnd().length, rewrites: suggestRewrites(bullet) }];
+  });
+
+/**
+ * Replaces one line of the resume text with a rewrite, keeping its bullet marker.
+ * @param {string} text
+ * @param {{ lineIndex: number, prefix: string }} weakBullet - From findWeakBullets.
+ * @param {string} rewrite
+ * @returns {string}
+ */
+export const applyRewrite = (text, weakBullet, rewrite) => {
+  const lines = text.split("\n");
+  lines[weakBullet.lineIndex] = `${weakBullet.prefix}${rewrite}`;
+  return lines.join("\n");
+};
@@ -0,0 +1,63 @@
+// BulletRewriter.test.js
+
+import { suggestRewrites, findWeakBullets, applyRewrite } from "./BulletRewriter";
+
+describe("suggestRewrites", () => {
+  test("leaves lines without a weak opener alone", () => {
+    expect(suggestRewrites("Shipped a billing service")).toEqual([]);
+  });
+
+  test("uses the line's own verb when it hides behind the opener", () => {
+    const rewrites = suggestRewrites("Worked on studying user churn");
+    expect(rewrites[0]).toBe("Studied user churn");
+    expect(rewrites.length).toBeGreaterThan(1);
+  });
+
+  test("conjugates doubled consonants and irregular verbs", () => {
+    expect(suggestRewrites("Responsible for planning the quarterly roadmap")[0]).toBe("Planned the quarterly roadmap");
+    expect(suggestRewrites("Worked on debugging flaky tests")[0]).toBe("Debugged flaky tests");
+    expect(suggestRewrites("Worked on building the onboarding flow")[0]).toBe("Built the onboarding flow");
+  });
+
+  test("turns a nominalization back into its verb", () => {
+    expect(suggestRewrites("Responsible for the development of a CRM.")).toEqual([
+      "Developed a CRM.", "Built a CRM.", "Engineered a CRM.",
+    ]);
+  });
+
+  test("does not read non-verbs and noun modifiers as the line's verb", () => {
+    expect(suggestRewrites("Responsible for everything related to onboarding")).toEqual([]);
+    expect(suggestRewrites("Worked on string parsing utilities")).toEqual([]);
+    expect(suggestRewrites("Worked on logging infrastructure upgrades")).toEqual([]);
+    suggestRewrites("Worked on billing system migration").forEach((rewrite) => {
+      expect(rewrite).toMatch(/ billing system migration$/);
+      expect(rewrite).not.toMatch(/^Billed/);
+    });
+  });
+
+  test("offers no swap when the real verb follows the opener", () => {
+    expect(suggestRewrites("Managed to reduce churn")).toEqual([]);
+  });
+});
+
+describe("findWeakBullets", () => {
+  const TEXT = [
+    "Experience",
+    "- Worked on testing the payment flow",
+    "  • Supported the sales team",
+    "- Shipped a billing service",
+  ].join("\n");
+
+  test("lists every weak line, also those without a rule-based rewrite", () => {
+    const found = findWeakBullets(TEXT);
+    expect(found.map((b) => b.lineIndex)).toEqual([1, 2]);
+    expect(found[0]).toMatchObject({ prefix: "- ", weakPhrase: "worked on", openerLength: "Worked on".length });
+    expect(found[0].rewrites[0]).toBe("Tested the payment flow");
+    expect(found[1]).toMatchObject({ prefix: "  • ", weakPhrase: "supported", rewrites: [] });
+  });
+
+  test("applyRewrite replaces the line and keeps its bullet marker", () => {
+    const [weak] = findWeakBullets(TEXT);
+    expect(applyRewrite(TEXT, weak, weak.rewrites[0]).split("\n")[1]).toBe("- Tested the payment flow");
+  });
+});
@@ -0,0 +1,107 @@
+// ChangePassword.js
+
+import React, { useState } from "react";
+import PasswordStrength from "./PasswordStrength";
+import { evaluatePassword } from "./PasswordPolicy";
+
+/**
+ * CHANGE PASSWORD
+ * Asks for the current password and a new one that passes the password policy.
+ * The change itself (auth backend, re-encrypting saved resumes) is done by the
+ * parent's onChangePassword, which resolves with a message or throws.
+ */
+
+export default function ChangePassword({ userEmail, onChangePassword }) {
+    const [open, setOpen] = useState(false);
+    const [currentPassword, setCurrentPassword] = useState("");
+    const [newPassword, setNewPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [loading, setLoading] = useState(false);
+    // { type: "ok"|"error", text }
+    const [message, setMessage] = useState(null);
+
+    const strength = evaluatePassword(newPassword, userEmail);
+
+    const reset = () => {
+        setCurrentPassword("");
+        setNewPassword("");
+        setConfirmPassword("");
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        if (!strength.valid) {
+            setMessage({ type: "error", text: "Choose a stronger password: it must meet every rule below." });
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            setMessage({ type: "error", text: "The new passwords do not match." });
+            return;
+        }
+        if (newPassword === currentPassword) {
+            setMessage({ type: "error", text: "The new password must be different from the current one." });
+            return;
+        }
+        setLoading(true);
+        try {
+            const text = await onChangePassword(currentPassword, newPassword);
+            reset();
+            setOpen(false);
+            setMessage({ type: "ok", text });
+        } catch (err) {
+            setMessage({ type: "error", text: `⚠️ ${err.message}` });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="card change-password-card">
+            <h2 className="section-title">🔑 Password</h2>
+            {!open ? (
+                <button type="button" className="btn secondary" onClick={() => { setOpen(true); setMessage(null); }}>Change password</button>
+            ) : (
+                <form onSubmit={handleSubmit} className="change-password-form">
+                    <input
+                        className="text-input"
+                        type="password"
+                        placeholder="Current password"
+                        value={currentPassword}
+                        onChange={e => setCurrentPassword(e.target.value)}
+                        autoComplete="current-password"
+                        required
+                        disabled={loading}
+                    />
+                    <input
+                        className="text-input"
+                        type="password"
+                        placeholder="New password"
+                        value={newPassword}
+                        onChange={e => setNewPassword(e.target.value)}
+                        autoComplete="new-password"
+                        required
+                        disabled={loading}
+                    />
+                    <input
+                        className="text-input"
+                        type="password"
+                        placeholder="Confirm new password"
+                        value={confirmPassword}
+                        onChange={e => setConfirmPassword(e.target.value)}
+                        autoComplete="new-password"
+                        required
+                        disabled={loading}
+                    />
+                    {confirmPassword && confirmPassword !== newPassword && <p className="hint file-error password-mismatch">The new passwords do not match.</p>}
+                    {newPassword && <PasswordStrength result={strength} />}
+                    <div className="my-data-actions">
+                        <button type="submit" className="btn primary" disabled={loading}>{loading ? "Changing..." : "Change password"}</button>
+                        <button type="button" className="btn secondary" onClick={() => { reset(); setOpen(false); setMessage(null); }} disabled={loading}>Cancel</button>
+                    </div>
+                </form>
+            )}
+            {message && <p className={`hint ${message.type === "error" ? "file-error" : ""}`}>{message.text}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+// ChatExport.js
+
+import { downloadBlob } from "./DocxExport";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+
+/**
+ * CONVERSATION EXPORT
+ * Downloads a saved chat thread (see ChatStore.js) as a Markdown file or as a
+ * plain A4 PDF written with jsPDF (lazy-loaded, like the resume PDF export).
+ * Messages are plain text in the chatbot's light markup: *bold* and "* " / "1. "
+ * list lines, which both formats turn into their own formatting.
+ */
+
+const PAGE_MARGIN = 48;
+const SIZES = { title: 16, meta: 9, speaker: 10, body: 10.5 };
+const LINE_HEIGHT = 1.35;
+const SPEAKERS = { user: "You", bot: "Resume Assistant" };
+
+let jsPdfPromise = null;
+
+const loadJsPdf = () => {
+  if (!jsPdfPromise) jsPdfPromise = import("jspdf").then((mod) => mod.jsPDF);
+  return jsPdfPromise;
+};
+
+// *bold* inside a line, leaving a "* " list marker alone; `wrapBold` rewrites the bold text
+const convertBold = (text, wrapBold) => text
+  .split("\n")
+  .map((line) => {
+    const [, marker, rest] = line.match(/^(\s*\*\s)?(.*)$/);
+    return (marker || "") + rest.replace(/\*([^*]+)\*/g, (match, bold) => wrapBold(bold));
+  })
+  .join("\n");
+
+// "Why is my score 62?" -> "why-is-my-score-62"
+const slug = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "conversation";
+
+const fileName = (thread, extension) => `chat-${slug(thread.title)}-${new Date(thread.updatedAt).toISOString().slice(0, 10)}.${extension}`;
+
+// Status notes shown under a message in the chat, in both formats
+const notesFor = (m) => [
+  m.offline && "Offline answer from your analysis",
+  m.stopped && "Stopped",
+  m.error && `Error: ${m.error}`,
+].filter(Boolean);
+
+/**
+ * The thread as a Markdown document.
+ * @param {{ title: string, updatedAt: number, messages: Array<{ type: string, text: string }> }} thread
+ * @param {string} userEmail
+ * @returns {string}
+ */
+export const chatToMarkdown = (thread, userEmail) => {
+  const lines = [`# ${thread.title}`, "", `_${userEmail} · ${new Date(thread.updatedAt).toLocaleString()} · Dynamic Resume Analyzer_`, ""];
+  thread.messages.forEach((m) => {
+    lines.push(`**${SPEAKERS[m.type]}:**`, "");
+    // *bold* is single-asterisk in the chat, double in Markdown
+    if (m.text) lines.push(convertBold(m.text, (bold) => `**${bold}**`), "");
+    notesFor(m).forEach((note) => lines.push(`> ${note}`, ""));
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Downloads the thread as a .md file.
+ * @param {object} thread - From getChatThread.
+ * @param {string} userEmail
+ */
+export const exportChatMarkdown = (thread, userEmail) => {
+  const blob = new Blob([chatToMarkdown(thread, userEmail)], { type: "text/markdown;charset=utf-8" });
+  downloadBlob(blob, fileName(thread, "md"));
+  logAuditEvent(AUDIT_EVENTS.DATA_EXPORTED, userEmail, { format: "markdown", what: "conversation" });
+};
+
+// The PDF standard fonts only cover Latin-1: typographic punctuation gets ASCII stand-ins, emoji are dropped
+const toPdfText = (text) => convertBold(text, (bold) => bold)
+  .replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[–—]/g, "-").replace(/…/g, "...").replace(/→/g, "->")
+  .replace(/[^\n\x20-\xFF]/g, "")
+  .split("\n")
+  .map((line) => line.replace(/^\s*\*\s/, "• "));
+
+/**
+ * Writes the thread into an A4 PDF and downloads it.
+ * @param {object} thread - From getChatThread.
+ * @param {string} userEmail
+ * @returns {Promise<void>}
+ */
+export const exportChatPdf = async (thread, userEmail) => {
+  const JsPdf = await loadJsPdf();
+  const doc = new JsPdf({ unit: "pt", format: "a4" });
+  doc.setProperties({ title: thread.title, subject: "Resume Assistant conversation", creator: "Dynamic Resume Analyzer" });
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const width = doc.internal.pageSize.getWidth() - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  // Wrapped lines, starting a new page before any line that would not fit
+  const write = (text, { size = SIZES.body, fontStyle = "normal", color = "#1f2937" } = {}) => {
+    doc.setFont("helvetica", fontStyle);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    doc.splitTextToSize(text, width).forEach((line) => {
+      if (y + size * LINE_HEIGHT > pageHeight - PAGE_MARGIN) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+      doc.text(line, PAGE_MARGIN, y + size);
+      y += size * LINE_HEIGHT;
+    });
+  };
+
+  write(toPdfText(thread.title).join(" "), { size: SIZES.title, fontStyle: "bold" });
+  write(`${userEmail} - ${new Date(thread.updatedAt).toLocaleString()} - Dynamic Resume Analyzer`, { size: SIZES.meta, color: "#6b7280" });
+  y += 10;
+  thread.messages.forEach((m) => {
+    write(SPEAKERS[m.type], { size: SIZES.speaker, fontStyle: "bold", color: m.type === "user" ? "#4f46e5" : "#059669" });
+    if (m.text) toPdfText(m.text).forEach((line) => write(line || " "));
+    notesFor(m).forEach((note) => write(toPdfText(note).join(" "), { size: SIZES.meta, fontStyle: "italic", color: "#6b7280" }));
+    y += 8;
+  });
+
+  doc.save(fileName(thread, "pdf"));
+  logAuditEvent(AUDIT_EVENTS.DATA_EXPORTED, userEmail, { format: "pdf", what: "conversation" });
+};
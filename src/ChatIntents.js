@@ -0,0 +1,244 @@
+// ChatIntents.js
+
+import { JOB_ROLES, getRoleProfile } from "./RoleProfiles";
+import { findWeakBullets } from "./BulletRewriter";
+import { STRONG_ACTION_VERBS } from "./Vocabulary";
+import { TARGET_QUANTIFIED_SHARE } from "./ImpactAnalyzer";
+
+/**
+ * OFFLINE CHAT INTENTS
+ * Rule-based answers for the chatbot that need no network. Common questions
+ * ("why is my score 62?", "what keywords am I missing?", "which sections are
+ * missing?", "how do I fix weak verbs?", ...) are recognized by pattern and
+ * answered from the user's real analysis, i.e. the calculateATSScore result
+ * in ResumeAnalyzer.js, plus a few general career topics. Each answer is
+ * picked from several phrasings, so asking twice doesn't read like a form.
+ * The chatbot falls back to it whenever the LLM provider is unavailable.
+ *
+ * Answers are plain text in the chat's markup: *bold* and "1. " list lines.
+ * The chatbot escapes every message before rendering it, so resume and JD
+ * text can be quoted as is.
+ */
+
+const MAX_LISTED = 6;
+
+const SECTION_LABELS = {
+  contact: "Contact", summary: "Summary", experience: "Experience", skills: "Skills", education: "Education",
+  projects: "Projects", certifications: "Certifications", awards: "Awards",
+};
+const LINK_LABELS = { github: "GitHub", linkedin: "LinkedIn", website: "Portfolio Website" };
+
+// Score parts in the order the analysis card shows them
+const SCORE_PARTS = [
+  { key: "structure", label: "Structure (sections & links)" },
+  { key: "keywords", label: "Job description keywords" },
+  { key: "formatting", label: "Wording (weak phrases)" },
+  { key: "impact", label: "Quantified impact" },
+];
+
+const listLines = (items) => items.map((item, i) => `${i + 1}. ${item}`).join("\n");
+
+const joinTerms = (terms) => terms.slice(0, MAX_LISTED).join(", ") + (terms.length > MAX_LISTED ? ` and ${terms.length - MAX_LISTED} more` : "");
+
+const roleName = (analysis) => JOB_ROLES[analysis.roleKey] || "your role";
+
+// --- Resume intents (answered from the analysis) ---
+
+const missingKeywordTerms = (analysis, tier) => analysis.missingKeys.filter((k) => k.tier === tier).map((k) => k.term);
+
+const answerKeywords = ({ analysis }, pick) => {
+  if (!analysis.uniqueJD) {
+    return pick([
+      "I need a job description to compare against. Paste one into the JD box and re-analyze, and I'll list the keywords you're missing.",
+      "There's no job description in your analysis yet, so there's nothing to match. Add the JD and click *Analyze* again.",
+    ]);
+  }
+  const must = missingKeywordTerms(analysis, "must");
+  const nice = missingKeywordTerms(analysis, "nice");
+  if (!must.length && !nice.length) {
+    return pick([
+      `Nice: your resume covers every keyword I found in the job description (*${analysis.keywordMatchPct}%* match).`,
+      `Nothing is missing. All ${analysis.uniqueJD} job description keywords appear in your resume.`,
+    ]);
+  }
+  const lines = [];
+  if (must.length) lines.push(`*Must have:* ${joinTerms(must)}`);
+  if (nice.length) lines.push(`*Nice to have:* ${joinTerms(nice)}`);
+  return [
+    pick([
+      `You match *${analysis.keywordMatchPct}%* of the job description's keywords. Still missing:`,
+      `Your keyword match is *${analysis.keywordMatchPct}%*. These terms from the JD don't appear in your resume yet:`,
+      `Here's what the job description asks for that your resume doesn't mention (*${analysis.keywordMatchPct}%* matched so far):`,
+    ]),
+    listLines(lines),
+    pick([
+      "Add the ones you genuinely have to your skills and to the bullets where you used them.",
+      "Only add skills you really have, ideally inside an experience bullet that shows how you used them.",
+    ]),
+  ].join("\n");
+};
+
+// Required sections and links the resume lacks, as display names
+const missingParts = (analysis) => [
+  ...analysis.missing.map((k) => SECTION_LABELS[k] || k),
+  ...analysis.missingLinks.map((l) => `${LINK_LABELS[l] || l} link`),
+];
+
+const answerSections = ({ analysis }, pick) => {
+  const missing = missingParts(analysis);
+  const optional = (analysis.missingOptional || []).map((k) => SECTION_LABELS[k] || k);
+  if (!missing.length) {
+    return pick([
+      `All the sections a ${roleName(analysis)} resume needs are there.`,
+      `Good news: no required section or link is missing for ${roleName(analysis)}.`,
+    ]) + (optional.length ? ` You could still add: ${optional.join(", ")}.` : "");
+  }
+  return [
+    pick([
+      `For a ${roleName(analysis)} resume, these are missing:`,
+      `I couldn't find these required parts in your resume (${roleName(analysis)} profile):`,
+      `Your structure score loses points for:`,
+    ]),
+    listLines(missing),
+    pick([
+      "Use a clear heading for each section (e.g. \"Experience\") so ATS software can find it.",
+      "Give each one its own plain heading; unusual headings are often missed by ATS parsers.",
+    ]) + (optional.length ? ` Optional extras: ${optional.join(", ")}.` : ""),
+  ].join("\n");
+};
+
+const answerWeakWording = ({ analysis, resumeText }, pick, random) => {
+  // Only lines with a rule-based rewrite can be shown as examples
+  const weakBullets = findWeakBullets(resumeText || "").filter((b) => b.rewrites.length);
+  const unused = STRONG_ACTION_VERBS.filter((v) => !analysis.usedStrongVerbs.some((u) => u.toLowerCase() === v.toLowerCase()));
+  const verbs = [...unused].sort(() => random() - 0.5).slice(0, 4);
+  if (!weakBullets.length && !analysis.weakWordCount) {
+    return pick([
+      "Your bullets already open with strong verbs, with no weak phrases found. 💪",
+      "I didn't find any weak phrases. Your wording is in good shape.",
+    ]);
+  }
+  const parts = [
+    pick([
+      `I found *${analysis.weakWordCount}* weak phrase${analysis.weakWordCount === 1 ? "" : "s"} (like "responsible for" or "worked on").`,
+      `Your resume uses weak phrasing *${analysis.weakWordCount}* time${analysis.weakWordCount === 1 ? "" : "s"}, which costs formatting points.`,
+    ]),
+  ];
+  if (weakBullets.length) {
+    parts.push(pick(["Try these rewrites:", "Here's how a few lines could read:"]));
+    parts.push(listLines(weakBullets.slice(0, 3).map((b) => `"${b.bullet}" → *${b.rewrites[0]}*`)));
+  }
+  if (verbs.length) parts.push(`Strong verbs you haven't used yet: ${verbs.join(", ")}.`);
+  return parts.join("\n");
+};
+
+const answerImpact = ({ analysis }, pick) => {
+  const { total, quantifiedCount, unquantified } = analysis.impact;
+  if (!total) {
+    return "I couldn't find any experience or project bullets to check. List your work as bullet points under each job or project.";
+  }
+  const target = Math.round(TARGET_QUANTIFIED_SHARE * 100);
+  const header = pick([
+    `*${quantifiedCount} of ${total}* bullets include a number or measurable result; aim for about ${target}%.`,
+    `You quantify *${quantifiedCount}/${total}* bullets. Recruiters (and the score) like to see at least ${target}%.`,
+  ]);
+  if (!unquantified.length) return `${header} Every bullet has a metric, great job!`;
+  return [
+    header,
+    pick(["Ideas for the others:", "A few that could use a number:"]),
+    listLines(unquantified.slice(0, 3).map((b) => `"${b.text}": add ${b.metric}, e.g. *${b.example}*`)),
+  ].join("\n");
+};
+
+// Tip for the score part that lost the most points
+const biggestGapTip = (key, analysis, random) => {
+  if (key === "keywords") {
+    const must = missingKeywordTerms(analysis, "must");
+    return analysis.uniqueJD
+      ? `The biggest gap is *keywords*${must.length ? `: add ${joinTerms(must.slice(0, 3))} if you have them` : ""}.`
+      : "The biggest gap is *keywords*: paste the job description so your resume can be matched against it.";
+  }
+  if (key === "structure") return `The biggest gap is *structure*: add ${missingParts(analysis).join(", ")}.`;
+  if (key === "formatting") return `The biggest gap is *wording*: replace weak phrases with verbs like ${[...STRONG_ACTION_VERBS].sort(() => random() - 0.5).slice(0, 3).join(", ")}.`;
+  return "The biggest gap is *impact*: add numbers (%, $, time saved, users) to more of your bullets.";
+};
+
+const answerScore = (context, pick, random) => {
+  const { analysis } = context;
+  const { weights, maxBonus } = getRoleProfile(analysis.roleKey);
+  const lines = SCORE_PARTS.map((p) => `${p.label}: *${analysis.scores[p.key]}/${weights[p.key]}*`);
+  lines.push(`Role bonus keywords: *${analysis.scores.roleBonus}/${maxBonus}*`);
+  const gaps = SCORE_PARTS.map((p) => ({ key: p.key, lost: weights[p.key] - analysis.scores[p.key] })).sort((a, b) => b.lost - a.lost);
+  return [
+    pick([
+      `Your score is *${analysis.atsScore}%* for ${roleName(analysis)}. Here's where the points came from:`,
+      `*${analysis.atsScore}%* breaks down like this (${roleName(analysis)} profile):`,
+      `Here's how you got to *${analysis.atsScore}%*:`,
+    ]),
+    listLines(lines),
+    gaps[0].lost > 0 ? biggestGapTip(gaps[0].key, analysis, random) : "You're at the maximum in every part. 🎉",
+  ].join("\n");
+};
+
+// --- General topics (canned answers) ---
+
+const GENERAL_ANSWERS = {
+  ats: [
+    "An *ATS* (Applicant Tracking System) is software that scans resumes before a human does. It looks for:\n1. Standard section headings\n2. Keywords from the job description\n3. Simple, text-based formatting",
+    "ATS means *Applicant Tracking System*: recruiters use it to filter resumes. Use plain headings, match the JD's keywords and avoid images or tables for text.",
+  ],
+  linkedin: [
+    "Quick LinkedIn wins:\n1. A clear headline with your target role\n2. An *About* section that mirrors your resume summary\n3. Skills that match the jobs you want",
+    "To strengthen LinkedIn, use a professional photo, a keyword-rich headline and post short updates about what you're learning or building.",
+  ],
+  github: [
+    "Basic Git flow:\n1. *git clone* plus the repo URL to copy it\n2. *git add .* and *git commit -m \"message\"* to save changes\n3. *git push* to upload them",
+    "For your career, pin your best GitHub repos, give each a README with screenshots, and commit regularly so your profile shows activity.",
+  ],
+  greeting: [
+    "Hi! 👋 Ask me about your score, missing keywords, sections or weak wording.",
+    "Hello! I can explain your ATS score or suggest what to fix next. What would you like to know?",
+  ],
+};
+
+// Checked in order; the first match answers
+const INTENTS = [
+  { id: "keywords", pattern: /\bkey ?words?\b|missing (skills?|terms?)|\bjd\b|job description/i, needsAnalysis: true, answer: answerKeywords },
+  { id: "sections", pattern: /\bsections?\b|\bheadings?\b|missing (parts?|links?)|\blinks?\b/i, needsAnalysis: true, answer: answerSections },
+  { id: "weak_wording", pattern: /\bweak\b|\bverbs?\b|action words?|wording|passive|rewrite/i, needsAnalysis: true, answer: answerWeakWording },
+  { id: "impact", pattern: /quantif|\bmetrics?\b|\bnumbers?\b|\bimpact\b|measurable/i, needsAnalysis: true, answer: answerImpact },
+  { id: "score", pattern: /\bscore\b|\bscored\b|\brating\b|\d+\s*%|why .*(low|bad)|improve my resume/i, needsAnalysis: true, answer: answerScore },
+  { id: "ats", pattern: /\bats\b|applicant tracking/i, answer: (context, pick) => pick(GENERAL_ANSWERS.ats) },
+  { id: "linkedin", pattern: /linked ?in/i, answer: (context, pick) => pick(GENERAL_ANSWERS.linkedin) },
+  { id: "github", pattern: /\bgit(hub)?\b|\bcommit\b|\bclone\b/i, answer: (context, pick) => pick(GENERAL_ANSWERS.github) },
+  { id: "greeting", pattern: /^\s*(hi|hello|hey|good (morning|afternoon|evening))\b/i, answer: (context, pick) => pick(GENERAL_ANSWERS.greeting) },
+];
+
+const NO_ANALYSIS_ANSWERS = [
+  "I can answer that once your resume has been analyzed: paste it, add the job description and click *✨ Analyze*.",
+  "There's no analysis to look at yet. Run *✨ Analyze* on your resume first and ask me again.",
+];
+
+/**
+ * Suggested questions for the chat, based on whether there is an analysis.
+ * @param {object|null} analysis - calculateATSScore result.
+ * @returns {string[]}
+ */
+export const getSuggestedQuestions = (analysis) => (analysis
+  ? [`Why is my score ${analysis.atsScore}?`, "What keywords am I missing?", "Which sections are missing?", "How do I fix weak verbs?"]
+  : ["What is an ATS?", "How do I improve my LinkedIn profile?", "What are basic Git commands?"]);
+
+/**
+ * Answers a question without any network, or returns null when no intent matches.
+ * @param {string} question
+ * @param {{ analysis?: object|null, resumeText?: string }} context - The analysis is the calculateATSScore result.
+ * @param {() => number} [random] - Source of randomness for the phrasing (Math.random).
+ * @returns {{ intent: string, text: string }|null}
+ */
+export const answerLocally = (question, context = {}, random = Math.random) => {
+  const pick = (options) => options[Math.floor(random() * options.length)];
+  const intent = INTENTS.find((i) => i.pattern.test(question || ""));
+  if (!intent) return null;
+  if (intent.needsAnalysis && !context.analysis) return { intent: intent.id, text: pick(NO_ANALYSIS_ANSWERS) };
+  return { intent: intent.id, text: intent.answer(context, pick, random) };
+};
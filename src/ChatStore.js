@@ -0,0 +1,167 @@
+// ChatStore.js
+
+import { readStoreSection, writeStoreSection } from "./ResumeStore";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+
+/**
+ * SAVED CONVERSATIONS
+ * The chatbot's conversations ("threads"), saved per user in the "chats"
+ * section of their resume store record, so they are encrypted with the same
+ * key and deleted with the resumes after 5 days of inactivity (see ResumeStore.js):
+ *   { activeThreadId, threads: [{ id, title, createdAt, updatedAt, messages }] }
+ *   message = { type: "user"|"bot", text } plus `offline`, `stopped` or `error`
+ * Text is kept as plain text, whatever its source (the user, an LLM endpoint,
+ * an imported file): the chatbot escapes it when it renders a message.
+ * Like the resumes, threads can only be read and saved while the store is unlocked.
+ */
+
+const SECTION = "chats";
+const MAX_THREADS = 50;
+const MAX_MESSAGES_PER_THREAD = 200;
+const TITLE_LENGTH = 60;
+const DEFAULT_TITLE = "New conversation";
+
+const newId = () => `c_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+const readChats = (userEmail) => {
+  const chats = readStoreSection(userEmail, SECTION);
+  return chats && Array.isArray(chats.threads) ? chats : { activeThreadId: null, threads: [] };
+};
+
+// Newest threads first; the oldest ones go once there are more than MAX_THREADS
+const writeChats = (userEmail, chats) => {
+  const threads = [...chats.threads].sort((a, b) => b.updatedAt - a.updatedAt).slice(0, MAX_THREADS);
+  const activeThreadId = threads.some((t) => t.id === chats.activeThreadId) ? chats.activeThreadId : null;
+  return writeStoreSection(userEmail, SECTION, { activeThreadId, threads });
+};
+
+// Keeps what is worth saving: finished messages with their status flags. A reply
+// still streaming is saved as far as it got, marked as stopped.
+const cleanMessages = (messages) => messages
+  .filter((m) => (m?.type === "user" || m?.type === "bot") && typeof m.text === "string" && (m.text || m.error))
+  .slice(-MAX_MESSAGES_PER_THREAD)
+  .map((m) => ({
+    type: m.type,
+    text: m.text,
+    ...(m.offline && { offline: true }),
+    ...((m.stopped || m.streaming) && { stopped: true }),
+    ...(typeof m.error === "string" && { error: m.error }),
+  }));
+
+// The first question names the thread
+const titleFor = (messages) => {
+  const question = messages.find((m) => m.type === "user")?.text.replace(/\s+/g, " ").trim();
+  if (!question) return DEFAULT_TITLE;
+  return question.length > TITLE_LENGTH ? `${question.slice(0, TITLE_LENGTH - 1)}…` : question;
+};
+
+/**
+ * Whether a conversation has anything worth saving (a question from the user).
+ * @param {Array<{ type: string }>} messages
+ * @returns {boolean}
+ */
+export const hasUserMessages = (messages) => messages.some((m) => m.type === "user");
+
+/**
+ * The user's saved threads, newest first, without their messages.
+ * @param {string} userEmail
+ * @returns {{ activeThreadId: string|null, threads: Array<{ id: string, title: string, createdAt: number, updatedAt: number, messageCount: number }> }}
+ */
+export const listChatThreads = (userEmail) => {
+  const { activeThreadId, threads } = readChats(userEmail);
+  return {
+    activeThreadId,
+    threads: threads.map(({ id, title, createdAt, updatedAt, messages }) => ({ id, title, createdAt, updatedAt, messageCount: messages.length })),
+  };
+};
+
+/**
+ * @param {string} userEmail
+ * @param {string} threadId
+ * @returns {{ id: string, title: string, createdAt: number, updatedAt: number, messages: Array<object> }|null}
+ */
+export const getChatThread = (userEmail, threadId) => {
+  const thread = readChats(userEmail).threads.find((t) => t.id === threadId);
+  return thread ? JSON.parse(JSON.stringify(thread)) : null;
+};
+
+/**
+ * Saves a conversation as a new thread and makes it the active one.
+ * @param {string} userEmail
+ * @param {Array<object>} messages - Chat messages as the chatbot holds them.
+ * @returns {string|null} The new thread id, or null while the store is locked.
+ */
+export const createChatThread = (userEmail, messages) => {
+  const chats = readChats(userEmail);
+  const saved = cleanMessages(messages);
+  const thread = { id: newId(), title: titleFor(saved), createdAt: Date.now(), updatedAt: Date.now(), messages: saved };
+  if (!writeChats(userEmail, { activeThreadId: thread.id, threads: [thread, ...chats.threads] })) return null;
+  console.log(`[ChatStore] Conversation "${thread.title}" saved for ${userEmail}.`);
+  return thread.id;
+};
+
+/**
+ * Replaces the messages of a saved thread (after every finished reply).
+ * @param {string} userEmail
+ * @param {string} threadId
+ * @param {Array<object>} messages
+ * @returns {boolean} False when the thread is gone or the store is locked.
+ */
+export const saveChatThread = (userEmail, threadId, messages) => {
+  const chats = readChats(userEmail);
+  const thread = chats.threads.find((t) => t.id === threadId);
+  if (!thread) return false;
+  thread.messages = cleanMessages(messages);
+  thread.title = titleFor(thread.messages);
+  thread.updatedAt = Date.now();
+  return writeChats(userEmail, chats);
+};
+
+/**
+ * Remembers which thread is open, so it comes back after a reload. Null starts a new one.
+ * @param {string} userEmail
+ * @param {string|null} threadId
+ */
+export const setActiveChatThread = (userEmail, threadId) => {
+  const chats = readChats(userEmail);
+  writeChats(userEmail, { ...chats, activeThreadId: threadId });
+};
+
+/**
+ * @param {string} userEmail
+ * @param {string} threadId
+ */
+export const deleteChatThread = (userEmail, threadId) => {
+  const chats = readChats(userEmail);
+  const thread = chats.threads.find((t) => t.id === threadId);
+  if (!thread) return;
+  if (!writeChats(userEmail, { ...chats, threads: chats.threads.filter((t) => t.id !== threadId) })) return;
+  logAuditEvent(AUDIT_EVENTS.CHAT_DELETED, userEmail, { title: thread.title, messages: thread.messages.length });
+};
+
+/**
+ * A copy of all saved threads, for the "My Data" export.
+ * @param {string} userEmail
+ * @returns {{ activeThreadId: string|null, threads: Array<object> }|null} Null when nothing is saved or the store is locked.
+ */
+export const exportChatThreads = (userEmail) => {
+  const chats = readStoreSection(userEmail, SECTION);
+  return chats ? JSON.parse(JSON.stringify(chats)) : null;
+};
+
+/**
+ * Replaces the saved threads with those of an exported data bundle.
+ * @param {string} userEmail
+ * @param {{ activeThreadId?: string, threads: Array<{ id?: string, title?: string, createdAt?: number, updatedAt?: number, messages: Array<object> }> }} chats
+ * @returns {boolean} False when the threads are malformed or the store is locked.
+ */
+export const importChatThreads = (userEmail, chats) => {
+  const valid = chats && Array.isArray(chats.threads) && chats.threads.every((t) => t && Array.isArray(t.messages));
+  if (!userEmail || !valid) return false;
+  const threads = chats.threads.map((t) => {
+    const messages = cleanMessages(t.messages);
+    const createdAt = t.createdAt || Date.now();
+    return { id: typeof t.id === "string" ? t.id : newId(), title: t.title || titleFor(messages), createdAt, updatedAt: t.updatedAt || createdAt, messages };
+  });
+  return writeChats(userEmail, { activeThreadId: chats.activeThreadId ?? null, threads });
+};
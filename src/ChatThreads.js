@@ -0,0 +1,169 @@
+// ChatThreads.js
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+    listChatThreads, getChatThread, createChatThread, saveChatThread, setActiveChatThread, deleteChatThread, hasUserMessages,
+} from "./ChatStore";
+import { exportChatMarkdown, exportChatPdf } from "./ChatExport";
+
+/**
+ * CONVERSATION THREADS
+ * useChatThreads owns the chatbot's messages for the logged-in user and keeps
+ * them in their saved threads (ChatStore.js) once the resume store is
+ * unlocked: the open thread comes back after a reload, a new thread is saved
+ * with the first question, and each finished reply is saved with it. While the
+ * store is locked the conversation is only kept in memory; it is saved as a new
+ * thread as soon as the store is unlocked.
+ * ChatThreadList is the list of past conversations shown inside the chatbot.
+ */
+
+/**
+ * @param {string|null} userEmail
+ * @param {string|null} storeStatus - Result of unlocking the resume store; threads are saved when it is "ok".
+ * @param {Array<object>} initialMessages - Messages of a new conversation (the greeting).
+ * @returns {{ messages: Array<object>, setMessages: Function, threads: Array<object>, activeThreadId: string|null,
+ *   persistent: boolean, openThread: Function, newThread: Function, deleteThread: Function, exportThread: Function, reload: Function }}
+ */
+export function useChatThreads(userEmail, storeStatus, initialMessages) {
+    const [messages, setMessages] = useState(initialMessages);
+    const [threads, setThreads] = useState([]);
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const persistent = Boolean(userEmail) && storeStatus === "ok";
+    // Messages as last loaded or saved, so they are not written back unchanged
+    const savedRef = useRef(initialMessages);
+    const messagesRef = useRef(messages);
+    messagesRef.current = messages;
+
+    const refresh = useCallback(() => setThreads(listChatThreads(userEmail).threads), [userEmail]);
+
+    const show = useCallback((threadId, threadMessages) => {
+        savedRef.current = threadMessages;
+        setMessages(threadMessages);
+        setActiveThreadId(threadId);
+    }, []);
+
+    // Opens the thread that was open last, or a new conversation
+    const reload = useCallback(() => {
+        const { activeThreadId: savedId } = listChatThreads(userEmail);
+        const thread = savedId && getChatThread(userEmail, savedId);
+        if (thread) show(thread.id, thread.messages);
+        else show(null, initialMessages);
+        refresh();
+    }, [userEmail, initialMessages, show, refresh]);
+
+    // Every login starts from the greeting, so nothing is shared between accounts in this tab
+    useEffect(() => {
+        show(null, initialMessages);
+        setThreads([]);
+    }, [userEmail, initialMessages, show]);
+
+    useEffect(() => {
+        if (!persistent) return;
+        if (hasUserMessages(messagesRef.current)) {
+            // Chatted before the store was unlocked: keep that conversation as a new thread
+            savedRef.current = messagesRef.current;
+            setActiveThreadId(createChatThread(userEmail, messagesRef.current));
+            refresh();
+        } else {
+            reload();
+        }
+    }, [persistent, userEmail, reload, refresh]);
+
+    useEffect(() => {
+        if (!persistent || messages === savedRef.current || !hasUserMessages(messages)) return;
+        // Saved when a question is sent and when its reply is finished, not for every streamed piece
+        const last = messages[messages.length - 1];
+        if (last.streaming && last.text) return;
+        savedRef.current = messages;
+        if (!activeThreadId || !saveChatThread(userEmail, activeThreadId, messages)) {
+            setActiveThreadId(createChatThread(userEmail, messages));
+        }
+        refresh();
+    }, [messages, persistent, userEmail, activeThreadId, refresh]);
+
+    const openThread = useCallback((threadId) => {
+        const thread = getChatThread(userEmail, threadId);
+        if (!thread) return;
+        show(thread.id, thread.messages);
+        setActiveChatThread(userEmail, thread.id);
+    }, [userEmail, show]);
+
+    const newThread = useCallback(() => {
+        show(null, initialMessages);
+        if (persistent) setActiveChatThread(userEmail, null);
+    }, [userEmail, persistent, initialMessages, show]);
+
+    const deleteThread = useCallback((threadId) => {
+        deleteChatThread(userEmail, threadId);
+        if (threadId === activeThreadId) show(null, initialMessages);
+        refresh();
+    }, [userEmail, activeThreadId, initialMessages, show, refresh]);
+
+    // format: "markdown" or "pdf"
+    const exportThread = useCallback(async (threadId, format) => {
+        const thread = getChatThread(userEmail, threadId);
+        if (!thread) throw new Error("This conversation is no longer saved.");
+        if (format === "pdf") await exportChatPdf(thread, userEmail);
+        else exportChatMarkdown(thread, userEmail);
+    }, [userEmail]);
+
+    return { messages, setMessages, threads, activeThreadId, persistent, openThread, newThread, deleteThread, exportThread, reload };
+}
+
+export default function ChatThreadList({ chat, busy, onOpened }) {
+    const [error, setError] = useState(null);
+
+    const handleOpen = (threadId) => {
+        chat.openThread(threadId);
+        onOpened();
+    };
+
+    const handleNew = () => {
+        chat.newThread();
+        onOpened();
+    };
+
+    const handleDelete = (thread) => {
+        if (!window.confirm(`Delete the conversation "${thread.title}"? This cannot be undone.`)) return;
+        chat.deleteThread(thread.id);
+    };
+
+    const handleExport = (threadId, format) => {
+        setError(null);
+        chat.exportThread(threadId, format).catch(err => {
+            console.error("[ChatThreads] Export failed:", err);
+            setError(`⚠️ ${err.message || "The conversation could not be exported."}`);
+        });
+    };
+
+    return (
+        <div className="chat-threads">
+            <div className="chat-threads-header">
+                <strong>Conversations</strong>
+                <button type="button" className="btn secondary" onClick={handleNew} disabled={busy}>➕ New chat</button>
+            </div>
+            {!chat.persistent && (
+                <p className="hint">Unlock your saved resumes to keep your conversations. Until then this chat is not saved.</p>
+            )}
+            {chat.persistent && chat.threads.length === 0 && (
+                <p className="hint">No saved conversations yet. Each conversation is saved as you chat.</p>
+            )}
+            {error && <p className="hint file-error">{error}</p>}
+            <ul className="chat-thread-list">
+                {chat.threads.map(t => (
+                    <li key={t.id} className={`chat-thread ${t.id === chat.activeThreadId ? "active" : ""}`}>
+                        <button type="button" className="chat-thread-open" onClick={() => handleOpen(t.id)} disabled={busy}>
+                            <span className="chat-thread-title">{t.title}</span>
+                            <span className="chat-thread-meta">{new Date(t.updatedAt).toLocaleString()} · {t.messageCount} messages</span>
+                        </button>
+                        <div className="chat-thread-actions">
+                            <button type="button" onClick={() => handleExport(t.id, "markdown")} disabled={busy} title="Export as Markdown">.md</button>
+                            <button type="button" onClick={() => handleExport(t.id, "pdf")} disabled={busy} title="Export as PDF">PDF</button>
+                            <button type="button" onClick={() => handleDelete(t)} disabled={busy} aria-label={`Delete "${t.title}"`}>🗑</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,229 @@
+// DocxExport.js
+
+import { layoutSections } from "./ResumeParser";
+import { arrangeSections, formatHeading, templateFont } from "./ResumeTemplates";
+
+/**
+ * WORD (.DOCX) EXPORT
+ * Builds a real Word document from the structured resume model with the
+ * `docx` package (lazy-loaded, runs entirely in the browser): name header,
+ * section headings, entries with right-aligned dates and native bullet lists,
+ * in the layout, fonts and colors of the selected template. Two-column
+ * templates become a borderless two-cell table with a shaded sidebar.
+ */
+
+// A4 in twentieths of a point, with 0.7" margins
+const PAGE = { width: 11906, height: 16838, margin: 1000 };
+const BULLET_REFERENCE = "resume-bullets";
+// Sidebar share of the content width in two-column templates
+const SIDEBAR_SHARE = 0.34;
+
+// Font sizes in half-points
+const SIZES = { name: 44, headline: 23, contact: 19, heading: 24, title: 22, body: 21, small: 19 };
+
+let docxPromise = null;
+
+const loadDocx = () => {
+  if (!docxPromise) docxPromise = import("docx");
+  return docxPromise;
+};
+
+const joinParts = (parts, separator = ", ") => parts.filter(Boolean).join(separator);
+
+// "#4f46e5" -> "4F46E5", the form docx expects
+const hexColor = (color) => color.replace("#", "").toUpperCase();
+
+// Triggers a browser download of a Blob.
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Converts the resume model into docx paragraphs (and a table for two-column layouts).
+ * @param {object} docx - The loaded `docx` module.
+ */
+const buildContent = (docx, model, template) => {
+  const { Paragraph, TextRun, HeadingLevel, TabStopType, BorderStyle, AlignmentType, ShadingType, Table, TableRow, TableCell, WidthType } = docx;
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const sidebarWidth = Math.round(contentWidth * SIDEBAR_SHARE);
+  const accent = hexColor(template.palette.accent);
+  const muted = hexColor(template.palette.muted);
+  const { email, phone, linkedin, github, website, location } = model.contact;
+  const contactLine = joinParts([location, email, phone, linkedin, github, website], " | ");
+
+  const bullet = (text) => new Paragraph({
+    numbering: { reference: BULLET_REFERENCE, level: 0 },
+    children: [new TextRun(text)],
+  });
+
+  // Title left, dates right-aligned on the same line via a right tab stop; in the sidebar dates go below
+  const entry = ({ title, subtitle, dates, bullets }, columnWidth) => {
+    const sideDates = dates && columnWidth > sidebarWidth;
+    return [
+      new Paragraph({
+        spacing: { before: 120 },
+        keepNext: true,
+        tabStops: [{ type: TabStopType.RIGHT, position: columnWidth }],
+        children: [
+          new TextRun({ text: title || "", bold: true, size: SIZES.title }),
+          ...(sideDates ? [new TextRun({ text: `\t${dates}`, color: muted, size: SIZES.small })] : []),
+        ],
+      }),
+      ...(dates && !sideDates ? [new Paragraph({ keepNext: true, children: [new TextRun({ text: dates, color: muted, size: SIZES.small })] })] : []),
+      ...(subtitle ? [new Paragraph({ keepNext: bullets.length > 0, children: [new TextRun({ text: subtitle, italics: true, color: muted, size: SIZES.small })] })] : []),
+      ...bullets.map(bullet),
+    ];
+  };
+
+  const sectionBody = (key, columnWidth) => {
+    switch (key) {
+      case "summary":
+        return [new Paragraph(model.summary)];
+      case "experience":
+        return model.experience.flatMap((e) => entry({ title: joinParts([e.title, e.company]), subtitle: e.location, dates: e.dates, bullets: e.bullets }, columnWidth));
+      case "education":
+        return model.education.flatMap((e) => entry({ title: joinParts([e.degree, e.institution]), dates: e.dates, bullets: e.details }, columnWidth));
+      case "projects":
+        return model.projects.flatMap((p) => entry({ title: joinParts([p.name, p.subtitle], " – "), dates: p.dates, bullets: p.bullets }, columnWidth));
+      case "skills":
+        return model.skillGroups.map((g) => new Paragraph({
+          children: [
+            ...(g.label ? [new TextRun({ text: `${g.label}: `, bold: true })] : []),
+            new TextRun(g.items.join(", ")),
+          ],
+        }));
+      case "certifications":
+        return model.certifications.map(bullet);
+      case "awards":
+        return model.awards.map(bullet);
+      default:
+        return [];
+    }
+  };
+
+  // Band headers are accent-shaded paragraphs with white text; the others use the accent for the headline
+  const { header: headerStyle } = template;
+  const banded = headerStyle.style === "band";
+  const headerParagraph = { alignment: headerStyle.align === "center" ? AlignmentType.CENTER : AlignmentType.LEFT };
+  if (banded) headerParagraph.shading = { type: ShadingType.CLEAR, color: "auto", fill: accent };
+  const headerColor = (color) => (banded ? "FFFFFF" : color);
+  const header = [
+    new Paragraph({
+      ...headerParagraph,
+      children: [new TextRun({ text: model.name || "Candidate Name", bold: true, size: SIZES.name, color: headerColor(hexColor(template.palette.text)), font: templateFont(template, "headings").docx })],
+    }),
+    new Paragraph({ ...headerParagraph, children: [new TextRun({ text: model.headline || `${template.name} Template`, color: headerColor(accent), size: SIZES.headline })] }),
+    new Paragraph({
+      ...headerParagraph,
+      spacing: { after: 120 },
+      ...(headerStyle.style === "rule" ? { border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: accent, space: 6 } } } : {}),
+      children: contactLine ? [new TextRun({ text: contactLine, color: headerColor(muted), size: SIZES.contact })] : [],
+    }),
+  ];
+
+  const { main, sidebar } = arrangeSections(model, template);
+  if (layoutSections(model).length === 0) {
+    const lines = model.raw.split(/\r?\n/).slice(1).map((l) => l.trim()).filter(Boolean);
+    return [...header, ...lines.map((line) => new Paragraph(line))];
+  }
+
+  const sectionParagraphs = (sections, columnWidth) => sections.flatMap((s) => [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(formatHeading(s.heading, template))] }),
+    ...sectionBody(s.key, columnWidth),
+  ]);
+
+  if (sidebar.length === 0) return [...header, ...sectionParagraphs(main, contentWidth)];
+
+  // Two columns: one borderless table row, the sidebar cell shaded
+  const noBorder = { style: BorderStyle.NONE, size: 0, color: "FFFFFF" };
+  const cellMargins = { top: 0, bottom: 0, left: 160, right: 160 };
+  const mainCell = new TableCell({
+    width: { size: contentWidth - sidebarWidth, type: WidthType.DXA },
+    margins: cellMargins,
+    children: sectionParagraphs(main, contentWidth - sidebarWidth - 320),
+  });
+  const sidebarCell = new TableCell({
+    width: { size: sidebarWidth, type: WidthType.DXA },
+    margins: cellMargins,
+    shading: { type: ShadingType.CLEAR, color: "auto", fill: hexColor(template.palette.sidebar) },
+    children: sectionParagraphs(sidebar, sidebarWidth - 320),
+  });
+  const sidebarLeft = template.layout.sidebarSide === "left";
+  return [
+    ...header,
+    new Table({
+      width: { size: contentWidth, type: WidthType.DXA },
+      columnWidths: sidebarLeft ? [sidebarWidth, contentWidth - sidebarWidth] : [contentWidth - sidebarWidth, sidebarWidth],
+      borders: { top: noBorder, bottom: noBorder, left: noBorder, right: noBorder, insideHorizontal: noBorder, insideVertical: noBorder },
+      rows: [new TableRow({ children: sidebarLeft ? [sidebarCell, mainCell] : [mainCell, sidebarCell] })],
+    }),
+  ];
+};
+
+/**
+ * Creates a .docx of the resume in the selected template and downloads it.
+ * @param {object} model - Structured resume from parseResume (ResumeParser.js).
+ * @param {object} template - Resolved template from resolveTemplate (ResumeTemplates.js).
+ * @param {string} fileName
+ * @returns {Promise<void>}
+ */
+export const exportDocx = async (model, template, fileName) => {
+  const docx = await loadDocx();
+  const { Document, Packer, AlignmentType, LevelFormat, BorderStyle } = docx;
+  const bodyFont = templateFont(template, "body").docx;
+  const headingFont = templateFont(template, "headings").docx;
+  const accent = hexColor(template.palette.accent);
+
+  const doc = new Document({
+    title: `${model.name || "Candidate"} – Resume`,
+    creator: "Dynamic Resume Analyzer",
+    styles: {
+      default: {
+        document: { run: { font: bodyFont, size: SIZES.body, color: hexColor(template.palette.text) }, paragraph: { spacing: { after: 40 } } },
+      },
+      paragraphStyles: [{
+        id: "Heading1",
+        name: "Heading 1",
+        basedOn: "Normal",
+        next: "Normal",
+        quickFormat: true,
+        run: { font: headingFont, size: SIZES.heading, bold: true, color: accent },
+        paragraph: {
+          keepNext: true,
+          spacing: { before: 240, after: 80 },
+          border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: "CCCCCC", space: 2 } },
+        },
+      }],
+    },
+    numbering: {
+      config: [{
+        reference: BULLET_REFERENCE,
+        levels: [{
+          level: 0,
+          format: LevelFormat.BULLET,
+          text: template.bullet,
+          alignment: AlignmentType.LEFT,
+          style: { paragraph: { indent: { left: 360, hanging: 260 } } },
+        }],
+      }],
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: PAGE.width, height: PAGE.height },
+          margin: { top: PAGE.margin, right: PAGE.margin, bottom: PAGE.margin, left: PAGE.margin },
+        },
+      },
+      children: buildContent(docx, model, template),
+    }],
+  });
+
+  downloadBlob(await Packer.toBlob(doc), fileName);
+};
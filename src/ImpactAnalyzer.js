@@ -0,0 +1,83 @@
+// ImpactAnalyzer.js
+
+/**
+ * QUANTIFIED-IMPACT DETECTOR
+ * Checks experience and project bullets for measurable outcomes: numbers,
+ * percentages, currency amounts and scale words ("doubled", "10x"). Bullets
+ * without one get a suggestion for the kind of metric that fits their topic.
+ */
+
+// Full impact score once this share of bullets is quantified
+export const TARGET_QUANTIFIED_SHARE = 0.6;
+
+// Currency amounts: "$1.2M", "€40k", "USD 5,000", "₹2 lakh"
+const CURRENCY = /(?:[$€£₹¥]\s?\d[\d,.]*\s*(?:k|m|bn|b|million|billion|lakh|crore)?\b)|\b(?:usd|eur|gbp|inr)\s?\d[\d,.]*/i;
+// Percentages and multipliers: "35%", "12 percent", "3x"
+const RATIO = /\b\d[\d,.]*\s*(?:%|percent\b|x\b|pp\b)/i;
+// Scale and change words that state an outcome without digits
+const SCALE_WORDS = /\b(doubled|tripled|quadrupled|halved|thousands|millions|billions|hundreds|dozens)\b/i;
+// Any other count ("10,000+ users", "5 interns", "2 weeks"), except calendar years
+const COUNT = /(?:^|[^\w.])((?!(?:19|20)\d\d\b)\d[\d,]*(?:\.\d+)*)\+?(?!\w)/g;
+// Version numbers are not outcomes: a number right after a technology name ("Python 3", "Java 17")...
+const VERSIONED_NAME = /(?:^|[^\w.#+])(?:python|java|node(?:\.?js)?|react|angular|vue(?:\.?js)?|php|ruby|rails|django|spring(?: boot)?|\.net|c#|c\+\+|typescript|swift|kotlin|scala|ios|android|windows|ubuntu|macos|postgres(?:ql)?|mysql|sql server|excel|tableau|spark|hadoop|kafka|kubernetes|docker|html|css|bootstrap|laravel|webpack|terraform|elasticsearch|redis|mongodb|tensorflow|pytorch|unity|version)\s*$/i;
+// ...or one with a dotted minor version ("3.10", "1.2.3")
+const DOTTED_VERSION = /^\d+(?:\.\d+)+$/;
+
+const hasCount = (text) => [...text.matchAll(COUNT)].some((m) => {
+  const number = m[1];
+  const before = text.slice(0, m.index + m[0].indexOf(number));
+  return !DOTTED_VERSION.test(number) && !VERSIONED_NAME.test(before);
+});
+
+// Topic of the bullet -> metric that would make it measurable
+const METRIC_HINTS = [
+  { pattern: /\b(latency|performance|query|queries|load|optimi[sz]\w*|speed|cach\w*|throughput|scal\w*|response time)\b/i, metric: "latency / performance", example: "cut p95 API latency from 800 ms to 200 ms" },
+  { pattern: /\b(sales|revenue|deal|deals|upsell\w*|pricing|quota|pipeline|conversion|campaigns?|marketing|leads?)\b/i, metric: "revenue / conversion", example: "grew qualified leads by 30%, adding $120K in pipeline" },
+  { pattern: /\b(automat\w*|scripts?|manual|workflows?|process\w*|reports?|reporting|deploy\w*|ci\/cd|migrat\w*|onboarding)\b/i, metric: "time saved", example: "cut weekly reporting from 6 hours to 30 minutes" },
+  { pattern: /\b(cost|costs|budget|spend|cloud|aws|azure|gcp|infrastructure|vendors?)\b/i, metric: "cost saved", example: "reduced cloud spend by 18% ($4K/month)" },
+  { pattern: /\b(apps?|applications?|website|site|apis?|features?|platform|product|launch\w*|users?|customers?|clients?)\b/i, metric: "users / customers reached", example: "shipped to 25,000 monthly active users" },
+  { pattern: /\b(teams?|mentor\w*|led|interns?|hir\w*|train\w*|coach\w*)\b/i, metric: "team size / people impacted", example: "mentored 4 junior engineers" },
+];
+const DEFAULT_HINT = { metric: "scale / outcome", example: "state how many, how much or how fast" };
+
+/**
+ * Whether a bullet states a measurable outcome.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isQuantified = (text) =>
+  CURRENCY.test(text) || RATIO.test(text) || SCALE_WORDS.test(text) || hasCount(text);
+
+/**
+ * The kind of metric that would fit a bullet, from its topic.
+ * @param {string} text
+ * @returns {{ metric: string, example: string }}
+ */
+export const suggestMetric = (text) => {
+  const hint = METRIC_HINTS.find((h) => h.pattern.test(text)) || DEFAULT_HINT;
+  return { metric: hint.metric, example: hint.example };
+};
+
+/**
+ * Runs the impact pass over the experience and project bullets of a parsed resume.
+ * @param {object} resumeModel - From parseResume (ResumeParser.js).
+ * @returns {{ total: number, quantifiedCount: number, share: number,
+ *   unquantified: Array<{ text: string, source: string, metric: string, example: string }> }}
+ *   `source` names the job or project the bullet belongs to.
+ */
+export const analyzeImpact = (resumeModel) => {
+  const bullets = [
+    ...resumeModel.experience.flatMap((e) => e.bullets.map((text) => ({ text, source: [e.title, e.company].filter(Boolean).join(", ") }))),
+    ...resumeModel.projects.flatMap((p) => p.bullets.map((text) => ({ text, source: p.name }))),
+  ];
+  const unquantified = bullets
+    .filter((b) => !isQuantified(b.text))
+    .map((b) => ({ ...b, ...suggestMetric(b.text) }));
+  const quantifiedCount = bullets.length - unquantified.length;
+  return {
+    total: bullets.length,
+    quantifiedCount,
+    share: bullets.length ? quantifiedCount / bullets.length : 0,
+    unquantified,
+  };
+};
@@ -0,0 +1,60 @@
+// ImpactAnalyzer.test.js
+
+import { isQuantified, suggestMetric, analyzeImpact } from "./ImpactAnalyzer";
+import { parseResume } from "./ResumeParser";
+
+describe("isQuantified", () => {
+  test.each([
+    "Cut p95 latency by 35%",
+    "Grew revenue by $1.2M",
+    "Served 10,000+ users",
+    "Mentored 4 interns",
+    "Doubled weekly signups",
+    "Made the build 3x faster",
+  ])("counts %p", (text) => {
+    expect(isQuantified(text)).toBe(true);
+  });
+
+  test.each([
+    "Built internal tools",
+    "Joined the team in 2019",
+    "Migrated services to Python 3",
+    "Upgraded the app to Java 17 and React 18",
+    "Moved the build to Node 20.11.1",
+  ])("does not count %p", (text) => {
+    expect(isQuantified(text)).toBe(false);
+  });
+});
+
+describe("suggestMetric", () => {
+  test("picks the metric that fits the bullet's topic", () => {
+    expect(suggestMetric("Optimized slow database queries").metric).toBe("latency / performance");
+    expect(suggestMetric("Automated the monthly reports").metric).toBe("time saved");
+    expect(suggestMetric("Organized the offsite").metric).toBe("scale / outcome");
+  });
+});
+
+describe("analyzeImpact", () => {
+  test("checks experience and project bullets and names their source", () => {
+    const model = parseResume([
+      "Experience",
+      "Software Engineer | Acme Corp | 2020 - Present",
+      "- Cut deploy time by 40%",
+      "- Automated release notes",
+      "",
+      "Projects",
+      "Ledger CLI | Open source | 2021",
+      "- Parsed bank exports for 300 users",
+    ].join("\n"));
+    const result = analyzeImpact(model);
+    expect(result).toMatchObject({ total: 3, quantifiedCount: 2 });
+    expect(result.share).toBeCloseTo(2 / 3);
+    expect(result.unquantified).toEqual([
+      expect.objectContaining({ text: "Automated release notes", source: "Software Engineer, Acme Corp", metric: "time saved" }),
+    ]);
+  });
+
+  test("reports a share of 0 without bullets", () => {
+    expect(analyzeImpact(parseResume("Jane Doe")).share).toBe(0);
+  });
+});
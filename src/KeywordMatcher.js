@@ -0,0 +1,499 @@
+// KeywordMatcher.js
+
+/**
+ * PHRASE-AWARE KEYWORD MATCHING
+ * Extracts keywords and multi-word phrases from a job description and finds
+ * them in a resume. Both texts are tokenized into normalized word stems, so
+ * matching happens on whole words ("react" never matches inside "reactive"),
+ * plurals and verb forms line up ("APIs"/"API", "tested"/"testing"), and the
+ * bundled alias table maps common abbreviations and synonyms onto one
+ * canonical term ("js" -> JavaScript, "k8s" -> Kubernetes).
+ */
+
+// Single words that never make useful keywords on their own
+export const STOPWORDS = new Set([
+  "and", "the", "with", "from", "that", "this", "your", "their", "our", "for", "into", "able", "will", "shall", "must", "have", "has", "had",
+  "are", "was", "were", "you", "they", "them", "over", "under", "about", "above", "below", "not", "only", "but", "also", "more", "than",
+  "such", "etc", "using", "use", "used", "strong", "good", "great", "work", "role", "team", "skills", "requirements", "responsibilities",
+  "job", "description", "looking", "plus", "preferred", "required", "experience", "years", "year", "developer", "engineer", "data", "to",
+  "a", "an", "is", "of", "in", "it", "at", "by", "be", "as", "or", "which", "all", "we", "company", "client",
+  "who", "what", "when", "where", "why", "how", "can", "may", "should", "would", "could", "its", "any", "each", "other", "some",
+  "well", "via", "per", "e.g", "i.e", "including", "within", "across", "join", "help", "new", "key",
+]);
+
+// Job-ad vocabulary that describes the job rather than a skill: common verbs, adjectives and
+// nouns, matched in any form ("build", "building", "builds"). Phrases and alias terms containing
+// them still count ("build tools" when repeated, "CI/CD")
+const GENERIC_WORDS = [
+  // Verbs
+  "build", "create", "make", "develop", "deliver", "ensure", "drive", "driven", "own", "bring", "provide", "improve",
+  "collaborate", "partner", "contribute", "thrive", "grow", "ship", "write", "learn", "love", "enjoy", "want", "need",
+  "take", "get", "keep", "seek", "offer", "apply", "achieve", "understand", "know", "identify", "define", "execute", "work",
+  "like", "wear", "shape", "solve",
+  // Adjectives and adverbs
+  "fast", "rapid", "rapidly", "modern", "innovative", "dynamic", "passionate", "motivated", "excellent", "exceptional",
+  "outstanding", "solid", "proven", "deep", "high", "highly", "closely", "independently", "effectively", "best", "better",
+  "various", "multiple", "wide", "exciting", "amazing", "awesome", "talented", "curious", "challenging", "complex",
+  "fast-paced", "world-class", "cutting-edge", "hands-on", "self-starter", "end", "ideal", "successful", "relevant",
+  "related", "similar", "equivalent", "familiarity", "familiar", "comfortable", "proficiency", "proficient", "knowledge",
+  // Nouns
+  "startup", "tool", "team", "ability", "environment", "decision", "improvement", "opportunity", "culture", "mission", "world",
+  "people", "thing", "way", "day", "part", "place", "member", "idea", "solution", "candidate", "background", "level",
+];
+
+// Function words that break a clause into candidate phrases (much smaller than STOPWORDS:
+// "data" or "engineer" are too generic alone but fine inside "data pipeline")
+const PHRASE_BREAKERS = new Set([
+  "and", "the", "with", "from", "that", "this", "your", "their", "our", "for", "into", "will", "shall", "must", "have", "has", "had",
+  "are", "was", "were", "you", "they", "them", "not", "but", "also", "than", "to", "a", "an", "is", "of", "in", "it", "at", "by", "be",
+  "as", "or", "which", "all", "we", "who", "can", "may", "should", "would", "could", "its", "on", "e.g", "i.e", "etc", "using", "such",
+]);
+
+/**
+ * Canonical terms and the variants (abbreviations, spellings, synonyms) that count as the same skill.
+ * Variants are matched after normalization, so plural and verb forms need not be listed.
+ * No variant may be an everyday word on its own ("rest", "node", "master"): it would
+ * match ordinary prose, so such terms only get their specific spellings.
+ */
+export const KEYWORD_ALIASES = [
+  // Languages & runtimes
+  { term: "JavaScript", variants: ["js", "ecmascript", "es6"] },
+  { term: "TypeScript", variants: ["ts"] },
+  { term: "Python", variants: ["py", "python3"] },
+  { term: "C++", variants: ["cpp"] },
+  { term: "C#", variants: ["csharp", "c sharp"] },
+  { term: ".NET", variants: ["dotnet", "dot net", "asp.net"] },
+  { term: "Golang", variants: ["go lang"] },
+  { term: "Node.js", variants: ["nodejs", "node js"] },
+  { term: "HTML", variants: ["html5"] },
+  { term: "CSS", variants: ["css3"] },
+  // Frameworks & libraries
+  { term: "React", variants: ["react.js", "reactjs", "react js"] },
+  { term: "Angular", variants: ["angular.js", "angularjs"] },
+  { term: "Vue.js", variants: ["vue", "vuejs"] },
+  { term: "Express.js", variants: ["expressjs", "express js"] },
+  { term: "Next.js", variants: ["nextjs"] },
+  { term: "Spring Boot", variants: ["springboot"] },
+  { term: "TensorFlow", variants: ["tensor flow"] },
+  { term: "scikit-learn", variants: ["sklearn", "scikit"] },
+  // Data & storage
+  { term: "SQL", variants: ["structured query language"] },
+  { term: "NoSQL", variants: ["no sql", "non-relational database"] },
+  { term: "PostgreSQL", variants: ["postgres", "psql"] },
+  { term: "MySQL", variants: ["my sql"] },
+  { term: "MongoDB", variants: ["mongo"] },
+  { term: "Power BI", variants: ["powerbi", "microsoft power bi"] },
+  { term: "Excel", variants: ["ms excel", "microsoft excel", "spreadsheets"] },
+  { term: "ETL", variants: ["extract transform load", "extraction transformation and loading", "data pipeline"] },
+  { term: "Data Visualization", variants: ["data visualisation", "dashboarding"] },
+  { term: "Data Analysis", variants: ["data analytics", "analyzing data", "analysing data"] },
+  { term: "Data Cleaning", variants: ["data cleansing", "data wrangling", "cleaning data"] },
+  { term: "Statistics", variants: ["statistical analysis", "statistical"] },
+  { term: "Machine Learning", variants: ["ml"] },
+  { term: "Deep Learning", variants: ["neural networks", "neural network"] },
+  { term: "Artificial Intelligence", variants: ["ai"] },
+  { term: "Natural Language Processing", variants: ["nlp"] },
+  // Cloud & DevOps
+  { term: "AWS", variants: ["amazon web services"] },
+  { term: "Cloud Computing", variants: ["cloud platforms", "cloud infrastructure", "cloud services"] },
+  { term: "Google Cloud", variants: ["gcp", "google cloud platform"] },
+  { term: "Azure", variants: ["microsoft azure"] },
+  { term: "Kubernetes", variants: ["k8s"] },
+  { term: "Docker", variants: ["containerization", "containerized"] },
+  { term: "CI/CD", variants: ["cicd", "continuous integration", "continuous delivery", "continuous deployment"] },
+  { term: "DevOps", variants: ["dev ops"] },
+  { term: "Git", variants: ["version control"] },
+  { term: "REST API", variants: ["restful", "restful api", "restful apis", "web api"] },
+  { term: "GraphQL", variants: ["graph ql"] },
+  { term: "Microservices", variants: ["micro services", "microservice architecture"] },
+  { term: "Unit Testing", variants: ["unit tests", "jest", "pytest", "junit"] },
+  { term: "Object-Oriented Programming", variants: ["oop", "object oriented"] },
+  { term: "Data Structures", variants: ["dsa", "data structures and algorithms"] },
+  { term: "System Design", variants: ["software architecture", "distributed systems"] },
+  // Product, business & soft skills
+  { term: "Agile", variants: ["scrum", "kanban", "agile methodology"] },
+  { term: "Project Management", variants: ["managing projects", "program management"] },
+  { term: "Stakeholder Management", variants: ["managing stakeholders", "stakeholder engagement", "stakeholder communication"] },
+  { term: "Cross-Functional Collaboration", variants: ["cross-functional", "cross functional teams", "cross-functional teams"] },
+  { term: "Problem Solving", variants: ["problem-solving", "troubleshooting"] },
+  { term: "Communication", variants: ["communication skills", "verbal and written communication"] },
+  { term: "Leadership", variants: ["team leadership", "people management"] },
+  { term: "User Experience", variants: ["ux", "ux design"] },
+  { term: "User Interface", variants: ["ui", "ui design"] },
+  { term: "User Research", variants: ["customer research", "user interviews"] },
+  { term: "A/B Testing", variants: ["ab testing", "split testing"] },
+  { term: "KPI", variants: ["key performance indicator", "kpis"] },
+  { term: "ROI", variants: ["return on investment"] },
+  { term: "Go-to-Market", variants: ["gtm", "go to market"] },
+  { term: "Product Roadmap", variants: ["product road map"] },
+  { term: "CRM", variants: ["customer relationship management", "salesforce", "hubspot"] },
+  { term: "SEO", variants: ["search engine optimization", "search engine optimisation"] },
+  { term: "Lead Generation", variants: ["lead gen", "prospecting"] },
+  { term: "B2B", variants: ["business to business", "business-to-business"] },
+  { term: "B2C", variants: ["business to consumer", "business-to-consumer"] },
+  { term: "Business Intelligence", variants: ["bi tools", "bi"] },
+  { term: "Computer Science", variants: ["cs", "cse", "computer science and engineering"] },
+  { term: "Bachelor's Degree", variants: ["bachelor", "bachelors", "b.tech", "b.e", "b.s", "bsc", "undergraduate degree"] },
+  { term: "Master's Degree", variants: ["master of science", "master of engineering", "master of technology", "m.tech", "m.s", "msc", "mba"] },
+];
+
+// Longest alias variant, in words, considered when scanning text
+const MAX_PHRASE_PARTS = 5;
+// A JD word pair that repeats at least this often is treated as one phrase
+const MIN_BIGRAM_REPEATS = 2;
+
+// Words (letters, digits, + and #, joined by . ' - /) e.g. "node.js", "c++", "ci/cd", "problem-solving"
+const WORD_PATTERN = /[a-z0-9][a-z0-9+#]*(?:[.'\-/][a-z0-9+#]+)*[+#]*/gi;
+
+const normalizeText = (text) =>
+  (text || "")
+    .replace(/[\u2018\u2019\u2032]/g, "'")
+    .replace(/[\u2010-\u2015]/g, "-")
+    .replace(/(^|\s)\.net\b/gi, "$1dotnet");
+
+/**
+ * Light suffix stemmer so plural and verb forms share a stem
+ * ("apis"/"api", "tested"/"testing"/"test", "managed"/"manage").
+ * Tokens containing digits or symbols (c++, node.js) are left alone.
+ */
+export const stem = (word) => {
+  let w = word.toLowerCase().replace(/'s$/, "").replace(/'/g, "");
+  if (w.length <= 3 || /[^a-z]/.test(w)) return w;
+  if (/ies$/.test(w) && w.length > 4) return `${w.slice(0, -3)}y`;
+  if (/(ss|us|sis|xis)$/.test(w)) return w;
+
+  if (/(sses|xes|ches|shes)$/.test(w)) w = w.slice(0, -2);
+  else if (/s$/.test(w)) w = w.slice(0, -1);
+
+  if (/ing$/.test(w) && w.length > 5) w = w.slice(0, -3);
+  else if (/ed$/.test(w) && w.length > 4) w = w.slice(0, -2);
+
+  // planned -> plann -> plan; manage/managed -> manag
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+  if (/e$/.test(w) && w.length > 4) w = w.slice(0, -1);
+  return w;
+};
+
+// Splits a word into the stems it is matched by ("problem-solving" -> ["problem", "solv"]).
+const wordParts = (word) => word.split(/[-/]/).filter(Boolean).map(stem);
+
+const partsKey = (parts) => parts.join(" ");
+
+const textParts = (text) => (normalizeText(text).match(WORD_PATTERN) || []).flatMap(wordParts);
+
+// Lookup from every alias spelling (as a stem sequence) to its entry
+const ALIAS_INDEX = new Map();
+KEYWORD_ALIASES.forEach((entry) => {
+  [entry.term, ...entry.variants].forEach((v) => {
+    const parts = textParts(v);
+    if (parts.length) ALIAS_INDEX.set(partsKey(parts), entry);
+  });
+});
+
+const aliasVariants = (entry) => [entry.term, ...entry.variants].map(textParts);
+
+const GENERIC_KEYS = new Set(GENERIC_WORDS.map((word) => partsKey(wordParts(word))));
+
+/**
+ * Tokenizes text into a searchable index of stems, remembering which original
+ * word each stem came from so the matched variant can be shown to the user.
+ * @param {string} text
+ * @returns {{ stems: string[], words: string[], wordOf: number[] }}
+ */
+export const buildTextIndex = (text) => {
+  const words = normalizeText(text).match(WORD_PATTERN) || [];
+  const stems = [];
+  const wordOf = [];
+  words.forEach((word, i) => {
+    wordParts(word).forEach((part) => {
+      stems.push(part);
+      wordOf.push(i);
+    });
+  });
+  return { stems, words, wordOf };
+};
+
+// Position of a stem sequence in the index, or -1.
+const findSequence = (index, parts) => {
+  const { stems } = index;
+  outer: for (let i = 0; i <= stems.length - parts.length; i++) {
+    for (let j = 0; j < parts.length; j++) {
+      if (stems[i + j] !== parts[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+};
+
+/**
+ * Looks a keyword up in an indexed text.
+ * @param {{stems: string[], words: string[], wordOf: number[]}} index - From buildTextIndex.
+ * @param {{ variants: string[][] }} keyword - From extractKeywords/toKeyword.
+ * @returns {string|null} The words as written in the text, or null when absent.
+ */
+export const findKeyword = (index, keyword) => {
+  for (const parts of keyword.variants) {
+    const at = findSequence(index, parts);
+    if (at >= 0) {
+      const first = index.wordOf[at];
+      const last = index.wordOf[at + parts.length - 1];
+      return index.words.slice(first, last + 1).join(" ");
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds every occurrence of the given keywords in a text, for highlighting.
+ * @param {string} text
+ * @param {Array<{ term: string, variants: string[][] }>} keywords
+ * @returns {Array<{ start: number, end: number, term: string }>} Character ranges, sorted and non-overlapping.
+ */
+export const locateKeywords = (text, keywords) => {
+  // Same-length normalization only, so offsets stay valid for the original text
+  const source = (text || "").replace(/[\u2018\u2019\u2032]/g, "'").replace(/[\u2010-\u2015]/g, "-");
+  const stems = [];
+  const spans = [];
+  for (const m of source.matchAll(WORD_PATTERN)) {
+    const word = /^net$/i.test(m[0]) && source[m.index - 1] === "." ? "dotnet" : m[0];
+    const start = word === "dotnet" ? m.index - 1 : m.index;
+    wordParts(word).forEach((part) => {
+      stems.push(part);
+      spans.push([start, m.index + m[0].length]);
+    });
+  }
+
+  const ranges = [];
+  keywords.forEach(({ term, variants }) => {
+    variants.forEach((parts) => {
+      for (let i = 0; i <= stems.length - parts.length; i++) {
+        if (parts.every((p, j) => stems[i + j] === p)) {
+          ranges.push({ start: spans[i][0], end: spans[i + parts.length - 1][1], term });
+        }
+      }
+    });
+  });
+
+  // Longer ranges win where phrases overlap ("machine learning" over "learning")
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  let lastEnd = -1;
+  return ranges.filter((r) => {
+    if (r.start < lastEnd) return false;
+    lastEnd = r.end;
+    return true;
+  });
+};
+
+/**
+ * Builds a keyword for a known term (canonical term or any alias spelling).
+ * @param {string} term
+ * @returns {{ term: string, key: string, variants: string[][] }}
+ */
+export const toKeyword = (term) => {
+  const parts = textParts(term);
+  const alias = ALIAS_INDEX.get(partsKey(parts));
+  if (alias) {
+    const variants = aliasVariants(alias);
+    return { term: alias.term, key: partsKey(variants[0]), variants };
+  }
+  return { term, key: partsKey(parts), variants: [parts] };
+};
+
+// Clauses: punctuation never joins a phrase ("Excel, SQL" is two terms)
+const toClauses = (text) =>
+  normalizeText(text)
+    .split(/[,;:!?()[\]\n|•]|\.(?=\s|$)/)
+    .map((c) => (c.match(WORD_PATTERN) || []).map((w) => w.toLowerCase()))
+    .filter((c) => c.length);
+
+// Repeated word pairs such as "data analyst" become phrases
+const countBigrams = (clauses) => {
+  const bigramCounts = new Map();
+  clauses.forEach((words) => {
+    for (let i = 0; i < words.length - 1; i++) {
+      if (PHRASE_BREAKERS.has(words[i]) || PHRASE_BREAKERS.has(words[i + 1])) continue;
+      const key = partsKey([...wordParts(words[i]), ...wordParts(words[i + 1])]);
+      bigramCounts.set(key, (bigramCounts.get(key) || 0) + 1);
+    }
+  });
+  return bigramCounts;
+};
+
+// Calls `onKeyword` for every keyword occurrence: alias-table phrases first
+// (longest match wins), then repeated word pairs, then single non-stopwords.
+const scanClauses = (clauses, bigramCounts, onKeyword) => {
+  clauses.forEach((words) => {
+    let i = 0;
+    while (i < words.length) {
+      // 1. Longest alias phrase starting here
+      let consumed = 0;
+      for (let n = Math.min(MAX_PHRASE_PARTS, words.length - i); n >= 1 && !consumed; n--) {
+        const slice = words.slice(i, i + n);
+        const alias = ALIAS_INDEX.get(partsKey(slice.flatMap(wordParts)));
+        if (alias) {
+          onKeyword(toKeyword(alias.term));
+          consumed = n;
+        }
+      }
+      if (consumed) {
+        i += consumed;
+        continue;
+      }
+
+      // 2. Repeated word pair
+      const word = words[i];
+      const next = words[i + 1];
+      if (next && !PHRASE_BREAKERS.has(word) && !PHRASE_BREAKERS.has(next)) {
+        const parts = [...wordParts(word), ...wordParts(next)];
+        if (bigramCounts.get(partsKey(parts)) >= MIN_BIGRAM_REPEATS) {
+          onKeyword({ term: `${word} ${next}`, key: partsKey(parts), variants: [parts] });
+          i += 2;
+          continue;
+        }
+      }
+
+      // 3. Single word
+      const key = partsKey(wordParts(word));
+      if (word.length > 2 && !STOPWORDS.has(word) && !GENERIC_KEYS.has(key) && !/^\d+$/.test(word) && !/'/.test(word)) {
+        onKeyword({ term: word, key, variants: [wordParts(word)] });
+      }
+      i += 1;
+    }
+  });
+};
+
+/**
+ * Extracts keywords and phrases from a text. Each keyword is returned once.
+ * @param {string} text - Job description text.
+ * @returns {Array<{ term: string, key: string, variants: string[][] }>}
+ */
+export const extractKeywords = (text) => {
+  const keywords = new Map();
+  const clauses = toClauses(text);
+  scanClauses(clauses, countBigrams(clauses), (keyword) => {
+    if (keyword.key && !keywords.has(keyword.key)) keywords.set(keyword.key, keyword);
+  });
+  return [...keywords.values()];
+};
+
+/**
+ * Job description sections, how much a keyword found there weighs, and which
+ * feedback group ("must" have / "nice" to have) it belongs to. Headings are
+ * matched at the start of a short line, optionally followed by ":" and content
+ * ("Required: Kubernetes"). `inlineOnly` sections cover just their own line.
+ */
+export const JD_SECTIONS = {
+  title: { label: "Job Title", weight: 3, tier: "must", inlineOnly: true, pattern: /^(job\s+title|position|job\s+role|role\s+title)\b/i },
+  requirements: { label: "Requirements", weight: 3, tier: "must", pattern: /^((minimum|basic|key|required)\s+)?(requirements?|required|qualifications?|must[\s-]haves?|what you('|’)?ll need|what we('|’)?re looking for|who you are|you have|required skills)\b/i },
+  responsibilities: { label: "Responsibilities", weight: 2, tier: "must", pattern: /^((key|main|core)\s+)?(responsibilities|duties|what you('|’)?ll do|your role|the role|day[\s-]to[\s-]day|role overview)\b/i },
+  niceToHave: { label: "Nice to Have", weight: 1, tier: "nice", pattern: /^(nice[\s-]to[\s-]haves?|preferred|bonus|good[\s-]to[\s-]haves?|pluses|desired|additional qualifications)\b/i },
+  about: { label: "About the Company", weight: 0.5, tier: "nice", pattern: /^(about\b|who we are|our (company|mission|culture|story)|company overview|benefits|perks|what we offer|why join)/i },
+};
+
+// Headings that start a "general" section, e.g. "Job Description:" before the intro paragraph
+const GENERAL_HEADING = /^(job\s+)?(description|overview|summary|introduction)\b/i;
+// Text outside any recognized section (e.g. the intro paragraph)
+const GENERAL_SECTION = { label: "General", weight: 1, tier: "nice" };
+// ...unless the JD has no requirements/responsibilities at all, in which case everything counts
+const UNSECTIONED_JD = { label: "General", weight: 2, tier: "must" };
+// Each repeat of a keyword adds this share of its section weight, up to MAX_FREQUENCY_BOOST
+const FREQUENCY_STEP = 0.25;
+const MAX_FREQUENCY_BOOST = 2;
+const MAX_HEADING_WORDS = 6;
+
+/**
+ * Splits a job description into its sections (see JD_SECTIONS).
+ * @param {string} text
+ * @returns {Array<{ section: string, text: string }>} `section` is a JD_SECTIONS key or "general".
+ */
+export const segmentJobDescription = (text) => {
+  const segments = [{ section: "general", lines: [] }];
+  (text || "").split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim().replace(/^[*#>\s]+/, "");
+    const colon = line.indexOf(":");
+    const head = colon > 0 ? line.slice(0, colon) : line;
+    const isHeading = head.trim().split(/\s+/).length <= MAX_HEADING_WORDS;
+    const key = isHeading && (GENERAL_HEADING.test(head.trim())
+      ? "general"
+      : Object.keys(JD_SECTIONS).find((k) => JD_SECTIONS[k].pattern.test(head.trim())));
+    if (key) {
+      segments.push({ section: key, lines: colon > 0 ? [line.slice(colon + 1)] : [] });
+      if (JD_SECTIONS[key]?.inlineOnly) segments.push({ section: "general", lines: [] });
+    } else {
+      segments[segments.length - 1].lines.push(rawLine);
+    }
+  });
+  return segments
+    .map(({ section, lines }) => ({ section, text: lines.join("\n") }))
+    .filter((s) => s.text.trim());
+};
+
+/**
+ * Extracts JD keywords weighted by where they appear and how often.
+ * @param {string} text - Job description text.
+ * @returns {Array<{ term: string, key: string, variants: string[][], weight: number, tier: "must"|"nice", sections: string[] }>}
+ *   Sorted from most to least important.
+ */
+export const extractWeightedKeywords = (text) => {
+  const segments = segmentJobDescription(text);
+  const hasCoreSections = segments.some((s) => s.section === "requirements" || s.section === "responsibilities");
+  const bigramCounts = countBigrams(toClauses(text));
+  const found = new Map();
+
+  segments.forEach(({ section, text: segmentText }) => {
+    const info = JD_SECTIONS[section] || (hasCoreSections ? GENERAL_SECTION : UNSECTIONED_JD);
+    scanClauses(toClauses(segmentText), bigramCounts, (keyword) => {
+      if (!keyword.key) return;
+      const entry = found.get(keyword.key) || { ...keyword, count: 0, baseWeight: 0, tier: "nice", sections: [] };
+      entry.count += 1;
+      if (info.weight > entry.baseWeight) entry.baseWeight = info.weight;
+      if (info.tier === "must") entry.tier = "must";
+      if (!entry.sections.includes(section)) entry.sections.push(section);
+      found.set(keyword.key, entry);
+    });
+  });
+
+  return [...found.values()]
+    .map(({ count, baseWeight, ...keyword }) => ({
+      ...keyword,
+      weight: baseWeight * Math.min(MAX_FREQUENCY_BOOST, 1 + FREQUENCY_STEP * (count - 1)),
+    }))
+    .sort((a, b) => b.weight - a.weight);
+};
+
+/**
+ * Matches the JD's weighted keywords against the resume.
+ * @param {string} jobDescription
+ * @param {string} resumeText
+ * @returns {{
+ *   keywords: Array<{ term: string, key: string, variants: string[][], weight: number, tier: string }>,
+ *   matched: Array<{ term: string, found: string, variants: string[][], weight: number, tier: string }>,
+ *   missing: Array<{ term: string, weight: number, tier: string }>,
+ *   matchedWeight: number, totalWeight: number
+ * }} `found` is the resume's own wording of the term (e.g. term "JavaScript", found "JS").
+ */
+export const matchKeywords = (jobDescription, resumeText) => {
+  const keywords = extractWeightedKeywords(jobDescription);
+  const index = buildTextIndex(resumeText);
+  const matched = [];
+  const missing = [];
+  let matchedWeight = 0;
+  let totalWeight = 0;
+  keywords.forEach(({ term, weight, tier, ...keyword }) => {
+    const found = findKeyword(index, keyword);
+    totalWeight += weight;
+    if (found) {
+      matched.push({ term, found, variants: keyword.variants, weight, tier });
+      matchedWeight += weight;
+    } else {
+      missing.push({ term, weight, tier });
+    }
+  });
+  return { keywords, matched, missing, matchedWeight, totalWeight };
+};
+
+/**
+ * Whether a matched keyword was found under a different spelling than its canonical term.
+ * @param {{ term: string, found: string }} match
+ */
+export const isVariantMatch = (match) => partsKey(textParts(match.found)) !== partsKey(textParts(match.term));
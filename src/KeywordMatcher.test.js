@@ -0,0 +1,71 @@
+// KeywordMatcher.test.js
+
+import { stem, extractKeywords, extractWeightedKeywords, matchKeywords, locateKeywords, toKeyword, isVariantMatch } from "./KeywordMatcher";
+
+const terms = (keywords) => keywords.map((k) => k.term);
+
+describe("stem", () => {
+  test("lines up plurals and verb forms", () => {
+    expect(stem("APIs")).toBe(stem("API"));
+    expect(stem("tested")).toBe(stem("testing"));
+    expect(stem("planned")).toBe(stem("plan"));
+  });
+
+  test("leaves tokens with digits or symbols alone", () => {
+    expect(stem("c++")).toBe("c++");
+    expect(stem("node.js")).toBe("node.js");
+  });
+});
+
+describe("extractKeywords", () => {
+  test("maps alias spellings onto one canonical term", () => {
+    expect(terms(extractKeywords("Experience with JS, k8s and Postgres"))).toEqual(
+      expect.arrayContaining(["JavaScript", "Kubernetes"])
+    );
+  });
+
+  test("keeps repeated word pairs as phrases and drops stopwords", () => {
+    const found = terms(extractKeywords("Own the payment gateway. Scale the payment gateway with the team."));
+    expect(found).toContain("payment gateway");
+    expect(found).not.toContain("the");
+    expect(found).not.toContain("team");
+  });
+
+  test("skips generic job-ad verbs, adjectives and nouns in any form", () => {
+    const found = terms(extractKeywords("A fast growing startup building tools for teams. Builds scalable APIs with Kafka."));
+    expect(found).toEqual(["scalable", "apis", "kafka"]);
+  });
+});
+
+describe("extractWeightedKeywords", () => {
+  test("weighs requirements above nice-to-haves and sorts by weight", () => {
+    const keywords = extractWeightedKeywords("Requirements:\nGolang\n\nNice to have:\nTerraform");
+    expect(terms(keywords)).toEqual(["Golang", "terraform"]);
+    expect(keywords[0]).toMatchObject({ tier: "must", weight: 3 });
+    expect(keywords[1]).toMatchObject({ tier: "nice", weight: 1 });
+  });
+});
+
+describe("matchKeywords", () => {
+  test("matches whole words only", () => {
+    const { matched, missing } = matchKeywords("Requirements: React", "Built reactive dashboards");
+    expect(matched).toHaveLength(0);
+    expect(terms(missing)).toEqual(["React"]);
+  });
+
+  test("reports the resume's own wording of an aliased term", () => {
+    const { matched, matchedWeight, totalWeight } = matchKeywords("Requirements: JavaScript", "Wrote JS tooling");
+    expect(matched[0]).toMatchObject({ term: "JavaScript", found: "JS" });
+    expect(isVariantMatch(matched[0])).toBe(true);
+    expect(matchedWeight).toBe(totalWeight);
+  });
+});
+
+describe("locateKeywords", () => {
+  test("returns character ranges, the longer phrase winning", () => {
+    const text = "Applied machine learning to pricing";
+    const ranges = locateKeywords(text, [toKeyword("machine learning"), toKeyword("learning")]);
+    expect(ranges).toHaveLength(1);
+    expect(text.slice(ranges[0].start, ranges[0].end)).toBe("machine learning");
+  });
+});
@@ -0,0 +1,85 @@
+// LoginThrottle.js
+
+/**
+ * BRUTE-FORCE PROTECTION FOR LOGIN
+ * Failed logins are counted per email in localStorage. After a few failures
+ * every further attempt has to wait a little longer (1s, 2s, 4s, ...), and too
+ * many failures lock the email out of this browser for a while. A successful
+ * login clears the counter.
+ *
+ * This only slows down guessing in the browser; the authentication server
+ * must enforce its own rate limits, because client-side state can be reset.
+ */
+
+const THROTTLE_STORAGE_KEY = "RA_LOGIN_ATTEMPTS";
+// Failures allowed before the progressive delay starts
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = 30 * 1000;
+// Failures that trigger a temporary lockout, and how long it lasts
+const LOCKOUT_THRESHOLD = 6;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// email -> { failures, lastFailureAt, lockedUntil }
+const readAttempts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(THROTTLE_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeAttempts = (attempts) => localStorage.setItem(THROTTLE_STORAGE_KEY, JSON.stringify(attempts));
+
+const entryFor = (attempts, email, now) => {
+  const entry = attempts[email];
+  if (!entry || now - entry.lastFailureAt > FAILURE_WINDOW_MS) return { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+  return entry;
+};
+
+const delayAfter = (failures) => (failures < FREE_ATTEMPTS ? 0 : Math.min(MAX_DELAY_MS, 1000 * 2 ** (failures - FREE_ATTEMPTS)));
+
+/**
+ * Whether the email may try to log in now.
+ * @param {string} email - Normalized (lowercased) email.
+ * @returns {{ allowed: boolean, locked: boolean, waitMs: number, failures: number }}
+ *   `waitMs` is the time left until the next attempt is allowed.
+ */
+export const getLoginThrottle = (email) => {
+  const now = Date.now();
+  const entry = entryFor(readAttempts(), email, now);
+  if (entry.lockedUntil > now) {
+    return { allowed: false, locked: true, waitMs: entry.lockedUntil - now, failures: entry.failures };
+  }
+  const waitMs = Math.max(0, entry.lastFailureAt + delayAfter(entry.failures) - now);
+  return { allowed: waitMs === 0, locked: false, waitMs, failures: entry.failures };
+};
+
+/**
+ * Counts a failed login.
+ * @param {string} email
+ * @returns {{ locked: boolean, failures: number }} `locked` is true when this failure started a lockout.
+ */
+export const recordLoginFailure = (email) => {
+  const now = Date.now();
+  const attempts = readAttempts();
+  const entry = entryFor(attempts, email, now);
+  const failures = entry.failures + 1;
+  const locked = failures >= LOCKOUT_THRESHOLD;
+  // The counter starts over once a lockout has been served
+  attempts[email] = { failures: locked ? 0 : failures, lastFailureAt: now, lockedUntil: locked ? now + LOCKOUT_MS : 0 };
+  writeAttempts(attempts);
+  return { locked, failures };
+};
+
+/**
+ * Forgets the failures of an email after a successful login.
+ * @param {string} email
+ */
+export const clearLoginFailures = (email) => {
+  const attempts = readAttempts();
+  if (!attempts[email]) return;
+  delete attempts[email];
+  writeAttempts(attempts);
+};
@@ -0,0 +1,55 @@
+// LoginThrottle.test.js
+
+import { getLoginThrottle, recordLoginFailure, clearLoginFailures } from "./LoginThrottle";
+
+const EMAIL = "jane@example.com";
+const NOW = Date.parse("2024-05-01T12:00:00Z");
+
+const fail = (times) => Array.from({ length: times }, () => recordLoginFailure(EMAIL));
+
+describe("LoginThrottle", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(Date, "now").mockReturnValue(NOW);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const advance = (ms) => Date.now.mockReturnValue(Date.now() + ms);
+
+  test("allows the first few failures without a delay", () => {
+    fail(2);
+    expect(getLoginThrottle(EMAIL)).toEqual({ allowed: true, locked: false, waitMs: 0, failures: 2 });
+  });
+
+  test("doubles the delay with each further failure", () => {
+    fail(3);
+    expect(getLoginThrottle(EMAIL)).toMatchObject({ allowed: false, waitMs: 1000 });
+    fail(1);
+    expect(getLoginThrottle(EMAIL)).toMatchObject({ allowed: false, waitMs: 2000 });
+    advance(2000);
+    expect(getLoginThrottle(EMAIL).allowed).toBe(true);
+  });
+
+  test("locks the email out after too many failures, then starts over", () => {
+    const results = fail(6);
+    expect(results[5]).toEqual({ locked: true, failures: 6 });
+    expect(getLoginThrottle(EMAIL)).toMatchObject({ allowed: false, locked: true, waitMs: 15 * 60 * 1000 });
+    advance(15 * 60 * 1000);
+    expect(getLoginThrottle(EMAIL)).toMatchObject({ allowed: true, locked: false, failures: 0 });
+  });
+
+  test("forgets failures older than the window", () => {
+    fail(4);
+    advance(60 * 60 * 1000 + 1);
+    expect(getLoginThrottle(EMAIL)).toMatchObject({ allowed: true, failures: 0 });
+  });
+
+  test("a successful login clears the counter of that email only", () => {
+    fail(4);
+    recordLoginFailure("other@example.com");
+    clearLoginFailures(EMAIL);
+    expect(getLoginThrottle(EMAIL).failures).toBe(0);
+    expect(getLoginThrottle("other@example.com").failures).toBe(1);
+  });
+});
@@ -0,0 +1,147 @@
+// MockAuthAdapter.js
+
+/**
+ * IN-BROWSER MOCK AUTH BACKEND
+ * Implements the auth adapter interface (see AuthClient.js) entirely in the
+ * browser, so the whole login flow can be run and tested offline. It behaves
+ * like server/auth-server.js: accounts, session tokens and reset codes are kept
+ * in localStorage, and the received password hashes are salted and hashed again
+ * before they are stored. Reset codes cannot be emailed, so the response
+ * carries them as `devCode` for the UI to show.
+ * For development only: anyone with access to the browser can read this data.
+ */
+
+const MOCK_STORAGE_KEY = "RA_MOCK_AUTH";
+const SESSION_MS = 8 * 60 * 60 * 1000;
+const REMEMBERED_SESSION_MS = 30 * 24 * 60 * 60 * 1000;
+const RESET_CODE_MS = 15 * 60 * 1000;
+const MAX_RESET_ATTEMPTS = 5;
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+const randomHex = (size) => toHex(crypto.getRandomValues(new Uint8Array(size)));
+
+// Salted SHA-256 of the client's password hash, as stored "server-side"
+const storedHash = async (passwordHash, salt) => {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${passwordHash}`));
+  return toHex(new Uint8Array(digest));
+};
+
+// { users: { email: { salt, hash, createdAt } }, sessions: { token: { email, expiresAt } }, resets: { email: { code, expiresAt, attempts } } }
+const readState = () => {
+  try {
+    const state = JSON.parse(localStorage.getItem(MOCK_STORAGE_KEY));
+    if (state?.users) return { sessions: {}, resets: {}, ...state };
+  } catch (e) {
+    // Corrupt mock data: start over
+  }
+  return { users: {}, sessions: {}, resets: {} };
+};
+
+const writeState = (state) => localStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(state));
+
+const failure = (message) => ({ ok: false, message });
+
+const startSession = (state, email, remember) => {
+  const token = randomHex(32);
+  const expiresAt = Date.now() + (remember ? REMEMBERED_SESSION_MS : SESSION_MS);
+  state.sessions[token] = { email, expiresAt };
+  return { ok: true, token, expiresAt };
+};
+
+const checkPassword = async (user, passwordHash) => Boolean(user) && (await storedHash(passwordHash, user.salt)) === user.hash;
+
+/**
+ * Forgets the mock sessions and reset codes of an account ("Delete all my data").
+ * The account itself stays, like an account on a real backend.
+ * @param {string} email
+ */
+export const clearMockAuthData = (email) => {
+  const state = readState();
+  Object.keys(state.sessions).forEach((token) => {
+    if (state.sessions[token].email === email) delete state.sessions[token];
+  });
+  delete state.resets[email];
+  writeState(state);
+};
+
+/**
+ * @returns {object} An auth adapter backed by localStorage.
+ */
+export const createMockAuthAdapter = () => ({
+  name: "mock",
+
+  register: async ({ email, passwordHash, remember }) => {
+    const state = readState();
+    if (state.users[email]) return failure("An account with this email already exists.");
+    const salt = randomHex(16);
+    state.users[email] = { salt, hash: await storedHash(passwordHash, salt), createdAt: Date.now() };
+    const result = startSession(state, email, remember);
+    writeState(state);
+    return result;
+  },
+
+  login: async ({ email, passwordHash, remember }) => {
+    const state = readState();
+    if (!(await checkPassword(state.users[email], passwordHash))) return failure("Incorrect email or password.");
+    const result = startSession(state, email, remember);
+    writeState(state);
+    return result;
+  },
+
+  logout: async ({ token }) => {
+    const state = readState();
+    delete state.sessions[token];
+    writeState(state);
+    return { ok: true };
+  },
+
+  verifySession: async ({ token }) => {
+    const session = readState().sessions[token];
+    if (!session || session.expiresAt < Date.now()) return failure("Your session has expired. Please log in again.");
+    return { ok: true, email: session.email, expiresAt: session.expiresAt };
+  },
+
+  changePassword: async ({ token, email, currentPasswordHash, newPasswordHash }) => {
+    const state = readState();
+    const session = state.sessions[token];
+    if (!session || session.email !== email || session.expiresAt < Date.now()) return failure("Your session has expired. Please log in again.");
+    if (!(await checkPassword(state.users[email], currentPasswordHash))) return failure("The current password is not correct.");
+    const salt = randomHex(16);
+    state.users[email] = { ...state.users[email], salt, hash: await storedHash(newPasswordHash, salt) };
+    writeState(state);
+    return { ok: true };
+  },
+
+  requestPasswordReset: async ({ email }) => {
+    const state = readState();
+    const message = "If an account exists for this email, a reset code has been sent.";
+    // Same answer for unknown emails, so accounts cannot be discovered
+    if (!state.users[email]) return { ok: true, message };
+    const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, "0");
+    state.resets[email] = { code, expiresAt: Date.now() + RESET_CODE_MS, attempts: 0 };
+    writeState(state);
+    return { ok: true, message, devCode: code };
+  },
+
+  resetPassword: async ({ email, code, newPasswordHash }) => {
+    const state = readState();
+    const reset = state.resets[email];
+    if (!reset || reset.expiresAt < Date.now() || reset.attempts >= MAX_RESET_ATTEMPTS) {
+      return failure("This reset code has expired. Please request a new one.");
+    }
+    if (reset.code !== code) {
+      reset.attempts += 1;
+      writeState(state);
+      return failure("The reset code is not correct.");
+    }
+    const salt = randomHex(16);
+    state.users[email] = { ...state.users[email], salt, hash: await storedHash(newPasswordHash, salt) };
+    delete state.resets[email];
+    // A reset signs out every existing session of the account
+    Object.keys(state.sessions).forEach((token) => {
+      if (state.sessions[token].email === email) delete state.sessions[token];
+    });
+    writeState(state);
+    return { ok: true };
+  },
+});
@@ -0,0 +1,68 @@
+// MyDataPanel.js
+
+import React, { useRef, useState } from "react";
+import { buildDataBundle, downloadDataBundle, parseDataBundle, importDataBundle, deleteAllUserData } from "./UserData";
+
+/**
+ * MY DATA
+ * Lets users take everything the app holds for their account with them (one
+ * JSON file), load it in another browser, or delete all of it for good.
+ * See UserData.js for what the bundle contains.
+ */
+
+export default function MyDataPanel({ userEmail, storeStatus, currentData, onImport, onDeleted }) {
+    const fileInputRef = useRef(null);
+    // { type: "ok"|"error", text }
+    const [message, setMessage] = useState(null);
+    const unlocked = storeStatus === "ok";
+
+    const handleExport = () => {
+        downloadDataBundle(buildDataBundle(userEmail, currentData));
+        setMessage({ type: "ok", text: "Your data was downloaded as a .json file." });
+    };
+
+    const handleImportFile = (file) => {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = e => {
+            try {
+                const bundle = parseDataBundle(String(e.target.result || ""), userEmail);
+                if (!window.confirm(`Replace your saved resumes, conversations and settings with the export from ${new Date(bundle.exportedAt).toLocaleString()}?`)) return;
+                importDataBundle(userEmail, bundle);
+                onImport(bundle);
+                setMessage({ type: "ok", text: "Your data was imported." });
+            } catch (err) {
+                setMessage({ type: "error", text: `⚠️ ${err.message}` });
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleDeleteAll = async () => {
+        if (!window.confirm("Delete ALL of your data from this browser (saved resumes, job descriptions, analyses, conversations and settings) and log out? This cannot be undone.")) return;
+        await deleteAllUserData(userEmail);
+        onDeleted();
+    };
+
+    return (
+        <div className="card my-data-card">
+            <h2 className="section-title">🔐 My Data</h2>
+            <p className="hint">
+                Everything this app keeps for {userEmail}: saved resumes and their versions, job descriptions, analyses, saved conversations and settings.
+            </p>
+            <div className="my-data-actions">
+                <button type="button" className="btn secondary" onClick={handleExport} disabled={!unlocked}>⬇️ Export my data (.json)</button>
+                <input
+                    type="file"
+                    accept=".json,application/json"
+                    ref={fileInputRef}
+                    style={{ display: "none" }}
+                    onChange={e => { handleImportFile(e.target.files[0]); e.target.value = ""; }}
+                />
+                <button type="button" className="btn secondary" onClick={() => fileInputRef.current.click()} disabled={!unlocked}>⬆️ Import data</button>
+                <button type="button" className="btn danger-btn" onClick={handleDeleteAll}>🗑 Delete all my data</button>
+            </div>
+            {message && <p className={`hint ${message.type === "error" ? "file-error" : "file-success"}`}>{message.text}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+// PasswordPolicy.js
+
+/**
+ * PASSWORD POLICY & STRENGTH METER
+ * Rules a new password must pass at registration, plus a 0-4 strength score
+ * for the live meter. The rules follow common guidance: a real minimum length,
+ * a mix of character classes, no well-known passwords and nothing taken from
+ * the account's own email address.
+ */
+
+export const MIN_PASSWORD_LENGTH = 12;
+// Character classes required out of lowercase, uppercase, digits and symbols
+const MIN_CHARACTER_CLASSES = 3;
+
+// Most common leaked passwords and patterns (compared lowercased, ignoring trailing digits/symbols)
+const COMMON_PASSWORDS = new Set([
+  "password", "passw0rd", "p@ssword", "p@ssw0rd", "123456", "12345678", "123456789", "1234567890",
+  "qwerty", "qwertyuiop", "asdfghjkl", "zxcvbnm", "1q2w3e4r", "1qaz2wsx", "qazwsx", "abc123", "abcdef",
+  "letmein", "welcome", "admin", "administrator", "login", "iloveyou", "monkey", "dragon", "master",
+  "sunshine", "princess", "football", "baseball", "superman", "batman", "trustno1", "starwars",
+  "shadow", "michael", "jennifer", "hello", "freedom", "whatever", "secret", "changeme", "default",
+  "resume", "myresume", "job", "career", "linkedin", "google", "computer", "internet", "test", "guest",
+]);
+
+const CHARACTER_CLASSES = [
+  { name: "lowercase letters", pattern: /[a-z]/ },
+  { name: "uppercase letters", pattern: /[A-Z]/ },
+  { name: "digits", pattern: /\d/ },
+  { name: "symbols", pattern: /[^A-Za-z0-9]/ },
+];
+
+export const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+/**
+ * Stricter than "something@something.something": a local part without spaces,
+ * a domain of dot-separated labels and a top-level domain of 2+ letters.
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isValidEmail = (email) => /^[^\s@]+@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i.test(email);
+
+const countClasses = (password) => CHARACTER_CLASSES.filter((c) => c.pattern.test(password)).length;
+
+// "Password123!" -> "password"
+const baseWord = (password) => password.toLowerCase().replace(/[\d\W_]+$/, "").replace(/^[\d\W_]+/, "");
+
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  return COMMON_PASSWORDS.has(lowered) || COMMON_PASSWORDS.has(baseWord(password));
+};
+
+// Parts of the email long enough to matter: the local part, its pieces and the domain name
+const emailParts = (email) => {
+  const [local = "", domain = ""] = (email || "").toLowerCase().split("@");
+  return [local, ...local.split(/[._+-]/), domain.split(".")[0]].filter((part) => part.length >= 3);
+};
+
+// Runs of one character ("aaaa") or of consecutive ones ("abcd", "4321")
+const hasObviousPattern = (password) => /(.)\1{3,}/.test(password)
+  || /(?:0123|1234|2345|3456|4567|5678|6789|abcd|bcde|cdef|qwer|asdf|zxcv)/i.test(password)
+  || /(?:9876|8765|7654|6543|5432|4321|3210|dcba)/i.test(password);
+
+/**
+ * Checks a password against the policy and scores its strength.
+ * @param {string} password
+ * @param {string} [email] - The account's email; passwords reusing it are rejected.
+ * @returns {{ valid: boolean, score: number, label: string, checks: Array<{ key: string, label: string, ok: boolean }>, feedback: string[] }}
+ *   `checks` are the policy rules (all must pass); `feedback` lists what to fix or improve.
+ */
+export const evaluatePassword = (password = "", email = "") => {
+  const classes = countClasses(password);
+  const lowered = password.toLowerCase();
+  const reusesEmail = emailParts(email).some((part) => lowered.includes(part));
+  const common = password.length > 0 && isCommonPassword(password);
+
+  const checks = [
+    { key: "length", label: `At least ${MIN_PASSWORD_LENGTH} characters`, ok: password.length >= MIN_PASSWORD_LENGTH },
+    { key: "classes", label: `${MIN_CHARACTER_CLASSES} of: lowercase, uppercase, digits, symbols`, ok: classes >= MIN_CHARACTER_CLASSES },
+    { key: "common", label: "Not a common password", ok: password.length > 0 && !common },
+    { key: "email", label: "Does not contain your email or name from it", ok: password.length > 0 && !reusesEmail },
+  ];
+  const valid = checks.every((c) => c.ok);
+
+  const feedback = [];
+  if (password.length < MIN_PASSWORD_LENGTH) feedback.push(`Add ${MIN_PASSWORD_LENGTH - password.length} more character(s); a short phrase is easy to remember.`);
+  if (classes < MIN_CHARACTER_CLASSES) {
+    const missing = CHARACTER_CLASSES.filter((c) => !c.pattern.test(password)).map((c) => c.name);
+    feedback.push(`Mix in ${missing.join(", ")}.`);
+  }
+  if (common) feedback.push("This is one of the most common passwords; attackers try it first.");
+  if (reusesEmail) feedback.push("Don't reuse your email address or parts of it.");
+  if (hasObviousPattern(password)) feedback.push("Avoid repeated characters and sequences like \"1234\" or \"abcd\".");
+
+  // Length and variety earn points; policy failures and obvious patterns cap the score
+  let score = 0;
+  if (password.length >= 8) score++;
+  if (password.length >= MIN_PASSWORD_LENGTH) score++;
+  if (password.length >= 16) score++;
+  if (classes >= MIN_CHARACTER_CLASSES) score++;
+  if (classes === CHARACTER_CLASSES.length && password.length >= MIN_PASSWORD_LENGTH) score++;
+  if (hasObviousPattern(password)) score--;
+  if (common || reusesEmail) score = Math.min(score, 1);
+  if (!valid) score = Math.min(score, 2);
+  score = Math.max(0, Math.min(4, score));
+
+  return { valid, score, label: STRENGTH_LABELS[score], checks, feedback };
+};
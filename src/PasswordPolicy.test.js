@@ -0,0 +1,59 @@
+// PasswordPolicy.test.js
+
+import { evaluatePassword, isValidEmail, MIN_PASSWORD_LENGTH } from "./PasswordPolicy";
+
+const failedChecks = (result) => result.checks.filter((c) => !c.ok).map((c) => c.key);
+
+describe("evaluatePassword", () => {
+  test("accepts a long password mixing character classes", () => {
+    const result = evaluatePassword("Granite-Harbor-72", "jane@example.com");
+    expect(result.valid).toBe(true);
+    expect(result.score).toBe(4);
+    expect(result.label).toBe("Very strong");
+  });
+
+  test(`rejects passwords shorter than ${MIN_PASSWORD_LENGTH} characters`, () => {
+    const result = evaluatePassword("Gr4nite!", "jane@example.com");
+    expect(failedChecks(result)).toEqual(["length"]);
+    expect(result.score).toBeLessThanOrEqual(2);
+  });
+
+  test("rejects common passwords, also with digits or symbols around them", () => {
+    const result = evaluatePassword("Password123456!", "jane@example.com");
+    expect(failedChecks(result)).toEqual(["common"]);
+    expect(result.score).toBeLessThanOrEqual(1);
+  });
+
+  test("rejects passwords reusing the email address", () => {
+    const result = evaluatePassword("Janedoe-Harbor-72", "jane.doe@example.com");
+    expect(failedChecks(result)).toEqual(["email"]);
+  });
+
+  test("asks for the missing character classes", () => {
+    const result = evaluatePassword("granitehabour", "jane@example.com");
+    expect(failedChecks(result)).toEqual(["classes"]);
+    expect(result.feedback.join(" ")).toMatch(/uppercase letters, digits, symbols/);
+  });
+
+  test("lowers the score of obvious sequences", () => {
+    const plain = evaluatePassword("granite-harbor-72");
+    const sequence = evaluatePassword("granite-harb-1234");
+    expect(sequence.score).toBe(plain.score - 1);
+    expect(sequence.feedback.join(" ")).toMatch(/sequences like "1234"/);
+  });
+
+  test("fails every rule for an empty password", () => {
+    const result = evaluatePassword("");
+    expect(result.valid).toBe(false);
+    expect(result.score).toBe(0);
+  });
+});
+
+describe("isValidEmail", () => {
+  test("needs a domain with a top-level domain of two or more letters", () => {
+    expect(isValidEmail("jane.doe+cv@mail.example.co")).toBe(true);
+    expect(isValidEmail("jane@localhost")).toBe(false);
+    expect(isValidEmail("jane@example.c")).toBe(false);
+    expect(isValidEmail("jane doe@example.com")).toBe(false);
+  });
+});
@@ -0,0 +1,164 @@
+// PasswordReset.js
+
+import React, { useState } from "react";
+import PasswordStrength from "./PasswordStrength";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+import { evaluatePassword, isValidEmail } from "./PasswordPolicy";
+import { clearLoginFailures } from "./LoginThrottle";
+import { getAuthAdapter, hashPassword } from "./AuthClient";
+
+/**
+ * FORGOT PASSWORD
+ * Two steps on the login card: request a reset code for an email, then enter
+ * the code with a new password (same policy as at registration). The mock auth
+ * backend cannot send email, so it returns the code and it is shown here.
+ * Resumes saved under the old password stay encrypted with it and can no
+ * longer be opened after a reset.
+ */
+export default function PasswordReset({ initialEmail = "", onDone, onCancel }) {
+  const [step, setStep] = useState("request");
+  const [email, setEmail] = useState(initialEmail);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [devCode, setDevCode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const normalizedEmail = (email || "").trim().toLowerCase();
+  const strength = evaluatePassword(password, normalizedEmail);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!isValidEmail(normalizedEmail)) {
+      setError("Please enter a valid email address.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const result = await getAuthAdapter().requestPasswordReset({ email: normalizedEmail });
+      if (!result.ok) {
+        setError(result.message || "Could not request a reset code. Please try again.");
+        return;
+      }
+      logAuditEvent(AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, normalizedEmail);
+      setNotice(result.message || "If an account exists for this email, a reset code has been sent.");
+      setDevCode(result.devCode || null);
+      setStep("confirm");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!code.trim()) {
+      setError("Please enter the reset code.");
+      return;
+    }
+    if (!strength.valid) {
+      setError("Choose a stronger password: it must meet every rule below.");
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("The passwords do not match.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const newPasswordHash = await hashPassword(password);
+      const result = await getAuthAdapter().resetPassword({ email: normalizedEmail, code: code.trim(), newPasswordHash });
+      if (!result.ok) {
+        logAuditEvent(AUDIT_EVENTS.PASSWORD_RESET_FAILURE, normalizedEmail, { reason: result.message || "rejected" });
+        setError(result.message || "The password could not be reset.");
+        return;
+      }
+      logAuditEvent(AUDIT_EVENTS.PASSWORD_RESET, normalizedEmail);
+      clearLoginFailures(normalizedEmail);
+      onDone(normalizedEmail);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <h2 className="section-title center">Reset your password</h2>
+
+      {step === "request" ? (
+        <form onSubmit={handleRequest}>
+          <p className="hint">Enter your account's email and we'll send you a code to choose a new password.</p>
+          <input
+            className="text-input"
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            disabled={loading}
+          />
+          <button type="submit" className="btn primary full-width" disabled={loading}>
+            {loading ? "Sending..." : "Send reset code"}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleConfirm}>
+          <p className="hint">{notice}</p>
+          {devCode && <p className="hint reset-dev-code">Offline mode: your reset code is <strong>{devCode}</strong></p>}
+          <input
+            className="text-input"
+            type="text"
+            inputMode="numeric"
+            placeholder="Reset code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            required
+            disabled={loading}
+          />
+          <input
+            className="text-input"
+            type="password"
+            placeholder="New password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="new-password"
+            required
+            disabled={loading}
+          />
+          <input
+            className="text-input"
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            autoComplete="new-password"
+            required
+            disabled={loading}
+          />
+          {confirmPassword && confirmPassword !== password && <p className="hint file-error password-mismatch">The passwords do not match.</p>}
+          {password && <PasswordStrength result={strength} />}
+          <p className="hint">Resumes saved with your old password stay encrypted with it and can't be opened after a reset.</p>
+          <button type="submit" className="btn primary full-width" disabled={loading}>
+            {loading ? "Resetting..." : "Set new password"}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="error" style={{ color: "#b00020", marginTop: "0.6rem" }}>{error}</p>}
+
+      <div className="switch-auth center" style={{ marginTop: "0.8rem" }}>
+        <button className="link-button" onClick={onCancel} type="button" disabled={loading}>
+          Back to login
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+// PasswordStrength.js
+
+import React from "react";
+
+/**
+ * Live strength bar, policy checklist and tips shown while choosing a password.
+ * @param {{ result: ReturnType<import("./PasswordPolicy").evaluatePassword> }} props
+ */
+export default function PasswordStrength({ result }) {
+  return (
+    <div className="password-strength" aria-live="polite">
+      <div className="strength-meter">
+        <div className={`strength-bar strength-${result.score}`} style={{ width: `${(result.score + 1) * 20}%` }} />
+      </div>
+      <p className="strength-label">Strength: <strong>{result.label}</strong></p>
+      <ul className="password-checks">
+        {result.checks.map((check) => (
+          <li key={check.key} className={check.ok ? "ok" : "bad"}>{check.ok ? "✓" : "✗"} {check.label}</li>
+        ))}
+      </ul>
+      {result.feedback.length > 0 && (
+        <ul className="password-feedback">
+          {result.feedback.map((tip) => <li key={tip}>{tip}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,328 @@
+// PdfExport.js
+
+import { layoutSections } from "./ResumeParser";
+import { arrangeSections, formatHeading, templateFont } from "./ResumeTemplates";
+
+/**
+ * PDF EXPORT
+ * Two ways to turn the resume into an A4 PDF, both with the bundled npm
+ * packages (lazy-loaded, so export also works offline):
+ *  - exportTextPdf writes real, selectable text with jsPDF from the structured
+ *    resume model, following the template's layout, colors and fonts. This is
+ *    the ATS-readable export.
+ *  - exportImagePdf captures the live preview with html2canvas and embeds it
+ *    as images, for a pixel-exact copy of the on-screen template.
+ */
+
+const PAGE_MARGIN = 48;
+// Two-column layouts: sidebar share of the content width, gap between columns, sidebar inner padding
+const SIDEBAR_SHARE = 0.34;
+const COLUMN_GAP = 18;
+const SIDEBAR_PADDING = 10;
+
+// Font sizes (pt) and the line height used for wrapped text
+const SIZES = { name: 22, headline: 11.5, contact: 9.5, heading: 12, title: 11, body: 10.5, small: 9.5 };
+const LINE_HEIGHT = 1.35;
+
+let jsPdfPromise = null;
+let html2canvasPromise = null;
+
+const loadJsPdf = () => {
+  if (!jsPdfPromise) jsPdfPromise = import("jspdf").then((mod) => mod.jsPDF);
+  return jsPdfPromise;
+};
+
+const loadHtml2Canvas = () => {
+  if (!html2canvasPromise) html2canvasPromise = import("html2canvas").then((mod) => mod.default);
+  return html2canvasPromise;
+};
+
+const joinParts = (parts, separator = ", ") => parts.filter(Boolean).join(separator);
+
+/**
+ * Writes into one column (x, width) and keeps its own cursor and page, so the
+ * main column and the sidebar can flow independently. Starts a new page before
+ * anything that would not fit, so a line of text is never split across pages.
+ * @param {object} frame - { x, width, top, compact, onNewPage(pageNumber) }
+ */
+const createWriter = (doc, template, frame) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const { x, width } = frame;
+  const bodyFont = templateFont(template, "body").pdf;
+  let y = frame.top;
+  let page = 1;
+
+  const lineHeight = (size) => size * LINE_HEIGHT;
+
+  // Also switches the document to this column's page, so call it before drawing
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      page += 1;
+      y = PAGE_MARGIN;
+      if (page > doc.getNumberOfPages()) {
+        doc.addPage();
+        frame.onNewPage(page);
+      }
+    }
+    doc.setPage(page);
+  };
+
+  const setFont = (size, fontStyle = "normal", color = template.palette.text, font = bodyFont) => {
+    doc.setFont(font, fontStyle);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+
+  const wrap = (text, { size = SIZES.body, fontStyle = "normal", font = bodyFont, indent = 0 } = {}) => {
+    setFont(size, fontStyle, undefined, font);
+    return doc.splitTextToSize(text, width - indent);
+  };
+
+  // Wrapped paragraph; `indent` shifts every line, `firstPrefix` hangs off the first one (bullets)
+  const paragraph = (text, { size = SIZES.body, fontStyle = "normal", color = template.palette.text, font = bodyFont, indent = 0, align = "left", firstPrefix = "" } = {}) => {
+    const lines = wrap(text, { size, fontStyle, font, indent });
+    setFont(size, fontStyle, color, font);
+    lines.forEach((line, i) => {
+      ensureSpace(lineHeight(size));
+      const baseline = y + size;
+      if (i === 0 && firstPrefix) doc.text(firstPrefix, x + indent - doc.getTextWidth(firstPrefix) - 4, baseline);
+      if (align === "center") doc.text(line, x + width / 2, baseline, { align: "center" });
+      else doc.text(line, x + indent, baseline);
+      y += lineHeight(size);
+    });
+  };
+
+  const space = (height) => { y += height; };
+
+  return {
+    doc, template, x, width, compact: Boolean(frame.compact), setFont, wrap, paragraph, space, ensureSpace, lineHeight,
+    get y() { return y; },
+    set y(value) { y = value; },
+  };
+};
+
+// Name, headline and contact line across the full width of the first page
+const drawHeader = (w, model) => {
+  const { doc, template } = w;
+  const { palette, header } = template;
+  const name = model.name || "Candidate Name";
+  const { email, phone, linkedin, github, website, location } = model.contact;
+  const contactLine = joinParts([location, email, phone, linkedin, github, website], " | ");
+  const headline = model.headline || `${template.name} Template`;
+  const headingFont = templateFont(template, "headings").pdf;
+  const banded = header.style === "band";
+  const centered = header.align === "center";
+  const radius = 20;
+  const indent = header.avatar && !centered ? 52 : 0;
+  const colors = banded
+    ? { name: "#ffffff", headline: "#ffffff", contact: "#ffffff", avatar: "#ffffff", initial: palette.accent }
+    : { name: palette.text, headline: palette.accent, contact: palette.muted, avatar: palette.accent, initial: "#ffffff" };
+
+  if (banded) {
+    // The band is painted first, so its height is measured from the wrapped text
+    const textHeight = w.wrap(name, { size: SIZES.name, fontStyle: "bold", font: headingFont, indent }).length * w.lineHeight(SIZES.name)
+      + w.wrap(headline, { size: SIZES.headline, indent }).length * w.lineHeight(SIZES.headline)
+      + (contactLine ? w.wrap(contactLine, { size: SIZES.contact, indent }).length * w.lineHeight(SIZES.contact) : 0);
+    const avatarHeight = header.avatar ? (centered ? radius * 2 + 6 + textHeight : radius * 2 + 4) : 0;
+    doc.setFillColor(palette.accent);
+    doc.rect(0, 0, doc.internal.pageSize.getWidth(), w.y + Math.max(textHeight, avatarHeight) + 16, "F");
+  }
+
+  if (header.avatar) {
+    const cx = centered ? w.x + w.width / 2 : w.x + radius;
+    doc.setFillColor(colors.avatar);
+    doc.circle(cx, w.y + radius, radius, "F");
+    w.setFont(18, "bold", colors.initial, headingFont);
+    doc.text(name.slice(0, 1).toUpperCase(), cx, w.y + radius + 6, { align: "center" });
+    if (centered) w.space(radius * 2 + 6);
+  }
+
+  const startY = w.y;
+  const align = header.align;
+  w.paragraph(name, { size: SIZES.name, fontStyle: "bold", color: colors.name, font: headingFont, indent, align });
+  w.paragraph(headline, { size: SIZES.headline, color: colors.headline, indent, align });
+  if (contactLine) w.paragraph(contactLine, { size: SIZES.contact, color: colors.contact, indent, align });
+  if (header.avatar && !centered) w.y = Math.max(w.y, startY + 44);
+
+  if (banded) {
+    w.space(30);
+  } else if (header.style === "rule") {
+    w.space(6);
+    doc.setDrawColor(palette.accent);
+    doc.setLineWidth(1.2);
+    doc.line(w.x, w.y, w.x + w.width, w.y);
+    w.space(8);
+  } else {
+    w.space(6);
+  }
+};
+
+const drawHeading = (w, heading) => {
+  // Keep the heading together with at least one line of its content
+  w.ensureSpace(w.lineHeight(SIZES.heading) + w.lineHeight(SIZES.body) + 14);
+  w.space(10);
+  w.paragraph(formatHeading(heading, w.template), { size: SIZES.heading, fontStyle: "bold", color: w.template.palette.accent, font: templateFont(w.template, "headings").pdf });
+  w.doc.setDrawColor("#cccccc");
+  w.doc.setLineWidth(0.6);
+  w.doc.line(w.x, w.y, w.x + w.width, w.y);
+  w.space(5);
+};
+
+const drawBullets = (w, items) => {
+  items.forEach((item) => w.paragraph(item, { indent: 16, firstPrefix: w.template.bullet }));
+};
+
+// Entry title on the left, dates right-aligned on the same line (below the title in a narrow sidebar)
+const drawEntry = (w, { title, subtitle, dates, bullets }) => {
+  const { doc } = w;
+  const { muted } = w.template.palette;
+  w.ensureSpace(w.lineHeight(SIZES.title) + w.lineHeight(SIZES.body));
+  w.space(3);
+  const sideDates = dates && !w.compact;
+  if (sideDates) {
+    w.setFont(SIZES.small, "normal", muted);
+    doc.text(dates, w.x + w.width, w.y + SIZES.title, { align: "right" });
+  }
+  const datesWidth = sideDates ? doc.getTextWidth(dates) + 12 : 0;
+  w.setFont(SIZES.title, "bold");
+  const titleLines = doc.splitTextToSize(title || "", w.width - datesWidth);
+  titleLines.forEach((line) => {
+    w.ensureSpace(w.lineHeight(SIZES.title));
+    doc.text(line, w.x, w.y + SIZES.title);
+    w.y += w.lineHeight(SIZES.title);
+  });
+  if (dates && !sideDates) w.paragraph(dates, { size: SIZES.small, color: muted });
+  if (subtitle) w.paragraph(subtitle, { size: SIZES.small, fontStyle: "italic", color: muted });
+  drawBullets(w, bullets);
+};
+
+const drawSection = (w, key, model) => {
+  switch (key) {
+    case "summary":
+      w.paragraph(model.summary);
+      break;
+    case "experience":
+      model.experience.forEach((e) => drawEntry(w, { title: joinParts([e.title, e.company]), subtitle: e.location, dates: e.dates, bullets: e.bullets }));
+      break;
+    case "education":
+      model.education.forEach((e) => drawEntry(w, { title: joinParts([e.degree, e.institution]), dates: e.dates, bullets: e.details }));
+      break;
+    case "projects":
+      model.projects.forEach((p) => drawEntry(w, { title: joinParts([p.name, p.subtitle], " – "), dates: p.dates, bullets: p.bullets }));
+      break;
+    case "skills":
+      model.skillGroups.forEach((g) => w.paragraph(g.label ? `${g.label}: ${g.items.join(", ")}` : g.items.join(", ")));
+      break;
+    case "certifications":
+      drawBullets(w, model.certifications);
+      break;
+    case "awards":
+      drawBullets(w, model.awards);
+      break;
+    default:
+      break;
+  }
+};
+
+const drawSections = (w, sections, model) => {
+  sections.forEach((s) => {
+    drawHeading(w, s.heading);
+    drawSection(w, s.key, model);
+  });
+};
+
+/**
+ * Writes the resume as a text-based (selectable, ATS-readable) A4 PDF and downloads it.
+ * @param {object} model - Structured resume from parseResume (ResumeParser.js).
+ * @param {object} template - Resolved template from resolveTemplate (ResumeTemplates.js).
+ * @param {string} fileName
+ * @returns {Promise<void>}
+ */
+export const exportTextPdf = async (model, template, fileName) => {
+  const JsPdf = await loadJsPdf();
+  const doc = new JsPdf({ unit: "pt", format: "a4" });
+  doc.setProperties({ title: `${model.name || "Candidate"} – Resume`, subject: "Resume", creator: "Dynamic Resume Analyzer" });
+
+  const { palette, layout } = template;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const { main, sidebar } = arrangeSections(model, template);
+  const twoColumn = sidebar.length > 0;
+
+  const sidebarWidth = Math.round(contentWidth * SIDEBAR_SHARE);
+  const sidebarX = layout.sidebarSide === "left" ? PAGE_MARGIN : pageWidth - PAGE_MARGIN - sidebarWidth;
+  const mainX = layout.sidebarSide === "left" ? PAGE_MARGIN + sidebarWidth + COLUMN_GAP : PAGE_MARGIN;
+  const mainWidth = contentWidth - sidebarWidth - COLUMN_GAP;
+
+  // Page color and the sidebar panel go down before any text on the page
+  const paintPage = (pageNumber, fromY = PAGE_MARGIN - SIDEBAR_PADDING) => {
+    if (pageNumber > 1 && palette.background.toLowerCase() !== "#ffffff") {
+      doc.setFillColor(palette.background);
+      doc.rect(0, 0, pageWidth, pageHeight, "F");
+    }
+    if (twoColumn && palette.sidebar.toLowerCase() !== palette.background.toLowerCase()) {
+      doc.setFillColor(palette.sidebar);
+      doc.rect(sidebarX, fromY, sidebarWidth, pageHeight - PAGE_MARGIN + SIDEBAR_PADDING - fromY, "F");
+    }
+  };
+
+  if (palette.background.toLowerCase() !== "#ffffff") {
+    doc.setFillColor(palette.background);
+    doc.rect(0, 0, pageWidth, pageHeight, "F");
+  }
+  const headerWriter = createWriter(doc, template, { x: PAGE_MARGIN, width: contentWidth, top: PAGE_MARGIN, onNewPage: paintPage });
+  drawHeader(headerWriter, model);
+
+  if (layoutSections(model).length === 0) {
+    model.raw.split(/\r?\n/).slice(1).map((l) => l.trim()).filter(Boolean).forEach((line) => headerWriter.paragraph(line));
+  } else if (!twoColumn) {
+    drawSections(headerWriter, main, model);
+  } else {
+    const columnsTop = headerWriter.y;
+    paintPage(1, columnsTop);
+    const mainWriter = createWriter(doc, template, { x: mainX, width: mainWidth, top: columnsTop, onNewPage: paintPage });
+    const sidebarWriter = createWriter(doc, template, {
+      x: sidebarX + SIDEBAR_PADDING, width: sidebarWidth - SIDEBAR_PADDING * 2, top: columnsTop, compact: true, onNewPage: paintPage,
+    });
+    drawSections(mainWriter, main, model);
+    drawSections(sidebarWriter, sidebar, model);
+  }
+
+  doc.save(fileName);
+};
+
+/**
+ * Captures a rendered resume sheet as images and downloads it as an A4 PDF.
+ * The capture is cut into page-high slices, so a line can be split at a page break.
+ * @param {HTMLElement} node - The preview sheet.
+ * @param {string} fileName
+ * @returns {Promise<void>}
+ */
+export const exportImagePdf = async (node, fileName) => {
+  const [JsPdf, html2canvas] = await Promise.all([loadJsPdf(), loadHtml2Canvas()]);
+
+  const canvas = await html2canvas(node, {
+    scale: 3,
+    backgroundColor: "#fff",
+    useCORS: true,
+    windowWidth: node.scrollWidth,
+    windowHeight: node.scrollHeight,
+  });
+  const imgData = canvas.toDataURL("image/jpeg", 0.95);
+
+  const pdf = new JsPdf("p", "pt", "a4");
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const imgHeight = (canvas.height * pageWidth) / canvas.width;
+
+  let y = 0, remainingHeight = imgHeight;
+  while (remainingHeight > 0) {
+    if (y > 0) pdf.addPage();
+    pdf.addImage(imgData, "JPEG", 0, -y, pageWidth, imgHeight);
+    remainingHeight -= pageHeight;
+    y += pageHeight;
+  }
+
+  pdf.save(fileName);
+};
@@ -1,83 +1,77 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
-import { storeResumeData, getResumeData } from "./ResumeStore"; 
+import { storeResumeData, getResumeData, unlockResumeStore, lockResumeStore } from "./ResumeStore"; 
+import { extractPdfText, extractDocxText, DOCX_MIME_TYPE } from "./ResumeImport";
+import { parseResume, presentSections } from "./ResumeParser";
+import ResumePreview from "./ResumePreview";
+import { RESUME_TEMPLATES, FONT_OPTIONS, DEFAULT_TEMPLATE_ID, DEFAULT_SECTION_LAYOUT, resolveTemplate, orderSections } from "./ResumeTemplates";
+import { JOB_ROLES, BONUS_POINTS_PER_KEYWORD, getRoleProfile } from "./RoleProfiles";
+import { matchKeywords, buildTextIndex, findKeyword, toKeyword, isVariantMatch } from "./KeywordMatcher";
+import { WEAK_WORDS, STRONG_ACTION_VERBS } from "./Vocabulary";
+import { analyzeImpact, TARGET_QUANTIFIED_SHARE } from "./ImpactAnalyzer";
+import { exportTextPdf, exportImagePdf } from "./PdfExport";
+import { exportDocx } from "./DocxExport";
+import AnnotatedResume from "./AnnotatedResume";
+import RewriteAssistant from "./RewriteAssistant";
+import SectionManager from "./SectionManager";
+import ResumeForm from "./ResumeForm";
+import ResumeVersions from "./ResumeVersions";
+import MyDataPanel from "./MyDataPanel";
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
 
 // --- CONFIGURATION CONSTANTS ---
-const WEIGHT_STRUCTURE = 40;
-const WEIGHT_KEYWORDS = 30;
-const WEIGHT_FORMATTING = 30;
+// Section weights (structure/keywords/formatting/impact) come from the selected role's profile in RoleProfiles.js
 const MAX_WEAK_WORD_PENALTY = 15;
 const WEAK_WORDS_PER_PENALTY = 3;
 
-// Section definitions for robust parsing (case-insensitive, multiline)
-const RESUME_SECTIONS = {
-    contact: /^\s*\b(contact|contact information|personal details?|details)\b/im, 
-    summary: /^\s*\b(summary|objective|profile|professional summary|about me|career objective)\b/im,
-    experience: /^\s*\b(experiences?|work experiences?|employment|career|professional history|relevant experiences?)\b/im,
-    skills: /^\s*\b(skills?|technical skills?|competencies?|technologies?|tools?|expertise|core competencies?)\b/im, 
-    education: /^\s*\b(education|degrees?|university|college|academic history|qualifications?)\b/im,
-    projects: /^\s*\b(projects?|portfolio|personal projects?|contributions?)\b/im, 
-    certifications: /^\s*\b(certifications?|certificates?|license|licensed?)\b/im,
-    awards: /^\s*\b(awards|honors?|achievements?|recognition)\b/im,
-};
-  
-const CORE_SECTIONS = ["contact", "summary", "experience", "skills", "education", "projects"];
-const CORE_SECTIONS_LENGTH = CORE_SECTIONS.length;
+const LINK_LABELS = { github: "GitHub", linkedin: "LinkedIn", website: "Portfolio Website" };
 
-export const RESUME_TEMPLATES = {
-    modern: { id: 'modern', name: "Modern Professional", className: "theme-modern", fontStack: "'Roboto', 'Helvetica', 'Arial', sans-serif" },
-    minimal: { id: 'minimal', name: "Minimal Clean", className: "theme-minimal", fontStack: "'Arial', sans-serif" },
-    classic: { id: 'classic', name: "Classic Standard", className: "theme-classic", fontStack: "'Times New Roman', serif" },
-};
-
-const JOB_ROLES = {
-    software_engineer: "Software Engineer",
-    data_analyst: "Data Scientist/Analyst", 
-    product_manager: "Product Manager",
-    consultant: "Consultant",
-    sales_marketing: "Sales & Marketing",
-    other: "Other/General Role",
-};
+const DEFAULT_JOB_ROLE = "data_analyst";
 
 const JOB_ROLE_TEMPLATE_MAP = {
-    software_engineer: RESUME_TEMPLATES.minimal.id,
+    software_engineer: RESUME_TEMPLATES.technical.id,
     data_analyst: RESUME_TEMPLATES.minimal.id, 
     product_manager: RESUME_TEMPLATES.modern.id,
     consultant: RESUME_TEMPLATES.classic.id,
-    sales_marketing: RESUME_TEMPLATES.modern.id,
+    sales_marketing: RESUME_TEMPLATES.creative.id,
     other: RESUME_TEMPLATES.modern.id,
 };
-  
-const STOPWORDS = new Set([
-    "and", "the", "with", "from", "that", "this", "your", "their", "our", "for", "into", "able", "will", "shall", "must", "have", "has", "had",
-    "are", "was", "were", "you", "they", "them", "over", "under", "about", "above", "below", "not", "only", "but", "also", "more", "than",
-    "such", "etc", "using", "use", "used", "strong", "good", "great", "work", "role", "team", "skills", "requirements", "responsibilities",
-    "job", "description", "looking", "plus", "preferred", "required", "experience", "years", "year", "developer", "engineer", "data", "to",
-    "a", "an", "is", "of", "in", "it", "at", "by", "be", "as", "or", "which", "all", "we", "company", "client"
-]);
-  
-const WEAK_WORDS = [
-    "responsible for", "managed", "worked on", "assisted", "duties included", "had to", "developed a", "was involved in", "my main task was", 
-    "i was tasked with", "involved in", "helped out with", "supported", "contributed to", "participated in", "ran", "maintained", "utilized", 
-    "gained experience in", "handled", "oversaw", "dealt with", "processed"
-];
-  
-const STRONG_ACTION_VERBS = [
-    "Spearheaded", "Drove", "Orchestrated", "Led", "Initiated", 
-    "Optimized", "Engineered", "Developed", "Designed", "Executed", "Increased", "Reduced",
-    "Built", "Managed", "Created", "Implemented", "Analyzed", "Streamlined", "Pioneered"
-];
+
+// Template card thumbnail: page color, accent strip and, for two-column layouts, the sidebar
+const swatchStyle = ({ palette, layout }) => {
+    const sidebar = `${palette.sidebar} 0 34%, ${palette.background} 34%`;
+    return {
+        borderTop: `8px solid ${palette.accent}`,
+        background: layout.columns > 1
+            ? `linear-gradient(to ${layout.sidebarSide === "left" ? "right" : "left"}, ${sidebar})`
+            : palette.background,
+    };
+};
   
 // --- Utility Functions ---
 
-function extractKeywords(text) {
-    return [...new Set(text.toLowerCase().split(/[^a-z0-9+#.\-/]/i) 
-      .map(w => w.trim())
-      .filter(w => w.length > 2 && !STOPWORDS.has(w))
-    )];
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
-  
-function firstNonEmptyLine(s) {
-    return (s || "").split(/\r?\n/).map(x => x.trim()).find(x => x.length > 0) || "Candidate Name";
+
+// "JavaScript (as JS)" when the resume used a different spelling than the canonical term
+function describeMatch(match) {
+    return isVariantMatch(match) ? `${match.term} (as “${escapeHTML(match.found)}”)` : match.term;
+}
+
+// Missing JD keywords grouped by importance, most heavily weighted first
+function describeMissing(missingKeys, limit) {
+    const groups = [
+        ["Must have", missingKeys.filter(k => k.tier === "must")],
+        ["Nice to have", missingKeys.filter(k => k.tier === "nice")],
+    ];
+    return groups
+        .filter(([, keys]) => keys.length > 0)
+        .map(([label, keys]) => `${label}: <strong>${keys.slice(0, limit).map(k => escapeHTML(k.term)).join(', ')}${keys.length > limit ? '...' : ''}</strong>.`)
+        .join(' ');
+}
+
+function escapeHTML(s) {
+    return s.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', '&quot;').replaceAll("'", '&#39;');
 }
 
 function findStrongActionVerbs(resumeText) {
@@ -93,132 +87,164 @@ function findStrongActionVerbs(resumeText) {
     return Array.from(foundVerbs);
 }
 
-function escapeHTML(s) {
-    return s.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', '&quot;').replaceAll("'", '&#39;');
-}
-  
-function plainToHTML(resumeText) {
-    const lines = (resumeText || "").split(/\r?\n/).map(x => x.trim()).filter(x => x.length > 0);
-    let htmlOutput = "";
-    let inList = false;
-  
-    lines.forEach(trimmed => {
-      const isHeading = Object.values(RESUME_SECTIONS).some(r => r.test(trimmed));
-      const isBullet = trimmed.match(/^([*-]|\d+\.|\w+\.|\u2022|\u2013|\u2014)\s+/); 
-      const safeContent = escapeHTML(trimmed.replace(/^([*-]|\d+\.|\w+\.|\u2022|\u2013|\u2014)\s*/, ''));
-  
-      if (isHeading) {
-        if (inList) htmlOutput += "</ul>\n";
-        inList = false;
-        htmlOutput += `<h2 class="section-heading">${safeContent}</h2>\n`;
-      } else if (isBullet) {
-        if (!inList) htmlOutput += "<ul>\n";
-        inList = true;
-        htmlOutput += `<li>${safeContent}</li>\n`;
-      } else {
-        if (inList) htmlOutput += "</ul>\n";
-        inList = false;
-        htmlOutput += `<p>${safeContent}</p>\n`;
-      }
-    });
-  
-    if (inList) htmlOutput += "</ul>\n";
-    return htmlOutput;
-}
-  
-function calculateATSScore(resumeText, jobDescription) {
+function calculateATSScore(resumeModel, jobDescription, roleKey) {
+    const profile = getRoleProfile(roleKey);
+    const { weights } = profile;
     const found = {};
     const missing = [];
+    const resumeText = resumeModel.raw;
     const resumeLower = resumeText.toLowerCase();
     
-    // 1. Structure Score
-    const firstLines = resumeText.split(/\r?\n/).slice(0, 5).join(' ').toLowerCase();
-    if (firstLines.includes('email') || firstLines.includes('phone') || firstLines.includes('linkedin') || firstLines.includes('@')) { 
-        found.contact = true;
-    }
+    // 1. Structure Score (role's required sections and contact links recognized by the parser)
+    presentSections(resumeModel).forEach(k => { found[k] = true; });
   
-    Object.entries(RESUME_SECTIONS).forEach(([k, rgx]) => {
-      if (rgx.test(resumeText)) found[k] = true;
-    });
-  
-    CORE_SECTIONS.forEach(k => {
+    profile.requiredSections.forEach(k => {
       if (!found[k]) {
         missing.push(k);
       }
     });
+    const missingLinks = profile.requiredLinks.filter(l => !resumeModel.contact[l]);
+    const missingOptional = profile.optionalSections.filter(k => !found[k]);
     
-    const coreFoundCount = CORE_SECTIONS_LENGTH - missing.length; 
-    const structureScore = Math.max(0, Math.round((coreFoundCount / CORE_SECTIONS_LENGTH) * WEIGHT_STRUCTURE));
+    const requiredCount = profile.requiredSections.length + profile.requiredLinks.length;
+    const requiredFoundCount = requiredCount - missing.length - missingLinks.length; 
+    const structureScore = Math.max(0, Math.round((requiredFoundCount / requiredCount) * weights.structure));
   
-    // 2. Keyword Score
-    const jdKeys = extractKeywords(jobDescription);
-    const matched = jdKeys.filter(k => resumeLower.includes(k));
-    const keywordMatchRatio = jdKeys.length ? matched.length / jdKeys.length : 0; 
-    const keywordScore = Math.round(keywordMatchRatio * WEIGHT_KEYWORDS); 
+    // 2. Keyword Score (phrase-aware, alias-normalized, weighted by JD section and frequency; see KeywordMatcher.js)
+    const { keywords: jdKeys, matched, missing: missingKeys, matchedWeight, totalWeight } = matchKeywords(jobDescription, resumeText);
+    const keywordMatchRatio = totalWeight ? matchedWeight / totalWeight : 0; 
+    const keywordScore = Math.round(keywordMatchRatio * weights.keywords); 
   
     // 3. Formatting Score
     let weakWordCount = 0;
     
     WEAK_WORDS.forEach(word => {
-      const safeWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); 
-      const regex = new RegExp(`\\b${safeWord}\\b`, 'gi'); 
+      const regex = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi'); 
       weakWordCount += (resumeLower.match(regex) || []).length;
     });
   
     const weakWordPenalty = Math.min(Math.floor(weakWordCount / WEAK_WORDS_PER_PENALTY) * (MAX_WEAK_WORD_PENALTY / (MAX_WEAK_WORD_PENALTY / WEAK_WORDS_PER_PENALTY)), MAX_WEAK_WORD_PENALTY);
-    const formattingScore = Math.max(0, WEIGHT_FORMATTING - weakWordPenalty);
+    const formattingScore = Math.max(0, weights.formatting - weakWordPenalty);
+
+    // 4. Impact Score (share of experience/project bullets with a measurable outcome)
+    const impact = analyzeImpact(resumeModel);
+    const impactScore = Math.round(Math.min(1, impact.share / TARGET_QUANTIFIED_SHARE) * weights.impact);
+
+    // 5. Role Bonus (role-specific keywords, independent of the pasted JD)
+    const resumeIndex = buildTextIndex(resumeText);
+    const roleKeywordsFound = profile.bonusKeywords.filter(k => findKeyword(resumeIndex, toKeyword(k)));
+    const roleKeywordsMissing = profile.bonusKeywords.filter(k => !roleKeywordsFound.includes(k));
+    const roleBonus = Math.min(profile.maxBonus, roleKeywordsFound.length * BONUS_POINTS_PER_KEYWORD);
   
     // Final Score
-    const atsScore = Math.max(0, Math.min(100, structureScore + keywordScore + formattingScore));
-    const missingKeys = jdKeys.filter(k => !resumeLower.includes(k));
+    const atsScore = Math.max(0, Math.min(100, structureScore + keywordScore + formattingScore + impactScore + roleBonus));
     const usedStrongVerbs = findStrongActionVerbs(resumeText);
   
     return {
       found, missing, matched, missingKeys,
-      atsScore, uniqueJD: jdKeys.length,
-      weakWordCount, usedStrongVerbs,
+      atsScore, uniqueJD: jdKeys.length, keywordMatchPct: Math.round(keywordMatchRatio * 100),
+      weakWordCount, usedStrongVerbs, impact,
+      roleKey, missingLinks, missingOptional, roleKeywordsFound, roleKeywordsMissing,
+      scores: { structure: structureScore, keywords: keywordScore, formatting: formattingScore, impact: impactScore, roleBonus },
     };
 }
 
-const analyzeData = (resumeText, jobDescription) => {
-    if (!resumeText.trim()) return null;
-    return calculateATSScore(resumeText, jobDescription);
+const analyzeData = (resumeModel, jobDescription, roleKey) => {
+    if (!resumeModel.raw.trim()) return null;
+    return calculateATSScore(resumeModel, jobDescription, roleKey);
 };
+
+const summarizeAnalysis = (analysis) =>
+    `Target Role: ${JOB_ROLES[analysis.roleKey]}. ATS Score: ${analysis.atsScore}%. Missing Sections: ${[...analysis.missing, ...analysis.missingLinks].join(', ')}. Weak Words: ${analysis.weakWordCount}. Quantified Bullets: ${analysis.impact.quantifiedCount}/${analysis.impact.total}.`;
   
 
 // --- Component ---
-export default function ResumeAnalyzer({ userEmail, onDataChange }) {
+export default function ResumeAnalyzer({ userEmail, storeSecret, onDataChange, onStoreStatusChange, onChatsImported, onUnlockStore, onAccountDataDeleted }) {
     const [resumeText, setResumeText] = useState("");
     const [jobDescription, setJobDescription] = useState("");
     const [analysis, setAnalysis] = useState(null); 
-    const [selectedJobRole, setSelectedJobRole] = useState(Object.keys(JOB_ROLES)[1]); 
-    const initialTemplateId = JOB_ROLE_TEMPLATE_MAP[Object.keys(JOB_ROLES)[1]];
+    const [selectedJobRole, setSelectedJobRole] = useState(DEFAULT_JOB_ROLE); 
+    const initialTemplateId = JOB_ROLE_TEMPLATE_MAP[DEFAULT_JOB_ROLE];
     const [selectedTemplate, setSelectedTemplate] = useState(initialTemplateId);
+    // User tweaks per template id: { accent, font }
+    const [templateOverrides, setTemplateOverrides] = useState({});
+    // Section order, visibility and headings from the section manager (stored with the resume)
+    const [sectionLayout, setSectionLayout] = useState(DEFAULT_SECTION_LAYOUT);
     const [fileError, setFileError] = useState(null); 
+    // "text" (textarea) or "form" (structured fields); both edit resumeText
+    const [editMode, setEditMode] = useState("text");
     const [isProcessing, setIsProcessing] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
     const previewRef = useRef(null);
     const fileInputRef = useRef(null);
-        useEffect(() => {
-        if (!userEmail) return; 
-        const storedData = getResumeData(userEmail);
+    // Bumped after every save so the saved-resumes panel re-reads the store
+    const [storeRevision, setStoreRevision] = useState(0);
+    // Result of unlocking the encrypted store: null while the key is derived, then "ok", "wrong-key", "needs-password" or "no-key"
+    const [storeStatus, setStoreStatus] = useState(null);
+
+    // Puts a stored resume version in the editor and scores it, or clears the editor when there is none
+    const showStoredResume = useCallback((storedData, roleKey) => {
         if (storedData) {
             setResumeText(storedData.resume);
             setJobDescription(storedData.jd);
-            const newAnalysis = analyzeData(storedData.resume, storedData.jd);
+            setSectionLayout(storedData.sectionLayout || DEFAULT_SECTION_LAYOUT);
+            const storedModel = parseResume(storedData.resume);
+            const newAnalysis = analyzeData(storedModel, storedData.jd, roleKey);
             setAnalysis(newAnalysis);
             onDataChange({ 
                 resumeText: storedData.resume, 
-                analysisSummary: `ATS Score: ${newAnalysis.atsScore}%. Missing Sections: ${newAnalysis.missing.join(', ')}. Weak Words: ${newAnalysis.weakWordCount}.`,
+                resumeModel: storedModel,
+                analysisSummary: summarizeAnalysis(newAnalysis),
+                analysis: newAnalysis,
                 userEmail, 
             });
         } else {
             setResumeText("");
             setJobDescription("");
+            setSectionLayout(DEFAULT_SECTION_LAYOUT);
             setAnalysis(null);
-            onDataChange({ resumeText: "", analysisSummary: null, userEmail });
+            onDataChange({ resumeText: "", resumeModel: null, analysisSummary: null, analysis: null, userEmail });
         }
-    }, [userEmail, onDataChange]); 
+    }, [userEmail, onDataChange]);
+
+    useEffect(() => {
+        if (!userEmail) return; 
+        let cancelled = false;
+        setStoreStatus(null);
+        unlockResumeStore(userEmail, storeSecret).then(status => {
+            if (cancelled) return;
+            setStoreStatus(status);
+            showStoredResume(status === "ok" ? getResumeData(userEmail) : null, DEFAULT_JOB_ROLE);
+        });
+        return () => {
+            cancelled = true;
+            lockResumeStore(userEmail);
+        };
+    }, [userEmail, storeSecret, showStoredResume]);
+
+    // The chatbot saves its conversations in the same store
+    useEffect(() => {
+        onStoreStatusChange(storeStatus);
+    }, [storeStatus, onStoreStatusChange]);
     
+    // Structured model shared by scoring, the live preview, the chatbot and PDF export
+    const resumeModel = useMemo(() => parseResume(resumeText), [resumeText]);
+
+    // Scores the given resume, stores it and shares the result with the chatbot
+    const runAnalysis = (text, model) => {
+        const newAnalysis = analyzeData(model, jobDescription, selectedJobRole);
+        setAnalysis(newAnalysis); 
+        storeResumeData(userEmail, text, jobDescription, sectionLayout, { atsScore: newAnalysis.atsScore, role: selectedJobRole });
+        setStoreRevision(r => r + 1);
+        onDataChange({
+            resumeText: text, 
+            resumeModel: model,
+            analysisSummary: summarizeAnalysis(newAnalysis),
+            analysis: newAnalysis,
+            userEmail,
+        });
+    };
+
     // Manual Analysis Handler
     const handleAnalyzeClick = () => {
         if (!resumeText.trim()) {
@@ -227,14 +253,7 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
             return;
         }
         setFileError(null); 
-        const newAnalysis = analyzeData(resumeText, jobDescription);
-        setAnalysis(newAnalysis); 
-        storeResumeData(userEmail, resumeText, jobDescription);
-        onDataChange({
-            resumeText: resumeText, 
-            analysisSummary: `ATS Score: ${newAnalysis.atsScore}%. Missing Sections: ${newAnalysis.missing.join(', ')}. Weak Words: ${newAnalysis.weakWordCount}.`,
-            userEmail,
-        });
+        runAnalysis(resumeText, resumeModel);
         setTimeout(() => {
             document.querySelector('.ats-analysis-card')?.scrollIntoView({ behavior: 'smooth' });
         }, 100);
@@ -250,15 +269,26 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
             return;
         }
         
-        if (file.type !== "text/plain" && file.type !== "application/pdf") {
-            setFileError("Upload a .txt or .pdf file only. TXT recommended.");
+        const isPdf = file.type === "application/pdf" || /\.pdf$/i.test(file.name);
+        const isDocx = file.type === DOCX_MIME_TYPE || /\.docx$/i.test(file.name);
+        if (file.type !== "text/plain" && !isPdf && !isDocx) {
+            setFileError("Upload a .txt, .pdf or .docx file only.");
             setResumeText("");
             return;
         }
 
-        if (file.type === "application/pdf") {
-            setFileError("⚠️ PDF selected. Use .txt for accurate parsing. Dummy content loaded for demonstration.");
-            setResumeText("John Smith\n(555) 123-4567 | john.smith@email.com | LinkedIn/johnsmith\n\nSummary\nHighly motivated developer with experience in full-stack web technologies.\n\nExperience\n- Spearheaded the development of a customer-facing portal using React and Tailwind CSS.\n- Drove the migration of legacy systems to a new Firestore database, improving performance by 30%.\n- Led Agile sprint planning and deployment cycles.\n\nSkills\nReact, JavaScript, Tailwind CSS, Firebase, Firestore, Agile Methodology, SQL, Deployment.\n\nEducation\nB.S. Computer Science, University of Technology");
+        if (isPdf || isDocx) {
+            setIsImporting(true);
+            try {
+                const text = isPdf ? await extractPdfText(file) : await extractDocxText(file);
+                setResumeText(text);
+                setAnalysis(null);
+            } catch (err) {
+                setFileError(`⚠️ ${err.message}`);
+                setResumeText("");
+            } finally {
+                setIsImporting(false);
+            }
             return;
         }
         
@@ -276,33 +306,39 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
     const feedback = useMemo(() => {
         if (!analysis) return [];
         const list = [];
-        const { missing, uniqueJD, matched, weakWordCount, missingKeys, usedStrongVerbs } = analysis; 
+        const { missing, uniqueJD, matched, weakWordCount, missingKeys, usedStrongVerbs, scores, keywordMatchPct: matchPct } = analysis; 
+        const { missingLinks, missingOptional, roleKeywordsFound, roleKeywordsMissing } = analysis;
+        const profile = getRoleProfile(analysis.roleKey);
+        const { weights } = profile;
+        const roleName = JOB_ROLES[analysis.roleKey];
 
         // 1. Structure Feedback
-        const structureSubScore = Math.round( (CORE_SECTIONS_LENGTH - missing.length) / CORE_SECTIONS_LENGTH * WEIGHT_STRUCTURE);
+        const structureSubScore = scores.structure;
+        const missingItems = [...missing.map(s => s.toUpperCase()), ...missingLinks.map(l => `${LINK_LABELS[l]} link`)];
 
-        if (missing.length > 0) {
+        if (missingItems.length > 0) {
             list.push(`
                 <span class="feedback-icon bad">✖</span> 
-                <strong>Structure Deficiency &Completeness:</strong> Missing core sections: 
-                <strong>${missing.map(s => s.toUpperCase()).join(", ")}</strong>. 
+                <strong>Structure Deficiency &Completeness:</strong> Missing for a ${roleName} resume: 
+                <strong>${missingItems.join(", ")}</strong>. 
                 <div class="advice">
                     <strong>Advice:</strong> Add these sections explicitly to ensure ATS coverage. 
-                    <span class="sub-score">(${structureSubScore}/${WEIGHT_STRUCTURE})</span>
+                    <span class="sub-score">(${structureSubScore}/${weights.structure})</span>
                 </div>
             `);
         } else {
             list.push(`
                 <span class="feedback-icon ok">✓</span> 
-                <strong>Structure:</strong> All standard core sections found. 
-                <span class="sub-score">(${structureSubScore}/${WEIGHT_STRUCTURE})</span>
+                <strong>Structure:</strong> All sections a ${roleName} resume needs were found. 
+                <span class="sub-score">(${structureSubScore}/${weights.structure})</span>
             `);
         }
 
         // 2. Keyword Feedback
-        const matchPct = uniqueJD ? Math.round((matched.length / uniqueJD) * 100) : 0;
-        const keywordSubScore = Math.round(matchPct / 100 * WEIGHT_KEYWORDS); 
-        const adviceKeyword = `<span class="sub-score">(${keywordSubScore}/${WEIGHT_KEYWORDS})</span>`;
+        const adviceKeyword = `<span class="sub-score">(${scores.keywords}/${weights.keywords})</span>`;
+        const matchedList = matched.length
+            ? `Matched: <strong>${matched.slice(0, 15).map(describeMatch).join(', ')}${matched.length > 15 ? '...' : ''}</strong>. `
+            : '';
 
         if (uniqueJD === 0) {
             list.push(`
@@ -310,13 +346,12 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                 <strong>Keyword Match:</strong> Paste a Job Description to calculate alignment (0%).
             `);
         } else if (matchPct < 40) {
-            const criticalMissing = missingKeys.slice(0, 15).join(', ');
             list.push(`
                 <span class="feedback-icon bad">#</span> 
                 <strong>Low Keyword Match (${matchPct}%):</strong> Major tailoring needed. 
                 <div class="advice">
-                    Missing critical terms (first 15): <strong>${criticalMissing}${missingKeys.length > 15 ? '...' : ''}</strong>. 
-                    <strong>Suggestion:</strong> Integrate these terms into your Summary, Skills, and Experience bullet points, showing *how* you used them. ${adviceKeyword}
+                    Missing terms, most important first. ${describeMissing(missingKeys, 10)} 
+                    ${matchedList}<strong>Suggestion:</strong> Integrate these terms into your Summary, Skills, and Experience bullet points, showing *how* you used them. ${adviceKeyword}
                 </div>
             `);
         } else if (matchPct < 70) {
@@ -324,20 +359,20 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                 <span class="feedback-icon warn">!</span> 
                 <strong>Moderate Match (${matchPct}%):</strong> Good start, but competition is high. 
                 <div class="advice">
-                    <strong>Suggestion:</strong> Focus on adding the remaining ${missingKeys.length} terms to cross the 80% threshold. ${adviceKeyword}
+                    ${matchedList}Still missing. ${describeMissing(missingKeys, 8)} 
+                    <strong>Suggestion:</strong> Start with the must-have terms; they come from the requirements and responsibilities and weigh the most. ${adviceKeyword}
                 </div>
             `);
         } else {
             list.push(`
                 <span class="feedback-icon ok">✓</span> 
-                <strong>Strong Match (${matchPct}%):</strong> Excellent keyword alignment. ${adviceKeyword}
+                <strong>Strong Match (${matchPct}%):</strong> Excellent keyword alignment. 
+                <div class="advice">${matchedList}${missingKeys.length ? describeMissing(missingKeys, 5) + ' ' : ''}${adviceKeyword}</div>
             `);
         }
 
         // 3. Formatting/Vocabulary Feedback
-        const weakWordPenalty = Math.min(Math.floor(weakWordCount / WEAK_WORDS_PER_PENALTY) * (MAX_WEAK_WORD_PENALTY / (MAX_WEAK_WORD_PENALTY / WEAK_WORDS_PER_PENALTY)), MAX_WEAK_WORD_PENALTY);
-        const formattingSubScore = Math.max(0, WEIGHT_FORMATTING - weakWordPenalty);
-        const adviceFormatting = `<span class="sub-score">(${formattingSubScore}/${WEIGHT_FORMATTING})</span>`;
+        const adviceFormatting = `<span class="sub-score">(${scores.formatting}/${weights.formatting})</span>`;
 
         if (weakWordCount > 0) {
             const suggestions = STRONG_ACTION_VERBS.slice(0, 3).join(', ');
@@ -345,7 +380,7 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                 <span class="feedback-icon warn">!</span> 
                 <strong>Vocabulary:</strong> Used weak verbs <strong>${weakWordCount}</strong> times. 
                 <div class="advice">
-                    <strong>Improvement:</strong> Replace passive terms with stronger action verbs like: <strong>${suggestions}</strong>. ${adviceFormatting}
+                    <strong>Improvement:</strong> Replace passive terms with stronger action verbs like: <strong>${suggestions}</strong>. The <strong>Bullet Rewrite Assistant</strong> below suggests rewrites for each weak bullet. ${adviceFormatting}
                 </div>
             `);
         } else {
@@ -356,84 +391,141 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
             `);
         }
 
+        // 4. Quantified Impact Feedback
+        const { impact } = analysis;
+        const adviceImpact = `<span class="sub-score">(${scores.impact}/${weights.impact})</span>`;
+        const sharePct = Math.round(impact.share * 100);
+
+        if (impact.total === 0) {
+            list.push(`
+                <span class="feedback-icon info">i</span> 
+                <strong>Quantified Impact:</strong> No experience or project bullets found to check for measurable results. ${adviceImpact}
+            `);
+        } else if (impact.share >= TARGET_QUANTIFIED_SHARE) {
+            list.push(`
+                <span class="feedback-icon ok">✓</span> 
+                <strong>Quantified Impact (${sharePct}%):</strong> ${impact.quantifiedCount} of ${impact.total} bullets state a measurable result. ${adviceImpact}
+            `);
+        } else {
+            const examples = impact.unquantified.slice(0, 3).map(b => `
+                <li>“${escapeHTML(b.text)}” → add <strong>${b.metric}</strong> (e.g. ${b.example})</li>`).join('');
+            list.push(`
+                <span class="feedback-icon ${sharePct >= 30 ? 'warn' : 'bad'}">${sharePct >= 30 ? '!' : '✖'}</span> 
+                <strong>Quantified Impact (${sharePct}%):</strong> Only ${impact.quantifiedCount} of ${impact.total} bullets include a number, percentage, amount or scale. 
+                <div class="advice">
+                    <strong>Add metrics</strong> to at least ${Math.round(TARGET_QUANTIFIED_SHARE * 100)}% of bullets, for example:<ul class="impact-examples">${examples}</ul>
+                    ${adviceImpact}
+                </div>
+            `);
+        }
+
+        // 5. Role Expectations Feedback
+        const optionalNote = missingOptional.length
+            ? ` Nice to have: <strong>${missingOptional.map(s => s.toUpperCase()).join(", ")}</strong>.`
+            : '';
+        if (profile.bonusKeywords.length === 0) {
+            list.push(`
+                <span class="feedback-icon info">i</span> 
+                <strong>Role Fit (${roleName}):</strong> ${profile.expectations}${optionalNote}
+            `);
+        } else {
+            const foundNote = roleKeywordsFound.length
+                ? `Role keywords found: <strong>${roleKeywordsFound.join(', ')}</strong>. `
+                : '';
+            list.push(`
+                <span class="feedback-icon ${scores.roleBonus >= profile.maxBonus ? 'ok' : 'info'}">${scores.roleBonus >= profile.maxBonus ? '✓' : 'i'}</span> 
+                <strong>Role Fit (${roleName}):</strong> ${profile.expectations}${optionalNote}
+                <div class="advice">
+                    ${foundNote}${scores.roleBonus < profile.maxBonus ? `<strong>Consider adding:</strong> ${roleKeywordsMissing.slice(0, 6).join(', ')}. ` : ''}
+                    <span class="sub-score">(Bonus +${scores.roleBonus}/${profile.maxBonus})</span>
+                </div>
+            `);
+        }
+
         return list;
     }, [analysis]);
     
-    const candidateName = useMemo(() => firstNonEmptyLine(resumeText), [resumeText]);
-    const htmlBody = useMemo(() => plainToHTML(resumeText), [resumeText]);
+    const candidateName = resumeModel.name || "Candidate Name";
     
-    const currentTemplate = RESUME_TEMPLATES[selectedTemplate] || RESUME_TEMPLATES.modern;
-    const rolePreferredTemplateId = JOB_ROLE_TEMPLATE_MAP[selectedJobRole];
-    const rolePreferredTemplate = rolePreferredTemplateId ? RESUME_TEMPLATES[rolePreferredTemplateId] : RESUME_TEMPLATES.modern;
+    const currentTemplate = resolveTemplate(selectedTemplate, templateOverrides[selectedTemplate], sectionLayout);
+    const rolePreferredTemplate = RESUME_TEMPLATES[JOB_ROLE_TEMPLATE_MAP[selectedJobRole]] || RESUME_TEMPLATES[DEFAULT_TEMPLATE_ID];
+
+    const updateTemplateOverride = (field, value) => {
+        setTemplateOverrides(prev => ({ ...prev, [selectedTemplate]: { ...prev[selectedTemplate], [field]: value } }));
+    };
+
+    const resetTemplateOverrides = () => {
+        setTemplateOverrides(prev => ({ ...prev, [selectedTemplate]: undefined }));
+    };
     
+    // Score and role kept with a saved version: the current text scored for the role
+    const versionMeta = (roleKey) => ({ atsScore: analyzeData(resumeModel, jobDescription, roleKey)?.atsScore, role: roleKey });
+
+    // Saves the new role with the resume and re-scores an existing analysis against its profile
+    const handleRoleChange = (roleKey) => {
+        setSelectedJobRole(roleKey);
+        storeResumeData(userEmail, resumeText, jobDescription, sectionLayout, versionMeta(roleKey));
+        setStoreRevision(r => r + 1);
+        if (!analysis) return;
+        const newAnalysis = analyzeData(resumeModel, jobDescription, roleKey);
+        setAnalysis(newAnalysis);
+        onDataChange({ resumeText, resumeModel, analysisSummary: summarizeAnalysis(newAnalysis), analysis: newAnalysis, userEmail });
+    };
+
+    // Accepting a rewrite replaces the resume text and re-scores it immediately
+    const handleApplyRewrite = (newText) => {
+        setResumeText(newText);
+        runAnalysis(newText, parseResume(newText));
+    };
+
+    // Layout changes leave the text alone but are saved with it, and with its score and role
+    const handleSectionLayoutChange = (nextLayout) => {
+        setSectionLayout(nextLayout);
+        storeResumeData(userEmail, resumeText, jobDescription, nextLayout, versionMeta(selectedJobRole));
+        setStoreRevision(r => r + 1);
+    };
+
+    // Applies an imported "My Data" bundle: its resumes and conversations are already stored, settings live in state
+    const handleDataImport = (bundle) => {
+        const settings = bundle.settings || {};
+        const roleKey = JOB_ROLES[settings.jobRole] ? settings.jobRole : DEFAULT_JOB_ROLE;
+        setSelectedJobRole(roleKey);
+        if (RESUME_TEMPLATES[settings.templateId]) setSelectedTemplate(settings.templateId);
+        setTemplateOverrides(settings.templateOverrides || {});
+        if (settings.editMode === "text" || settings.editMode === "form") setEditMode(settings.editMode);
+        onChatsImported();
+        setStoreRevision(r => r + 1);
+        showStoredResume(getResumeData(userEmail), roleKey);
+    };
+
     const handleApplyRoleTemplate = () => {
         setSelectedTemplate(rolePreferredTemplate.id);
     };
 
-    const loadLibraries = useCallback(() => {
-        return new Promise((resolve, reject) => {
-            if (window.jspdf && window.html2canvas) return resolve();
-
-            const jsPDFScript = document.createElement("script");
-            jsPDFScript.src = "https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js";
-            jsPDFScript.onerror = () => reject(new Error("Failed to load jsPDF."));
-            jsPDFScript.onload = () => {
-                const html2canvasScript = document.createElement("script");
-                html2canvasScript.src = "https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js";
-                html2canvasScript.onerror = () => reject(new Error("Failed to load html2canvas."));
-                html2canvasScript.onload = resolve;
-                document.body.appendChild(html2canvasScript);
-            };
-            document.body.appendChild(jsPDFScript);
-        });
-    }, []);
-
-    const handleDownload = async () => {
-        if (!previewRef.current) return;
+    // "text" writes a selectable, ATS-readable PDF; "image" captures the preview exactly as shown;
+    // "docx" builds a Word document
+    const handleDownload = async (mode) => {
+        if (mode === "image" && !previewRef.current) return;
 
         setIsProcessing(true);
-        let originalClass = '';
         const node = previewRef.current;
+        const fileName = `${candidateName.replace(/\s/g, "_")}_${selectedTemplate}_Resume.${mode === "docx" ? "docx" : "pdf"}`;
         
         try {
-            await loadLibraries();
-            
-            const { jsPDF } = window.jspdf || {}; 
-            if (!jsPDF) throw new Error("jsPDF object not found after loading UMD bundle.");
-
-            originalClass = node.className;
-            node.className = `resume-sheet ${currentTemplate.className} export-ready`; 
-
-            const canvas = await window.html2canvas(node, {
-                scale: 3,
-                backgroundColor: "#fff",
-                useCORS: true,
-                windowWidth: node.scrollWidth,
-                windowHeight: node.scrollHeight
-            });
-            const imgData = canvas.toDataURL("image/jpeg", 0.95);
-
-            const pdf = new jsPDF("p", "pt", "a4");
-            const pageWidth = pdf.internal.pageSize.getWidth();
-            const pageHeight = pdf.internal.pageSize.getHeight();
-            const imgHeight = (canvas.height * pageWidth) / canvas.width;
-
-            let y = 0, remainingHeight = imgHeight;
-            while (remainingHeight > 0) {
-                if (y > 0) pdf.addPage();
-                pdf.addImage(imgData, "JPEG", 0, -y, pageWidth, imgHeight); 
-                remainingHeight -= pageHeight;
-                y += pageHeight;
+            if (mode === "text") {
+                await exportTextPdf(resumeModel, currentTemplate, fileName);
+            } else if (mode === "docx") {
+                await exportDocx(resumeModel, currentTemplate, fileName);
+            } else {
+                node.classList.add("export-ready");
+                await exportImagePdf(node, fileName);
             }
-
-            const fileName = `${candidateName.replace(/\s/g, "_")}_${selectedTemplate}_Resume.pdf`;
-            pdf.save(fileName);
-
+            logAuditEvent(AUDIT_EVENTS.DATA_EXPORTED, userEmail, { format: mode === "docx" ? "docx" : `pdf (${mode})`, what: "resume", template: selectedTemplate });
         } catch (err) {
-            setFileError(`PDF Generation failed. (Error: ${err.message})`);
+            setFileError(`${mode === "docx" ? "DOCX" : "PDF"} Generation failed. (Error: ${err.message})`);
         } finally {
             setIsProcessing(false);
-            if (originalClass) node.className = originalClass;
+            if (node) node.classList.remove("export-ready");
         }
     };
 
@@ -441,6 +533,17 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
     return (
         <React.Fragment>
             <section className="container">
+                {/* Named resumes and their saved versions */}
+                {userEmail && (
+                    <ResumeVersions
+                        userEmail={userEmail}
+                        storeRevision={storeRevision}
+                        storeStatus={storeStatus}
+                        onUnlock={onUnlockStore}
+                        currentResume={{ resume: resumeText, jd: jobDescription, sectionLayout, atsScore: analysis?.atsScore ?? null, role: selectedJobRole }}
+                        onLoad={data => showStoredResume(data, selectedJobRole)}
+                    />
+                )}
                 <div className="grid-2">
                     {/* Resume Input Card */}
                     <div className="card">
@@ -452,7 +555,7 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                             id="job-role"
                             className="text-input mb-1" 
                             value={selectedJobRole}
-                            onChange={e => setSelectedJobRole(e.target.value)}
+                            onChange={e => handleRoleChange(e.target.value)}
                         >
                             {Object.entries(JOB_ROLES).map(([key, name]) => (
                                 <option key={key} value={key}>{name}</option>
@@ -463,23 +566,37 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                             onDrop={e => { e.preventDefault(); e.stopPropagation(); if (e.dataTransfer.files.length > 0) handleFile(e.dataTransfer.files[0]); }}
                             onDragOver={e => { e.preventDefault(); e.stopPropagation(); }}
                         >
-                            <p className="dropzone-text">Drag & Drop or Select a File (.txt, .pdf)</p>
+                            <p className="dropzone-text">Drag & Drop or Select a File (.txt, .pdf, .docx)</p>
                             <input
                                 ref={fileInputRef}
                                 type="file"
-                                accept=".txt,application/pdf"
+                                accept={`.txt,.pdf,.docx,application/pdf,${DOCX_MIME_TYPE}`}
                                 style={{ display: "none" }}
                                 onChange={e => handleFile(e.target.files?.[0])}
                             />
-                            <button type="button" className="btn select-file-btn" onClick={() => fileInputRef.current.click()}>Select File</button>
+                            <button type="button" className="btn select-file-btn" onClick={() => fileInputRef.current.click()} disabled={isImporting}>
+                                {isImporting ? "Reading File..." : "Select File"}
+                            </button>
                             {fileError && <p className={`hint ${fileError.startsWith('⚠️') ? 'file-error' : 'file-success'}`}>{fileError}</p>}
                         </div>
-                        {/* Resume Textarea */}
-                        <textarea className="text-input jd-input mt-1"
-                            placeholder="Paste your resume content here. (TXT is best for parsing accuracy)"
-                            value={resumeText}
-                            onChange={e => setResumeText(e.target.value)}
-                        />
+                        {/* Editing mode: plain text or structured form, kept in sync through resumeText */}
+                        <div className="edit-mode-toggle mt-1" role="tablist">
+                            <button type="button" role="tab" aria-selected={editMode === "text"} className={`mode-tab ${editMode === "text" ? "active" : ""}`} onClick={() => setEditMode("text")}>
+                                Plain Text
+                            </button>
+                            <button type="button" role="tab" aria-selected={editMode === "form"} className={`mode-tab ${editMode === "form" ? "active" : ""}`} onClick={() => setEditMode("form")}>
+                                Form Editor
+                            </button>
+                        </div>
+                        {editMode === "text" ? (
+                            <textarea className="text-input jd-input mt-05"
+                                placeholder="Paste your resume content here, or upload a .txt, .docx or text-based .pdf file."
+                                value={resumeText}
+                                onChange={e => setResumeText(e.target.value)}
+                            />
+                        ) : (
+                            <ResumeForm resumeText={resumeText} onChange={setResumeText} />
+                        )}
                     </div>
 
                     {/* Job Description Card */}
@@ -490,7 +607,7 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                             value={jobDescription} 
                             onChange={e => setJobDescription(e.target.value)}
                         />
-                        <p className="hint">Pasting the JD is crucial. The tool analyzes keywords against this text for 30% of your ATS score.</p>
+                        <p className="hint">Pasting the JD is crucial. Keywords under requirements and responsibilities count more than nice-to-haves or the company blurb.</p>
                     </div>
                 </div>
                 
@@ -532,10 +649,16 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                                 </div>
                             </div>
                             <div className="actions">
-                                <button className="btn primary" onClick={handleDownload} disabled={isProcessing}>
-                                    {isProcessing ? 'Processing PDF...' : `⬇️ Download '${currentTemplate.name}' as PDF`}
+                                <button className="btn primary" onClick={() => handleDownload("text")} disabled={isProcessing}>
+                                    {isProcessing ? 'Processing...' : `⬇️ Download '${currentTemplate.name}' as PDF`}
+                                </button>
+                                <button className="btn secondary" onClick={() => handleDownload("docx")} disabled={isProcessing}>
+                                    📝 Download as DOCX
+                                </button>
+                                <button className="btn secondary" onClick={() => handleDownload("image")} disabled={isProcessing}>
+                                    🖼️ Image PDF (exact preview)
                                 </button>
-                                <p className="hint mt-05">Generates a high-quality A4 PDF of your formatted resume.</p>
+                                <p className="hint mt-05">The standard PDF and the DOCX contain real, selectable text that ATS software can read. The image PDF is a pixel-exact copy of the preview, but its text cannot be parsed.</p>
                             </div>
                         </div>
 
@@ -545,27 +668,63 @@ export default function ResumeAnalyzer({ userEmail, onDataChange }) {
                             <div className="template-grid">
                                 {Object.values(RESUME_TEMPLATES).map((t) => (
                                     <button key={t.id} type="button" className={`template-card ${selectedTemplate === t.id ? "selected" : ""}`} onClick={() => setSelectedTemplate(t.id)} title={t.name}>
-                                        <div className={`template-swatch ${t.className.replace('theme-', 'swatch-')}`}></div>
+                                        <div className="template-swatch" style={swatchStyle(resolveTemplate(t.id, templateOverrides[t.id]))}></div>
                                         <div className="template-name">{t.name}</div>
                                     </button>
                                 ))}
                             </div>
+                            <div className="template-tweaks mt-1">
+                                <label className="label-style">
+                                    Accent color
+                                    <input type="color" className="color-input" value={currentTemplate.palette.accent} onChange={e => updateTemplateOverride("accent", e.target.value)} />
+                                </label>
+                                <label className="label-style">
+                                    Body font
+                                    <select className="text-input" value={currentTemplate.typography.body} onChange={e => updateTemplateOverride("font", e.target.value)}>
+                                        {Object.entries(FONT_OPTIONS).map(([key, font]) => (
+                                            <option key={key} value={key}>{font.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {templateOverrides[selectedTemplate] && (
+                                    <button type="button" className="btn secondary" onClick={resetTemplateOverrides}>Reset to template defaults</button>
+                                )}
+                            </div>
+                            <p className="hint mt-05">Color and font changes apply to the preview and to every download.</p>
                         </div>
 
+                        {/* Section order, visibility and headings for the preview and downloads */}
+                        <SectionManager
+                            sections={orderSections(resumeModel, currentTemplate)}
+                            sectionLayout={sectionLayout}
+                            twoColumn={currentTemplate.layout.columns > 1}
+                            onChange={handleSectionLayoutChange}
+                        />
+
+                        {/* Weak phrases and matched keywords, in place */}
+                        <AnnotatedResume resumeText={resumeText} matchedKeywords={analysis.matched} />
+
+                        {/* Rewrites for bullets that open with a weak phrase */}
+                        <RewriteAssistant resumeText={resumeText} roleName={JOB_ROLES[selectedJobRole]} onApply={handleApplyRewrite} />
+
                         {/* Resume Preview Sheet */}
-                        <div ref={previewRef} className={`resume-sheet ${currentTemplate.className}`} style={{ fontFamily: currentTemplate.fontStack }}>
-                            <div className="responsive-preview-label">Live Preview (A4 Aspect Ratio)</div> 
-                            <div className="sheet-header">
-                                <div className="avatar">{candidateName.slice(0, 1).toUpperCase()}</div>
-                                <div className="headings">
-                                    <h1 className="name">{candidateName}</h1>
-                                    <div className="tagline">{currentTemplate.name} Template</div>
-                                </div>
-                            </div>
-                            <div className="sheet-body" dangerouslySetInnerHTML={{ __html: htmlBody }} />
-                        </div>
+                        <ResumePreview ref={previewRef} model={resumeModel} template={currentTemplate} />
                     </>
                 )}
+
+                {/* Export, import or delete everything stored for the account */}
+                {userEmail && (
+                    <MyDataPanel
+                        userEmail={userEmail}
+                        storeStatus={storeStatus}
+                        currentData={{
+                            analysis: analysis && { ...analysis, summary: summarizeAnalysis(analysis) },
+                            settings: { jobRole: selectedJobRole, templateId: selectedTemplate, templateOverrides, editMode },
+                        }}
+                        onImport={handleDataImport}
+                        onDeleted={onAccountDataDeleted}
+                    />
+                )}
             </section>
         </React.Fragment>
     );
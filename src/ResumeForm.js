@@ -0,0 +1,200 @@
+// ResumeForm.js
+
+import React, { useEffect, useRef, useState } from "react";
+import { parseResume } from "./ResumeParser";
+import { updateResumeText } from "./ResumeSerializer";
+
+/**
+ * STRUCTURED FORM EDITOR
+ * The second editing mode next to the plain-text textarea. The form edits a
+ * draft of the structured model and writes every change straight back into
+ * the resume text (ResumeSerializer.js rewrites only the edited part), so the
+ * textarea, scoring and the preview always see the same resume. When the text
+ * changes from outside the form (textarea, file import, an applied rewrite)
+ * the draft is parsed again from it.
+ */
+
+const EMPTY_ENTRIES = {
+    experience: { title: "", company: "", location: "", dates: "", bullets: [] },
+    education: { degree: "", institution: "", dates: "", details: [] },
+    projects: { name: "", subtitle: "", dates: "", bullets: [] },
+};
+
+const CONTACT_FIELDS = [
+    { key: "email", label: "Email" },
+    { key: "phone", label: "Phone" },
+    { key: "location", label: "Location" },
+    { key: "linkedin", label: "LinkedIn" },
+    { key: "github", label: "GitHub" },
+    { key: "website", label: "Website" },
+];
+
+// Fields of each repeatable entry type, in form order; `list` fields are edited one item per line
+const ENTRY_FIELDS = {
+    experience: [
+        { key: "title", label: "Job title" },
+        { key: "company", label: "Company" },
+        { key: "location", label: "Location" },
+        { key: "dates", label: "Dates", placeholder: "Jan 2022 – Present" },
+        { key: "bullets", label: "Bullets (one per line)", list: true },
+    ],
+    education: [
+        { key: "degree", label: "Degree" },
+        { key: "institution", label: "Institution" },
+        { key: "dates", label: "Dates", placeholder: "2019 – 2023" },
+        { key: "details", label: "Details (one per line)", list: true },
+    ],
+    projects: [
+        { key: "name", label: "Project name" },
+        { key: "subtitle", label: "Subtitle / stack" },
+        { key: "dates", label: "Dates" },
+        { key: "bullets", label: "Bullets (one per line)", list: true },
+    ],
+};
+
+const ENTRY_TITLES = { experience: "💼 Experience", education: "🎓 Education", projects: "🛠️ Projects" };
+
+const Field = ({ label, value, onChange, placeholder, multiline }) => (
+    <label className="form-field">
+        <span className="form-field-label">{label}</span>
+        {multiline ? (
+            <textarea className="text-input form-textarea" value={value} placeholder={placeholder} onChange={e => onChange(e.target.value)} />
+        ) : (
+            <input type="text" className="text-input" value={value} placeholder={placeholder} onChange={e => onChange(e.target.value)} />
+        )}
+    </label>
+);
+
+// One skill group: optional label plus removable chips and an input that adds on Enter or comma
+function SkillGroup({ group, onChange, onRemove }) {
+    const [pending, setPending] = useState("");
+
+    const addItems = (value) => {
+        const items = value.split(",").map(s => s.trim()).filter(Boolean);
+        if (items.length) onChange({ ...group, items: [...group.items, ...items] });
+        setPending("");
+    };
+
+    return (
+        <div className="form-entry">
+            <div className="form-entry-head">
+                <input type="text" className="text-input" value={group.label} placeholder="Group label (optional), e.g. Languages" onChange={e => onChange({ ...group, label: e.target.value })} />
+                <button type="button" className="btn form-remove-btn" onClick={onRemove} aria-label="Remove skill group">✕</button>
+            </div>
+            <div className="skill-chips">
+                {group.items.map((item, i) => (
+                    <span key={`${item}-${i}`} className="skill-chip">
+                        {item}
+                        <button type="button" onClick={() => onChange({ ...group, items: group.items.filter((_, j) => j !== i) })} aria-label={`Remove ${item}`}>×</button>
+                    </span>
+                ))}
+                <input
+                    type="text"
+                    className="skill-chip-input"
+                    value={pending}
+                    placeholder="Add skill…"
+                    onChange={e => (e.target.value.endsWith(",") ? addItems(e.target.value) : setPending(e.target.value))}
+                    onKeyDown={e => { if (e.key === "Enter") { e.preventDefault(); addItems(pending); } }}
+                    onBlur={() => addItems(pending)}
+                />
+            </div>
+        </div>
+    );
+}
+
+export default function ResumeForm({ resumeText, onChange }) {
+    const [draft, setDraft] = useState(() => parseResume(resumeText));
+    // The text this form produced last; anything else came from outside and replaces the draft
+    const lastWritten = useRef(resumeText);
+
+    useEffect(() => {
+        if (resumeText !== lastWritten.current) {
+            lastWritten.current = resumeText;
+            setDraft(parseResume(resumeText));
+        }
+    }, [resumeText]);
+
+    // Applies an edit to the draft and rewrites that part of the text
+    const update = (part, changes) => {
+        const next = { ...draft, ...changes };
+        setDraft(next);
+        const text = updateResumeText(resumeText, next, part);
+        lastWritten.current = text;
+        onChange(text);
+    };
+
+    const setContact = (key, value) => update("header", { contact: { ...draft.contact, [key]: value } });
+
+    const setEntry = (section, index, key, value) => {
+        update(section, { [section]: draft[section].map((e, i) => (i === index ? { ...e, [key]: value } : e)) });
+    };
+    const addEntry = (section) => update(section, { [section]: [...draft[section], { ...EMPTY_ENTRIES[section] }] });
+    const removeEntry = (section, index) => update(section, { [section]: draft[section].filter((_, i) => i !== index) });
+
+    const setSkillGroups = (skillGroups) => update("skills", { skillGroups, skills: [...new Set(skillGroups.flatMap(g => g.items))] });
+
+    const linesOf = (value) => value.split("\n");
+
+    return (
+        <div className="resume-form">
+            <fieldset className="form-section">
+                <legend>👤 Contact</legend>
+                <div className="form-grid">
+                    <Field label="Full name" value={draft.name} onChange={v => update("header", { name: v })} />
+                    <Field label="Headline" value={draft.headline} placeholder="e.g. Data Analyst" onChange={v => update("header", { headline: v })} />
+                    {CONTACT_FIELDS.map(f => (
+                        <Field key={f.key} label={f.label} value={draft.contact[f.key]} onChange={v => setContact(f.key, v)} />
+                    ))}
+                </div>
+            </fieldset>
+
+            <fieldset className="form-section">
+                <legend>📝 Summary</legend>
+                <Field label="Professional summary" multiline value={draft.summary} onChange={v => update("summary", { summary: v })} />
+            </fieldset>
+
+            {Object.keys(ENTRY_FIELDS).map(section => (
+                <fieldset key={section} className="form-section">
+                    <legend>{ENTRY_TITLES[section]}</legend>
+                    {draft[section].map((entry, i) => (
+                        <div key={i} className="form-entry">
+                            <div className="form-grid">
+                                {ENTRY_FIELDS[section].map(f => (
+                                    <Field
+                                        key={f.key}
+                                        label={f.label}
+                                        placeholder={f.placeholder}
+                                        multiline={f.list}
+                                        value={f.list ? entry[f.key].join("\n") : entry[f.key]}
+                                        onChange={v => setEntry(section, i, f.key, f.list ? linesOf(v) : v)}
+                                    />
+                                ))}
+                            </div>
+                            <button type="button" className="btn form-remove-btn" onClick={() => removeEntry(section, i)}>Remove</button>
+                        </div>
+                    ))}
+                    <button type="button" className="btn secondary form-add-btn" onClick={() => addEntry(section)}>+ Add entry</button>
+                </fieldset>
+            ))}
+
+            <fieldset className="form-section">
+                <legend>🧠 Skills</legend>
+                {draft.skillGroups.map((group, i) => (
+                    <SkillGroup
+                        key={i}
+                        group={group}
+                        onChange={g => setSkillGroups(draft.skillGroups.map((x, j) => (j === i ? g : x)))}
+                        onRemove={() => setSkillGroups(draft.skillGroups.filter((_, j) => j !== i))}
+                    />
+                ))}
+                <button type="button" className="btn secondary form-add-btn" onClick={() => setSkillGroups([...draft.skillGroups, { label: "", items: [] }])}>+ Add skill group</button>
+            </fieldset>
+
+            <fieldset className="form-section">
+                <legend>🏅 Certifications & Awards</legend>
+                <Field label="Certifications (one per line)" multiline value={draft.certifications.join("\n")} onChange={v => update("certifications", { certifications: linesOf(v) })} />
+                <Field label="Awards (one per line)" multiline value={draft.awards.join("\n")} onChange={v => update("awards", { awards: linesOf(v) })} />
+            </fieldset>
+        </div>
+    );
+}
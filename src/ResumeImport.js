@@ -0,0 +1,227 @@
+// ResumeImport.js
+
+/**
+ * CLIENT-SIDE RESUME FILE IMPORT
+ * Turns uploaded resume files into the plain text used by the analyzer.
+ * PDFs are read through their text layer with pdfjs-dist and Word files are
+ * converted with mammoth (both lazy-loaded so the main bundle stays small).
+ * No file content ever leaves the browser.
+ */
+
+// Bullet glyphs commonly emitted by Word/Docs PDF exports (\uF0B7/\uF0A7 are Symbol/Wingdings private-use bullets)
+const PDF_BULLET_CHARS = /^[\u2022\u25CF\u25AA\u25A0\u25E6\u2023\u2043\u2219\u00B7\u27A2\u2713\u2714\uF0B7\uF0A7]\s*/;
+// Minimum number of non-whitespace characters before we trust a PDF text layer
+const MIN_TEXT_LAYER_CHARS = 20;
+
+export const DOCX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+let pdfjsPromise = null;
+let mammothPromise = null;
+
+// Loads pdfjs-dist on first use and points it at the bundled worker.
+const loadPdfJs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import("pdfjs-dist").then((pdfjsLib) => {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+        "pdfjs-dist/build/pdf.worker.min.mjs",
+        import.meta.url
+      ).toString();
+      return pdfjsLib;
+    });
+  }
+  return pdfjsPromise;
+};
+
+// Loads the self-contained browser build of mammoth (the main entry pulls in Node's fs/path).
+const loadMammoth = () => {
+  if (!mammothPromise) {
+    mammothPromise = import("mammoth/mammoth.browser").then((mod) => mod.default || mod);
+  }
+  return mammothPromise;
+};
+
+// Reads a File/Blob into an ArrayBuffer (FileReader keeps older Safari working).
+const readAsArrayBuffer = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("Could not read the selected file."));
+    reader.readAsArrayBuffer(file);
+  });
+
+/**
+ * Rebuilds visual lines from pdf.js text items using their positions.
+ * Items are grouped by baseline (y), ordered left-to-right, and a blank line is
+ * inserted wherever the vertical gap is clearly larger than normal line spacing.
+ * @param {Array} items - `textContent.items` of a single page.
+ * @returns {string[]} The page's lines (empty strings mark paragraph breaks).
+ */
+const itemsToLines = (items) => {
+  const rows = [];
+
+  items.forEach((item) => {
+    if (!item.str || !item.str.trim()) return;
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const height = Math.abs(item.height || item.transform[3]) || 10;
+    // Same row if baselines are within half a glyph height
+    const row = rows.find((r) => Math.abs(r.y - y) <= Math.max(r.height, height) * 0.5);
+    if (row) {
+      row.items.push({ x, width: item.width, str: item.str });
+      row.height = Math.max(row.height, height);
+    } else {
+      rows.push({ y, height, items: [{ x, width: item.width, str: item.str }] });
+    }
+  });
+
+  // PDF coordinates grow upwards, so the top of the page has the largest y
+  rows.sort((a, b) => b.y - a.y);
+
+  const lines = [];
+  let previous = null;
+
+  rows.forEach((row) => {
+    row.items.sort((a, b) => a.x - b.x);
+
+    let text = "";
+    let lastEnd = null;
+    row.items.forEach((part) => {
+      // Insert a space when there is a visible horizontal gap between fragments
+      if (lastEnd !== null && part.x - lastEnd > row.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(part.str)) {
+        text += " ";
+      }
+      text += part.str;
+      lastEnd = part.x + (part.width || 0);
+    });
+
+    text = text.replace(/\s+/g, " ").trim();
+    if (PDF_BULLET_CHARS.test(text)) {
+      text = `- ${text.replace(PDF_BULLET_CHARS, "")}`;
+    }
+
+    if (previous && previous.y - row.y > Math.max(previous.height, row.height) * 1.8) {
+      lines.push("");
+    }
+    lines.push(text);
+    previous = row;
+  });
+
+  return lines;
+};
+
+/**
+ * Extracts the text layer of a PDF page by page.
+ * Throws a user-facing Error for scanned/image-only, encrypted or corrupt files.
+ * @param {File} file - The uploaded PDF.
+ * @returns {Promise<string>} Plain resume text with line breaks and "- " bullets.
+ */
+export const extractPdfText = async (file) => {
+  const pdfjsLib = await loadPdfJs();
+  const data = await readAsArrayBuffer(file);
+
+  let pdf;
+  try {
+    pdf = await pdfjsLib.getDocument({ data: new Uint8Array(data) }).promise;
+  } catch (err) {
+    if (err?.name === "PasswordException") {
+      throw new Error("This PDF is password-protected. Remove the password and upload it again.");
+    }
+    throw new Error("This file could not be opened as a PDF. It may be corrupt.");
+  }
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(itemsToLines(content.items).join("\n"));
+      page.cleanup();
+    }
+
+    const text = pages.join("\n\n").replace(/\n{3,}/g, "\n\n").trim();
+    if (text.replace(/\s/g, "").length < MIN_TEXT_LAYER_CHARS) {
+      throw new Error(
+        "No selectable text found in this PDF. It looks like a scanned or image-only document. Upload a text-based PDF or a .txt file instead."
+      );
+    }
+    return text;
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Flattens mammoth's HTML output into analyzer-friendly plain text.
+ * Headings become their own lines preceded by a blank line (so RESUME_SECTIONS
+ * and plainToHTML pick them up), list items become "- " bullets and table rows
+ * are joined with " | ".
+ * @param {string} html - HTML produced by mammoth.convertToHtml.
+ * @returns {string}
+ */
+const docxHtmlToText = (html) => {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const lines = [];
+  const clean = (s) => (s || "").replace(/\s+/g, " ").trim();
+
+  const walk = (node) => {
+    Array.from(node.children).forEach((el) => {
+      const tag = el.tagName.toLowerCase();
+      if (/^h[1-6]$/.test(tag)) {
+        if (lines.length) lines.push("");
+        lines.push(clean(el.textContent));
+      } else if (tag === "ul" || tag === "ol") {
+        Array.from(el.children).forEach((li, i) => {
+          // Text of the item itself, without any nested list
+          const own = clean(Array.from(li.childNodes)
+            .filter((c) => !["UL", "OL"].includes(c.nodeName))
+            .map((c) => c.textContent)
+            .join(" "));
+          if (own) lines.push(tag === "ol" ? `${i + 1}. ${own}` : `- ${own}`);
+          Array.from(li.children)
+            .filter((c) => c.tagName === "UL" || c.tagName === "OL")
+            .forEach((nested) => walk({ children: [nested] }));
+        });
+      } else if (tag === "table") {
+        el.querySelectorAll("tr").forEach((tr) => {
+          const cells = Array.from(tr.children).map((td) => clean(td.textContent)).filter(Boolean);
+          if (cells.length) lines.push(cells.join(" | "));
+        });
+      } else if (tag === "p") {
+        const text = clean(el.textContent);
+        if (text) lines.push(text);
+      } else {
+        walk(el);
+      }
+    });
+  };
+
+  walk(doc.body);
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+};
+
+/**
+ * Converts a .docx resume to plain text, keeping headings and list items.
+ * Throws a user-facing Error for legacy .doc, corrupt or empty documents.
+ * @param {File} file - The uploaded Word document.
+ * @returns {Promise<string>}
+ */
+export const extractDocxText = async (file) => {
+  const mammoth = await loadMammoth();
+  const arrayBuffer = await readAsArrayBuffer(file);
+
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ arrayBuffer });
+  } catch (err) {
+    throw new Error("This file could not be opened as a Word document. Only .docx (Word 2007+) is supported.");
+  }
+  if (result.messages?.length) {
+    console.warn("[ResumeImport] DOCX conversion notes:", result.messages);
+  }
+
+  const text = docxHtmlToText(result.value);
+  if (!text) {
+    throw new Error("No text found in this Word document.");
+  }
+  return text;
+};
@@ -0,0 +1,339 @@
+// ResumeParser.js
+
+/**
+ * STRUCTURED RESUME MODEL
+ * Turns pasted/imported resume text into a structured object (contact fields,
+ * summary, experience/education/project entries, skills, certifications) so
+ * scoring, the live preview, the chatbot and exports can work on real fields
+ * instead of guessing line by line. Parsing is heuristic and never throws:
+ * anything it cannot place stays available in `sections[].lines`.
+ */
+
+// Section definitions for robust parsing (case-insensitive, multiline)
+export const RESUME_SECTIONS = {
+  contact: /^\s*\b(contact|contact information|personal details?|details)\b/im,
+  summary: /^\s*\b(summary|objective|profile|professional summary|about me|career objective)\b/im,
+  experience: /^\s*\b(experiences?|work experiences?|employment|career|professional history|relevant experiences?)\b/im,
+  skills: /^\s*\b(skills?|technical skills?|competencies?|technologies?|tools?|expertise|core competencies?)\b/im,
+  education: /^\s*\b(education|degrees?|university|college|academic history|qualifications?)\b/im,
+  projects: /^\s*\b(projects?|portfolio|personal projects?|contributions?)\b/im,
+  certifications: /^\s*\b(certifications?|certificates?|license|licensed?)\b/im,
+  awards: /^\s*\b(awards|honors?|achievements?|recognition)\b/im,
+};
+
+export const BULLET_PATTERN = /^([*-]|\d+\.|\w+\.|•|–|—)\s+/;
+const BULLET_PREFIX = /^([*-]|\d+\.|\w+\.|•|–|—)\s*/;
+const NUMBERED_PREFIX = /^\d+\.\s+/;
+
+// A heading is a short line; longer lines that merely start with "Experience ..." are content
+const MAX_HEADING_WORDS = 5;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE_PATTERN = /(\+?\d[\d\s().-]{7,}\d)/;
+// Profile URLs are preferred over a bare "LinkedIn"/"GitHub" link label
+const LINKEDIN_PATTERNS = [/(https?:\/\/)?(www\.)?linkedin\.com\/[^\s|,]+/i, /\blinkedin\b(\/[^\s|,]+)?/i];
+const GITHUB_PATTERNS = [/(https?:\/\/)?(www\.)?github\.com\/[^\s|,]+/i, /\bgithub\b(\/[^\s|,]+)?/i];
+const CONTACT_LABELS = /\b(e-?mail|phone|mobile|tel|cell|linkedin|github|website|portfolio|address|location)\s*:/gi;
+const WEBSITE_PATTERN = /\b(https?:\/\/[^\s|,]+|[\w-]+\.(dev|io|me|com|net|org)(\/[^\s|,]*)?)\b/i;
+
+const MONTH = "(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_POINT = `((${MONTH}\\s+)?\\d{4}|\\d{1,2}\\/\\d{4})`;
+export const DATE_RANGE_PATTERN = new RegExp(
+  `${DATE_POINT}(\\s*(-|–|—|to)\\s*(${DATE_POINT}|present|current|now|today))?`,
+  "i"
+);
+
+export const TITLE_WORDS = /\b(engineer|developer|manager|analyst|intern|lead|consultant|designer|scientist|director|specialist|associate|architect|officer|coordinator|executive|assistant|administrator|representative|head|founder|programmer|researcher|trainee|president|strategist)\b/i;
+const DEGREE_WORDS = /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?e\.?|b\.?\s?a\.?|m\.?\s?a\.?|mba|ph\.?\s?d|bachelor'?s?|master'?s?|diploma|associate'?s?|doctorate|high school|xii|x|class\s+\d+)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|iit|nit)\b/i;
+
+const stripBullet = (line) => line.replace(BULLET_PREFIX, "").trim();
+const isBullet = (line) => BULLET_PATTERN.test(line);
+
+/**
+ * Returns the RESUME_SECTIONS key a line introduces, or null.
+ * Also returns any inline content after a "Heading:" colon.
+ */
+export const detectHeading = (line) => {
+  const trimmed = (line || "").trim();
+  if (!trimmed || isBullet(trimmed)) return null;
+
+  const colonIndex = trimmed.indexOf(":");
+  const head = colonIndex > 0 ? trimmed.slice(0, colonIndex) : trimmed;
+  const rest = colonIndex > 0 ? trimmed.slice(colonIndex + 1).trim() : "";
+  if (head.split(/\s+/).length > MAX_HEADING_WORDS) return null;
+  // Without a colon the whole line must be heading-like (no sentence punctuation)
+  if (!rest && /[.,;]$/.test(head)) return null;
+
+  const key = Object.keys(RESUME_SECTIONS).find((k) => RESUME_SECTIONS[k].test(head));
+  return key ? { key, heading: head.trim(), inline: rest } : null;
+};
+
+// Splits a header line like "Engineer | Acme Corp | 2020 – Present" into parts, pulling out the dates.
+const splitHeaderLine = (line) => {
+  let dates = "";
+  const dateMatch = line.match(DATE_RANGE_PATTERN);
+  let remainder = line;
+  if (dateMatch) {
+    dates = dateMatch[0].trim();
+    remainder = line.replace(dateMatch[0], " ").replace(/\(\s*\)/g, " ");
+  }
+  const parts = remainder
+    .split(/\s+\|\s+|\s+[–—]\s+|\s+-\s+|\s+@\s+|\s+at\s+|,\s+|\t+/)
+    .map((p) => p.replace(/^[|,\-–—\s]+|[|,\-–—\s]+$/g, "").trim())
+    .filter(Boolean);
+  return { parts, dates };
+};
+
+/**
+ * Groups the lines of an entry section into header lines + bullets. Each entry
+ * also records where it sits: `start` / `end` (indices into `lines`, inclusive)
+ * and `bulletRanges`, the [first, last] line of each bullet, so the form editor
+ * can rewrite a single entry or bullet in place (see ResumeSerializer.js).
+ * @param {string[]} lines - Trimmed, non-empty lines of the section body.
+ * @returns {Array<{ header: string[], bullets: string[], start: number, end: number, bulletRanges: Array<[number, number]> }>}
+ */
+export const groupEntries = (lines) => {
+  const entries = [];
+  let current = null;
+
+  const startEntry = (index) => {
+    current = { header: [], bullets: [], start: index, end: index, bulletRanges: [] };
+    entries.push(current);
+  };
+
+  lines.forEach((line, index) => {
+    const numbered = NUMBERED_PREFIX.test(line) && line.length < 80 && !/\.$/.test(line);
+    const bullet = isBullet(line) && !numbered;
+    // Description paragraphs (not "Title | Company | Dates" header lines) are kept as bullets
+    const sentence = !bullet && !numbered && !DATE_RANGE_PATTERN.test(line) && !/\s[|–—]\s/.test(line)
+      && line.split(/\s+/).length >= 8 && (/\.$/.test(line) || line.length > 60);
+
+    if (bullet) {
+      if (!current) startEntry(index);
+      current.bullets.push(stripBullet(line));
+      current.bulletRanges.push([index, index]);
+    } else if (current && current.bullets.length && /^[a-z(]/.test(line)) {
+      // Wrapped continuation of the previous bullet (common in PDF imports)
+      current.bullets[current.bullets.length - 1] += ` ${line}`;
+      current.bulletRanges[current.bulletRanges.length - 1][1] = index;
+    } else if (sentence) {
+      if (!current) startEntry(index);
+      current.bullets.push(line);
+      current.bulletRanges.push([index, index]);
+    } else {
+      if (!current || current.bullets.length || numbered) startEntry(index);
+      current.header.push(numbered ? line.replace(NUMBERED_PREFIX, "") : line);
+    }
+    current.end = index;
+  });
+
+  return entries;
+};
+
+const toExperience = ({ header, bullets }) => {
+  let title = "";
+  let company = "";
+  let dates = "";
+  let location = "";
+  header.forEach((line) => {
+    const split = splitHeaderLine(line);
+    if (split.dates && !dates) dates = split.dates;
+    split.parts.forEach((part) => {
+      if (!title && TITLE_WORDS.test(part)) title = part;
+      else if (!company) company = part;
+      else if (!title) title = part;
+      else if (!location) location = part;
+    });
+  });
+  return { title, company, dates, location, bullets };
+};
+
+const toEducation = ({ header, bullets }) => {
+  let degree = "";
+  let institution = "";
+  let dates = "";
+  const details = [...bullets];
+  header.forEach((line) => {
+    const split = splitHeaderLine(line);
+    if (split.dates && !dates) dates = split.dates;
+    split.parts.forEach((part) => {
+      if (!degree && DEGREE_WORDS.test(part)) degree = part;
+      else if (!institution && INSTITUTION_WORDS.test(part)) institution = part;
+      else if (!degree && !institution) degree = part;
+      // "B.Tech – Computer Science" keeps the field of study with the degree
+      else if (degree && !institution && details.length === bullets.length) degree = `${degree} – ${part}`;
+      else details.push(part);
+    });
+  });
+  return { degree, institution, dates, details };
+};
+
+const toProject = ({ header, bullets }) => {
+  const [first = "", ...more] = header;
+  const split = splitHeaderLine(first);
+  return {
+    name: split.parts[0] || first,
+    subtitle: split.parts.slice(1).join(" – "),
+    dates: split.dates,
+    bullets: [...more, ...bullets],
+  };
+};
+
+const parseSkills = (lines) => {
+  const groups = [];
+  lines.forEach((line) => {
+    const text = stripBullet(line);
+    const colon = text.indexOf(":");
+    const label = colon > 0 && colon < 40 ? text.slice(0, colon).trim() : "";
+    const items = (label ? text.slice(colon + 1) : text)
+      .split(/\s*[,;|•]\s*/)
+      .map((s) => s.replace(/\.$/, "").trim())
+      .filter(Boolean);
+    if (items.length) groups.push({ label, items });
+  });
+  return groups;
+};
+
+// Bulleted lists keep one item per bullet (joining wrapped lines); inline lists split on "|" or ";".
+const parseList = (lines) => {
+  const items = [];
+  if (lines.some(isBullet)) {
+    lines.forEach((line) => {
+      if (isBullet(line) || !items.length) items.push(stripBullet(line));
+      else items[items.length - 1] += ` ${line}`;
+    });
+    return items.map((s) => s.trim()).filter(Boolean);
+  }
+  return lines
+    .join(" ")
+    .split(/\s+\|\s+|\s*;\s*/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+};
+
+const parseContact = (lines) => {
+  const contact = { email: "", phone: "", linkedin: "", github: "", website: "", location: "" };
+  const leftovers = [];
+  lines.forEach((line) => {
+    let rest = line.replace(CONTACT_LABELS, " ");
+    const take = (field, patterns) => {
+      if (contact[field]) return;
+      const m = patterns.map((p) => rest.match(p)).find(Boolean);
+      if (m) {
+        contact[field] = m[0].trim();
+        rest = rest.replace(m[0], " ");
+      }
+    };
+    take("email", [EMAIL_PATTERN]);
+    take("linkedin", LINKEDIN_PATTERNS);
+    take("github", GITHUB_PATTERNS);
+    take("website", [WEBSITE_PATTERN]);
+    take("phone", [PHONE_PATTERN]);
+    const remaining = rest.replace(/[|•]+/g, " ").replace(/\s+/g, " ").replace(/^[\s,]+|[\s,]+$/g, "");
+    if (remaining && remaining !== line) {
+      // Line held contact details plus something else (usually the location)
+      if (!contact.location && /,/.test(remaining)) contact.location = remaining;
+    } else if (remaining) {
+      leftovers.push(line);
+    }
+  });
+  return { contact, leftovers };
+};
+
+/**
+ * Parses raw resume text into the structured resume model.
+ * @param {string} text - Resume text as pasted or imported.
+ * @returns {{
+ *   raw: string, name: string, headline: string,
+ *   contact: {email: string, phone: string, linkedin: string, github: string, website: string, location: string},
+ *   summary: string,
+ *   experience: Array<{title: string, company: string, dates: string, location: string, bullets: string[]}>,
+ *   education: Array<{degree: string, institution: string, dates: string, details: string[]}>,
+ *   skills: string[], skillGroups: Array<{label: string, items: string[]}>,
+ *   projects: Array<{name: string, subtitle: string, dates: string, bullets: string[]}>,
+ *   certifications: string[], awards: string[],
+ *   sections: Array<{key: string, heading: string, lines: string[]}>
+ * }}
+ */
+export const parseResume = (text) => {
+  const lines = (text || "").split(/\r?\n/).map((l) => l.trim()).filter((l) => l.length > 0);
+
+  // 1. Split into the header block and titled sections (in document order)
+  const headerLines = [];
+  const sections = [];
+  lines.forEach((line) => {
+    const heading = detectHeading(line);
+    if (heading) {
+      sections.push({ key: heading.key, heading: heading.heading, lines: heading.inline ? [heading.inline] : [] });
+    } else if (sections.length) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      headerLines.push(line);
+    }
+  });
+
+  const linesFor = (key) => sections.filter((s) => s.key === key).flatMap((s) => s.lines);
+
+  // 2. Name and contact details come from the header block plus any Contact section
+  const [firstLine = ""] = headerLines;
+  const nameIsContact = EMAIL_PATTERN.test(firstLine) || PHONE_PATTERN.test(firstLine);
+  const name = nameIsContact ? "" : firstLine;
+  const { contact, leftovers } = parseContact([
+    ...headerLines.slice(nameIsContact ? 0 : 1),
+    ...linesFor("contact"),
+  ]);
+  let headline = "";
+  leftovers.forEach((line) => {
+    if (!contact.location && /^[A-Za-z .'-]+(,\s*[A-Za-z .'-]+)+$/.test(line)) contact.location = line;
+    else if (!headline) headline = line;
+  });
+
+  // 3. Section bodies
+  const skillGroups = parseSkills(linesFor("skills"));
+
+  return {
+    raw: text || "",
+    name,
+    headline,
+    contact,
+    summary: linesFor("summary").map(stripBullet).join(" "),
+    experience: groupEntries(linesFor("experience")).map(toExperience),
+    education: groupEntries(linesFor("education")).map(toEducation),
+    skills: [...new Set(skillGroups.flatMap((g) => g.items))],
+    skillGroups,
+    projects: groupEntries(linesFor("projects")).map(toProject),
+    certifications: parseList(linesFor("certifications")),
+    awards: parseList(linesFor("awards")),
+    sections,
+  };
+};
+
+/**
+ * Keys of the sections the model actually contains (contact counts when any
+ * contact field was found, even without a "Contact" heading).
+ * @param {ReturnType<typeof parseResume>} model
+ * @returns {Set<string>}
+ */
+export const presentSections = (model) => {
+  const found = new Set(model.sections.map((s) => s.key));
+  const { email, phone, linkedin } = model.contact;
+  if (email || phone || linkedin) found.add("contact");
+  return found;
+};
+
+/**
+ * The sections to lay out, in order: the first occurrence of each key
+ * (structured fields already merge repeated headings), contact excluded
+ * because it is drawn in the header.
+ * @param {ReturnType<typeof parseResume>} model
+ * @returns {Array<{ key: string, heading: string, lines: string[] }>}
+ */
+export const layoutSections = (model) => {
+  const seen = new Set();
+  return model.sections.filter((s) => {
+    if (s.key === "contact" || seen.has(s.key)) return false;
+    seen.add(s.key);
+    return true;
+  });
+};
@@ -0,0 +1,157 @@
+// ResumePreview.js
+
+import React from "react";
+import { RESUME_SECTIONS, layoutSections } from "./ResumeParser";
+import { arrangeSections, formatHeading, templateFont } from "./ResumeTemplates";
+
+/**
+ * LIVE RESUME PREVIEW
+ * Lays out the structured resume model (see ResumeParser.js) on an A4 sheet
+ * following the selected template definition (see ResumeTemplates.js). The
+ * same DOM node is captured for the image PDF export.
+ */
+
+function escapeHTML(s) {
+    return s.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', '&quot;').replaceAll("'", '&#39;');
+}
+
+// Fallback renderer for resumes without any recognizable section headings.
+function plainToHTML(resumeText) {
+    const lines = (resumeText || "").split(/\r?\n/).map(x => x.trim()).filter(x => x.length > 0);
+    let htmlOutput = "";
+    let inList = false;
+
+    lines.forEach(trimmed => {
+      const isHeading = Object.values(RESUME_SECTIONS).some(r => r.test(trimmed));
+      const isBullet = trimmed.match(/^([*-]|\d+\.|\w+\.|•|–|—)\s+/);
+      const safeContent = escapeHTML(trimmed.replace(/^([*-]|\d+\.|\w+\.|•|–|—)\s*/, ''));
+
+      if (isHeading) {
+        if (inList) htmlOutput += "</ul>\n";
+        inList = false;
+        htmlOutput += `<h2 class="section-heading">${safeContent}</h2>\n`;
+      } else if (isBullet) {
+        if (!inList) htmlOutput += "<ul>\n";
+        inList = true;
+        htmlOutput += `<li>${safeContent}</li>\n`;
+      } else {
+        if (inList) htmlOutput += "</ul>\n";
+        inList = false;
+        htmlOutput += `<p>${safeContent}</p>\n`;
+      }
+    });
+
+    if (inList) htmlOutput += "</ul>\n";
+    return htmlOutput;
+}
+
+// Joins the non-empty parts of an entry heading, e.g. "Engineer, Acme Corp".
+const joinParts = (parts, separator = ", ") => parts.filter(Boolean).join(separator);
+
+const BulletList = ({ items }) => items.length > 0 && (
+    <ul>
+        {items.map((b, i) => <li key={i}>{b}</li>)}
+    </ul>
+);
+
+const Entry = ({ title, subtitle, dates, bullets }) => (
+    <div className="entry">
+        <div className="entry-head">
+            <span className="entry-title">{title}</span>
+            {dates && <span className="entry-dates">{dates}</span>}
+        </div>
+        {subtitle && <div className="entry-subtitle">{subtitle}</div>}
+        <BulletList items={bullets} />
+    </div>
+);
+
+// Renders the body of one section from the structured fields of the model.
+function SectionBody({ sectionKey, model }) {
+    switch (sectionKey) {
+        case "summary":
+            return <p>{model.summary}</p>;
+        case "experience":
+            return model.experience.map((e, i) => (
+                <Entry key={i} title={joinParts([e.title, e.company])} subtitle={e.location} dates={e.dates} bullets={e.bullets} />
+            ));
+        case "education":
+            return model.education.map((e, i) => (
+                <Entry key={i} title={joinParts([e.degree, e.institution])} dates={e.dates} bullets={e.details} />
+            ));
+        case "projects":
+            return model.projects.map((p, i) => (
+                <Entry key={i} title={joinParts([p.name, p.subtitle], " – ")} dates={p.dates} bullets={p.bullets} />
+            ));
+        case "skills":
+            return model.skillGroups.map((g, i) => (
+                <p key={i}>{g.label && <strong>{g.label}: </strong>}{g.items.join(", ")}</p>
+            ));
+        case "certifications":
+            return <BulletList items={model.certifications} />;
+        case "awards":
+            return <BulletList items={model.awards} />;
+        default:
+            return null;
+    }
+}
+
+const SectionList = ({ sections, model, template }) => sections.map(s => (
+    <React.Fragment key={s.key}>
+        <h2 className="section-heading">{formatHeading(s.heading, template)}</h2>
+        <SectionBody sectionKey={s.key} model={model} />
+    </React.Fragment>
+));
+
+const ResumePreview = React.forwardRef(function ResumePreview({ model, template }, ref) {
+    const name = model.name || "Candidate Name";
+    const { email, phone, linkedin, github, website, location } = model.contact;
+    const contactLine = joinParts([location, email, phone, linkedin, github, website], " | ");
+    const { main, sidebar } = arrangeSections(model, template);
+    const { palette, header, layout } = template;
+
+    const sheetClass = [
+        "resume-sheet",
+        layout.columns > 1 ? "layout-two-column" : "layout-single",
+        `sidebar-${layout.sidebarSide}`,
+        `header-${header.align}`,
+        `header-${header.style}`,
+    ].join(" ");
+    const sheetStyle = {
+        "--tpl-accent": palette.accent,
+        "--tpl-text": palette.text,
+        "--tpl-muted": palette.muted,
+        "--tpl-bg": palette.background,
+        "--tpl-sidebar": palette.sidebar,
+        "--tpl-bullet": `"${template.bullet}"`,
+        "--tpl-heading-font": templateFont(template, "headings").css,
+        fontFamily: templateFont(template, "body").css,
+    };
+
+    return (
+        <div ref={ref} className={sheetClass} style={sheetStyle}>
+            <div className="responsive-preview-label">Live Preview (A4 Aspect Ratio)</div>
+            <div className="sheet-header">
+                {header.avatar && <div className="avatar">{name.slice(0, 1).toUpperCase()}</div>}
+                <div className="headings">
+                    <h1 className="name">{name}</h1>
+                    <div className="tagline">{model.headline || `${template.name} Template`}</div>
+                    {contactLine && <div className="contact-line">{contactLine}</div>}
+                </div>
+            </div>
+            <div className="sheet-body">
+                {layoutSections(model).length === 0 ? (
+                    <div dangerouslySetInnerHTML={{ __html: plainToHTML(model.raw.split(/\r?\n/).slice(1).join("\n")) }} />
+                ) : (
+                    <>
+                        <div className="sheet-main"><SectionList sections={main} model={model} template={template} /></div>
+                        {sidebar.length > 0 && (
+                            <aside className="sheet-sidebar"><SectionList sections={sidebar} model={model} template={template} /></aside>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+});
+
+export default ResumePreview;
@@ -0,0 +1,357 @@
+// ResumeSerializer.js
+
+import { parseResume, detectHeading, groupEntries, BULLET_PATTERN, DATE_RANGE_PATTERN, TITLE_WORDS } from "./ResumeParser";
+
+/**
+ * STRUCTURED MODEL -> PLAIN TEXT
+ * The reverse of parseResume, used by the form editor. Only what the user
+ * edited is rewritten in the resume text: a changed header field or entry
+ * field is swapped in place on its own line, a changed bullet, list item or
+ * skill line replaces just that line (keeping its bullet marker), and added
+ * or removed entries touch only their own lines. Every other line keeps its
+ * original wording, separators and spacing, so switching between the form
+ * and the textarea never reformats the resume. A part is written out as a
+ * whole only when it cannot be patched: a new or emptied section, a section
+ * that appears twice, the summary, or an edit the in-place swap would not
+ * read back correctly.
+ *
+ * The lines written here are shaped so that parseResume reads them back into
+ * the same fields: entry headers use " | " between fields and a job title
+ * that does not look like one goes after the company (the parser takes the
+ * first title-like part as the title).
+ */
+
+// Heading used when the form adds a section the text does not have yet
+const DEFAULT_HEADINGS = {
+  summary: "Summary",
+  experience: "Experience",
+  education: "Education",
+  skills: "Skills",
+  projects: "Projects",
+  certifications: "Certifications",
+  awards: "Awards",
+};
+
+const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+const joinFields = (fields) => fields.map(clean).filter(Boolean).join(" | ");
+const bulletLines = (items) => items.map(clean).filter(Boolean).map((item) => `- ${item}`);
+
+// Dates only survive the round trip when the parser recognizes them as a date range
+const datesField = (dates) => (DATE_RANGE_PATTERN.test(clean(dates)) ? clean(dates) : "");
+
+const cleanSkillGroups = (groups) => groups
+  .map((g) => ({ label: clean(g.label), items: g.items.map(clean).filter(Boolean) }))
+  .filter((g) => g.items.length > 0);
+const skillLine = (g, marker) => `${marker}${g.label ? `${g.label}: ` : ""}${g.items.join(", ")}`;
+
+// Header and list fields of each entry section, as the form edits them
+const ENTRY_PARTS = {
+  experience: { fields: ["title", "company", "location", "dates"], list: "bullets" },
+  education: { fields: ["degree", "institution", "dates"], list: "details" },
+  projects: { fields: ["name", "subtitle", "dates"], list: "bullets" },
+};
+
+// Blank line between entries, none after the last
+const entryBlocks = (blocks) => blocks
+  .filter((block) => block.length > 0)
+  .flatMap((block, i) => (i === 0 ? block : ["", ...block]));
+
+/**
+ * Name, headline and contact line for the top of the resume.
+ * @param {object} model - Structured resume (parseResume shape).
+ * @returns {string[]}
+ */
+export const serializeHeader = (model) => {
+  const { email, phone, linkedin, github, website, location } = model.contact;
+  return [
+    clean(model.name),
+    clean(model.headline),
+    joinFields([location, email, phone, linkedin, github, website]),
+  ].filter(Boolean);
+};
+
+const entryHeader = (key, e) => {
+  if (key === "education") return joinFields([e.degree, e.institution, datesField(e.dates)]);
+  if (key === "projects") return joinFields([e.name, e.subtitle, datesField(e.dates)]);
+  const titleFirst = !clean(e.company) || TITLE_WORDS.test(e.title);
+  return joinFields(titleFirst
+    ? [e.title, e.company, e.location, datesField(e.dates)]
+    : [e.company, e.title, e.location, datesField(e.dates)]);
+};
+
+// Header line plus bullets of one experience, education or project entry
+const serializeEntry = (key, e) => [entryHeader(key, e), ...bulletLines(e[ENTRY_PARTS[key].list])].filter(Boolean);
+
+/**
+ * Body lines (without the heading) of one section.
+ * @param {string} key - RESUME_SECTIONS key.
+ * @param {object} model - Structured resume (parseResume shape).
+ * @returns {string[]} Empty when the section has no content.
+ */
+export const serializeSection = (key, model) => {
+  switch (key) {
+    case "summary":
+      return clean(model.summary) ? [clean(model.summary)] : [];
+    case "experience":
+    case "education":
+    case "projects":
+      return entryBlocks(model[key].map((e) => serializeEntry(key, e)));
+    case "skills":
+      // Bulleted so a "Tools: ..." line is not mistaken for a new heading
+      return cleanSkillGroups(model.skillGroups).map((g) => skillLine(g, "- "));
+    case "certifications":
+      return bulletLines(model.certifications);
+    case "awards":
+      return bulletLines(model.awards);
+    default:
+      return [];
+  }
+};
+
+// Header block and titled sections of the raw text, as line ranges (`start` is the index of their first line)
+const splitChunks = (lines) => {
+  const chunks = [{ key: "header", start: 0, lines: [] }];
+  lines.forEach((line, index) => {
+    const heading = detectHeading(line);
+    if (heading) {
+      // "Skills: Python, Java" keeps only its heading when the body is rewritten
+      chunks.push({ key: heading.key, headingLine: heading.inline ? heading.heading : line.trimEnd(), inline: Boolean(heading.inline), start: index, lines: [line] });
+    } else {
+      chunks[chunks.length - 1].lines.push(line);
+    }
+  });
+  return chunks;
+};
+
+// --- IN-PLACE EDITS ---
+// An edit replaces lines[start, end) of the original text with `lines`; start === end inserts.
+
+// Form values compare as the parser would read them back: trimmed, without empty list items
+const normalize = (value) => (Array.isArray(value) ? value.map(clean).filter(Boolean) : clean(value));
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+const sameFields = (a, b, keys) => keys.every((key) => sameValue(a[key], b[key]));
+
+// The bullet marker of an original line ("• ", "  - ", "1. "), reused when the line is rewritten
+const markerOf = (line) => {
+  const indent = line.match(/^\s*/)[0];
+  const marker = line.trim().match(BULLET_PATTERN);
+  return marker ? `${indent}${marker[0]}` : "- ";
+};
+
+// Finds the run of items that changed between two lists: the items before and after it are the same
+const changedRun = (before, after, same) => {
+  let first = 0;
+  while (first < before.length && first < after.length && same(before[first], after[first])) first++;
+  let tail = 0;
+  while (tail < before.length - first && tail < after.length - first
+    && same(before[before.length - 1 - tail], after[after.length - 1 - tail])) tail++;
+  return { first, removed: before.length - first - tail, added: after.length - first - tail };
+};
+
+/**
+ * Edits for the list items that changed, each item being the original lines
+ * in `ranges` ([first, last] line indices). A changed item is rewritten with
+ * the marker of the line it replaces; new items take their neighbour's marker.
+ */
+const patchItems = ({ lines, ranges, before, after, same, render, insertAt }) => {
+  const { first, removed, added } = changedRun(before, after, same);
+  if (removed === added) {
+    return after.slice(first, first + added)
+      .map((item, k) => ({ item, range: ranges[first + k] }))
+      .filter(({ item }, k) => !same(before[first + k], item))
+      .map(({ item, range: [start, end] }) => ({ start, end: end + 1, lines: [render(item, markerOf(lines[start]))] }));
+  }
+  const neighbour = ranges[Math.min(first, ranges.length - 1)];
+  const marker = neighbour ? markerOf(lines[neighbour[0]]) : "- ";
+  const written = after.slice(first, first + added).map((item) => render(item, marker));
+  if (removed === 0) {
+    const at = first > 0 ? ranges[first - 1][1] + 1 : ranges[0]?.[0] ?? insertAt;
+    return [{ start: at, end: at, lines: written }];
+  }
+  return [{ start: ranges[first][0], end: ranges[first + removed - 1][1] + 1, lines: written }];
+};
+
+/**
+ * Swaps the old value of one field for the new one on the single line holding
+ * it, keeping that line's separators. Null when the value is not on exactly one
+ * line, or when `readsBack` says the parser would not read the result correctly.
+ */
+const swapValue = (lines, candidates, from, to, readsBack) => {
+  const hits = candidates.filter((i) => lines[i].includes(from));
+  if (!from || !to || hits.length !== 1 || lines[hits[0]].split(from).length !== 2) return null;
+  const patched = lines[hits[0]].replace(from, () => to);
+  return readsBack(hits[0], patched) ? { start: hits[0], end: hits[0] + 1, lines: [patched] } : null;
+};
+
+const headerValues = (model) => ({ name: model.name, headline: model.headline, ...model.contact });
+
+// One header or contact field changed: swapped in place in the header block or the Contact section
+const patchHeader = (lines, chunks, current, model) => {
+  const before = headerValues(current);
+  const after = headerValues(model);
+  const changed = Object.keys(after).filter((key) => !sameValue(before[key], after[key]));
+  if (changed.length !== 1) return changed.length ? null : [];
+  const candidates = chunks
+    .filter((c) => c.key === "header" || c.key === "contact")
+    .flatMap((c) => c.lines.map((_, i) => c.start + i));
+  const edit = swapValue(lines, candidates, clean(before[changed[0]]), clean(after[changed[0]]), (index, patched) => {
+    const values = headerValues(parseResume(lines.map((line, i) => (i === index ? patched : line)).join("\n")));
+    return Object.keys(after).every((key) => sameValue(values[key], after[key]));
+  });
+  return edit && [edit];
+};
+
+// Edits for one changed entry: a header field swapped in place, its header line or bullets rewritten, or the whole entry
+const patchEntry = (part, lines, toLine, group, before, after) => {
+  const { fields, list } = ENTRY_PARTS[part];
+  const headerLines = group.header.map((_, k) => toLine(group.start + k));
+  const whole = [{ start: toLine(group.start), end: toLine(group.end) + 1, lines: serializeEntry(part, after) }];
+
+  if (sameFields(before, after, fields)) {
+    // Bullets only map to lines when the parser took them all from bullet lines
+    if (!sameValue(before[list], group.bullets)) return whole;
+    return patchItems({
+      lines,
+      ranges: group.bulletRanges.map(([start, end]) => [toLine(start), toLine(end)]),
+      before: normalize(before[list]),
+      after: normalize(after[list]),
+      same: (a, b) => a === b,
+      render: (item, marker) => `${marker}${item}`,
+      insertAt: toLine(group.end) + 1,
+    });
+  }
+
+  if (!sameValue(before[list], after[list]) || !headerLines.length) return whole;
+  const changed = fields.filter((key) => !sameValue(before[key], after[key]));
+  const edit = changed.length === 1 && swapValue(lines, headerLines, clean(before[changed[0]]), clean(after[changed[0]]), (index, patched) => {
+    const header = headerLines.map((i) => (i === index ? patched : lines[i]));
+    const [entry, ...rest] = parseResume([DEFAULT_HEADINGS[part], ...header].join("\n"))[part];
+    return Boolean(entry) && !rest.length && sameFields(entry, after, fields);
+  });
+  if (edit) return [edit];
+  const header = entryHeader(part, after);
+  return header ? [{ start: headerLines[0], end: headerLines[headerLines.length - 1] + 1, lines: [header] }] : whole;
+};
+
+// Edits for the entries that changed; added and removed entries bring or take their blank separator line
+const patchEntries = (part, lines, toLine, bodyLines, current, model) => {
+  const groups = groupEntries(bodyLines);
+  const before = current[part];
+  // A freshly added, still empty entry has no lines yet
+  const after = model[part].filter((e) => serializeEntry(part, e).length > 0);
+  if (!before.length || !after.length || groups.length !== before.length) return null;
+  const { fields, list } = ENTRY_PARTS[part];
+  const same = (a, b) => sameFields(a, b, [...fields, list]);
+  const { first, removed, added } = changedRun(before, after, same);
+
+  if (removed === added) {
+    return after.slice(first, first + added).flatMap((entry, k) => (
+      same(before[first + k], entry) ? [] : patchEntry(part, lines, toLine, groups[first + k], before[first + k], entry)
+    ));
+  }
+  const blocks = entryBlocks(after.slice(first, first + added).map((e) => serializeEntry(part, e)));
+  const last = first + removed - 1;
+  if (removed === 0) {
+    if (first > 0) {
+      const at = toLine(groups[first - 1].end) + 1;
+      return [{ start: at, end: at, lines: ["", ...blocks] }];
+    }
+    const at = toLine(groups[0].start);
+    return [{ start: at, end: at, lines: [...blocks, ""] }];
+  }
+  if (added === 0) {
+    return last + 1 < groups.length
+      ? [{ start: toLine(groups[first].start), end: toLine(groups[last + 1].start), lines: [] }]
+      : [{ start: toLine(groups[first - 1].end) + 1, end: toLine(groups[last].end) + 1, lines: [] }];
+  }
+  return [{ start: toLine(groups[first].start), end: toLine(groups[last].end) + 1, lines: blocks }];
+};
+
+// Original line ranges of the items of a bulleted list, joined like parseList joins wrapped lines
+const listRanges = (lines, body) => body.reduce((ranges, i) => {
+  if (BULLET_PATTERN.test(lines[i].trim()) || !ranges.length) ranges.push([i, i]);
+  else ranges[ranges.length - 1][1] = i;
+  return ranges;
+}, []);
+
+/**
+ * Edits for only what changed in one section, or null when the section has to
+ * be written out as a whole (see updateResumeText).
+ */
+const patchSection = (lines, chunks, current, model, part) => {
+  const own = chunks.filter((c) => c.key === part);
+  if (own.length !== 1 || own[0].inline) return null;
+  // Original indices of the non-blank body lines, the lines the parser reads
+  const body = own[0].lines.map((_, i) => own[0].start + i).slice(1).filter((i) => lines[i].trim());
+
+  if (ENTRY_PARTS[part]) {
+    return patchEntries(part, lines, (k) => body[k], body.map((i) => lines[i].trim()), current, model);
+  }
+  if (part === "skills") {
+    const after = cleanSkillGroups(model.skillGroups);
+    // Each line must be one group for the groups to map to lines
+    if (!after.length || !body.length || body.length !== current.skillGroups.length) return null;
+    return patchItems({
+      lines,
+      ranges: body.map((i) => [i, i]),
+      before: current.skillGroups,
+      after,
+      same: (a, b) => JSON.stringify(a) === JSON.stringify(b),
+      render: skillLine,
+    });
+  }
+  if (part === "certifications" || part === "awards") {
+    const after = normalize(model[part]);
+    const ranges = listRanges(lines, body);
+    // Inline lists ("AWS SAA | PMP") have no line per item
+    if (!after.length || !body.some((i) => BULLET_PATTERN.test(lines[i].trim())) || ranges.length !== current[part].length) return null;
+    return patchItems({ lines, ranges, before: current[part], after, same: (a, b) => a === b, render: (item, marker) => `${marker}${item}` });
+  }
+  return null;
+};
+
+/**
+ * Writes a form edit into the resume text, leaving the rest untouched. Only the
+ * changed field, entry, bullet or list item is rewritten where possible (see
+ * above); otherwise the edited part is rewritten as a whole: repeated sections
+ * of the same kind are merged into the first one (the model already merges
+ * them), and a rewritten header also absorbs a separate Contact section.
+ * @param {string} text - Current resume text.
+ * @param {object} model - Structured resume holding the edited values.
+ * @param {string} part - "header" or a RESUME_SECTIONS key.
+ * @returns {string} The updated resume text.
+ */
+export const updateResumeText = (text, model, part) => {
+  const source = text || "";
+  const lines = source.split(/\r?\n/);
+  const chunks = splitChunks(lines);
+  const current = parseResume(source);
+  const edits = part === "header" ? patchHeader(lines, chunks, current, model) : patchSection(lines, chunks, current, model, part);
+  if (edits) {
+    // From the bottom up, so the line indices of the remaining edits stay valid
+    [...edits].sort((a, b) => b.start - a.start).forEach((edit) => lines.splice(edit.start, edit.end - edit.start, ...edit.lines));
+    return lines.join("\n");
+  }
+
+  const body = part === "header" ? serializeHeader(model) : serializeSection(part, model);
+  let written = false;
+
+  const out = chunks.flatMap((chunk, i) => {
+    const isLast = i === chunks.length - 1;
+    if (part === "header" && chunk.key === "contact") return [];
+    if (chunk.key !== part) return chunk.lines;
+    if (written) return [];
+    written = true;
+    if (part !== "header" && body.length === 0) return [];
+    const head = part === "header" ? body : [chunk.headingLine, ...body];
+    return isLast ? head : [...head, ""];
+  });
+
+  if (!written && body.length > 0) {
+    while (out.length && !out[out.length - 1].trim()) out.pop();
+    out.push("", DEFAULT_HEADINGS[part] || part, ...body);
+  }
+
+  const result = out.join("\n").replace(/\n+$/, "");
+  return /\n$/.test(source) ? `${result}\n` : result;
+};
@@ -0,0 +1,101 @@
+// ResumeSerializer.test.js
+
+import { parseResume } from "./ResumeParser";
+import { updateResumeText, serializeSection } from "./ResumeSerializer";
+
+const RESUME = [
+  "Jane Doe",
+  "Backend Engineer",
+  "jane.doe@example.com | +1 555 123 4567 | linkedin.com/in/janedoe",
+  "",
+  "Summary",
+  "Backend engineer who likes boring, reliable systems.",
+  "",
+  "Experience",
+  "Software Engineer | Acme Corp | Berlin | Jan 2020 - Present",
+  "- Built a billing service in Go",
+  "* Cut deploy time by 40%",
+  "",
+  "Data Analyst | Globex | 2017 - 2019",
+  "- Automated weekly reports",
+  "",
+  "Education",
+  "B.Sc. Computer Science | State University | 2013 - 2017",
+  "",
+  "Skills",
+  "- Backend: Go, Python, PostgreSQL",
+  "- Cloud: AWS, Docker",
+  "",
+  "Certifications",
+  "- AWS Solutions Architect",
+].join("\n");
+
+// The model as the form edits it: a deep copy of what the parser read
+const editableModel = (text) => JSON.parse(JSON.stringify(parseResume(text)));
+
+describe("parseResume", () => {
+  const model = parseResume(RESUME);
+
+  test("reads the header into name, headline and contact fields", () => {
+    expect(model.name).toBe("Jane Doe");
+    expect(model.headline).toBe("Backend Engineer");
+    expect(model.contact.email).toBe("jane.doe@example.com");
+    expect(model.contact.linkedin).toBe("linkedin.com/in/janedoe");
+  });
+
+  test("groups experience lines into entries with their bullets", () => {
+    expect(model.experience).toHaveLength(2);
+    expect(model.experience[0]).toMatchObject({ title: "Software Engineer", company: "Acme Corp", dates: "Jan 2020 - Present" });
+    expect(model.experience[0].bullets).toEqual(["Built a billing service in Go", "Cut deploy time by 40%"]);
+    expect(model.experience[1]).toMatchObject({ title: "Data Analyst", company: "Globex" });
+  });
+
+  test("reads skill groups and list sections", () => {
+    expect(model.skillGroups).toEqual([
+      { label: "Backend", items: ["Go", "Python", "PostgreSQL"] },
+      { label: "Cloud", items: ["AWS", "Docker"] },
+    ]);
+    expect(model.certifications).toEqual(["AWS Solutions Architect"]);
+  });
+});
+
+describe("updateResumeText round trip", () => {
+  test("an unchanged model leaves every part of the text as it was", () => {
+    ["header", "summary", "experience", "education", "skills", "certifications"].forEach((part) => {
+      expect(updateResumeText(RESUME, editableModel(RESUME), part)).toBe(RESUME);
+    });
+  });
+
+  test("an edited bullet replaces only its own line and keeps its marker", () => {
+    const model = editableModel(RESUME);
+    model.experience[0].bullets[1] = "Cut deploy time from 20 to 12 minutes";
+    const updated = updateResumeText(RESUME, model, "experience");
+    expect(updated).toBe(RESUME.replace("* Cut deploy time by 40%", "* Cut deploy time from 20 to 12 minutes"));
+    expect(parseResume(updated).experience[0].bullets[1]).toBe("Cut deploy time from 20 to 12 minutes");
+  });
+
+  test("an edited entry field is swapped in place", () => {
+    const model = editableModel(RESUME);
+    model.experience[1].company = "Initech";
+    const updated = updateResumeText(RESUME, model, "experience");
+    expect(updated).toBe(RESUME.replace("Globex", "Initech"));
+  });
+
+  test("an added entry is read back with the same fields", () => {
+    const model = editableModel(RESUME);
+    model.projects = [{ name: "Ledger CLI", subtitle: "Open source", dates: "2021", bullets: ["Parses bank exports"] }];
+    const updated = updateResumeText(RESUME, model, "projects");
+    expect(updated.startsWith(RESUME)).toBe(true);
+    expect(parseResume(updated).projects).toEqual([
+      { name: "Ledger CLI", subtitle: "Open source", dates: "2021", bullets: ["Parses bank exports"] },
+    ]);
+  });
+
+  test("serialized sections parse back into the same model", () => {
+    const model = parseResume(RESUME);
+    const text = ["Jane Doe", "", "Experience", ...serializeSection("experience", model), "", "Skills", ...serializeSection("skills", model)].join("\n");
+    const reparsed = parseResume(text);
+    expect(reparsed.experience).toEqual(model.experience);
+    expect(reparsed.skillGroups).toEqual(model.skillGroups);
+  });
+});
@@ -1,30 +1,44 @@
 // ResumeStore.js
 
+import { logAuditEvent, AUDIT_EVENTS } from "./AuditLog";
+import { hashPassword } from "./AuthClient";
+import { isCryptoAvailable, createSalt, importSecret, deriveKey, encryptJson, decryptJson, readEnvelope, LEGACY_ENVELOPE_VERSION } from "./StoreCrypto";
+
 /**
- * MOCK CLIENT-SIDE STORAGE FOR ACADEMIC PROJECT ⚠️
- * This module simulates secure storage, encryption, and the 5-day deletion
- * policy using localStorage. In a production app, a secure backend is MANDATORY.
- * Uses UTF-8 compatible Base64 functions to avoid InvalidCharacterError.
+ * CLIENT-SIDE RESUME STORAGE FOR ACADEMIC PROJECT ⚠️
+ * Resumes and job descriptions are encrypted at rest in localStorage with
+ * AES-GCM, using a key derived from the user's password (PBKDF2 with a
+ * per-user salt, see StoreCrypto.js), and deleted after 5 days of inactivity.
+ * In a production app, a secure backend is still MANDATORY.
+ *
+ * Every user has their own record (key `R_A_USER_STORE:<email>`) holding any
+ * number of named resumes, each with a history of saved versions:
+ *   { email, activeResumeId, resumes: [{ id, name, createdAt, versions: [version] }], expiry }
+ *   version = { id, savedAt, resume, jd, sectionLayout, atsScore, role }
+ * Versions are stored oldest first; the newest one is the resume's current state.
+ * Other per-user data that must follow the same encryption and expiry (the
+ * chatbot's conversations, see ChatStore.js) lives in named sections of the
+ * same record, read and written with readStoreSection / writeStoreSection.
+ *
+ * unlockResumeStore must succeed before anything can be read or saved: it
+ * derives the key from the store secret made at login (createStoreSecret) and
+ * decrypts the record into memory. Reads are then served
+ * from memory, and every change is re-encrypted and written in the background
+ * (writes for a user are queued, so they land in order).
  */
 const STORAGE_KEY = 'R_A_USER_STORE';
+// Single shared Base64 blob written by earlier versions of the app; migrated on unlock
+const LEGACY_STORAGE_KEY = 'R_A_USER_STORE';
 const EXPIRY_DAYS = 5; 
+const MAX_VERSIONS_PER_RESUME = 25;
+const DEFAULT_RESUME_NAME = 'My Resume';
 
-// --- UTF-8 Safe Mock Encryption/Decryption Helpers (Simulation) ---
+// Unlocked users: email -> { key, salt, record, pending }
+const sessions = new Map();
 
-// Encodes UTF-8 string to a Base64-compatible string
-const mockEncrypt = (data) => {
-  const jsonString = JSON.stringify(data);
-  // FIX: Safely convert UTF-8 JSON string to Latin1-compatible string for btoa()
-  const encoder = new TextEncoder();
-  const bytes = encoder.encode(jsonString);
-  const latin1String = Array.from(bytes)
-    .map(byte => String.fromCharCode(byte))
-    .join('');
-    
-  return btoa(latin1String);
-};
+// --- Legacy Base64 Records (read only, for migration) ---
 
-// Decodes Base64 string back to original UTF-8 string
+// Decodes a Base64 record written before encryption existed
 const mockDecrypt = (data) => {
   try {
     const latin1String = atob(data);
@@ -40,57 +54,437 @@ const mockDecrypt = (data) => {
   }
 };
 
+// --- PER-USER RECORD HELPERS ---
+
+const userKey = (userEmail) => `${STORAGE_KEY}:${userEmail.toLowerCase()}`;
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+const expiryFromNow = () => Date.now() + (EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+const createVersion = ({ resume, jd = "", sectionLayout = null, atsScore = null, role = null }) => ({
+  id: newId('v'),
+  savedAt: Date.now(),
+  resume,
+  jd,
+  sectionLayout,
+  atsScore,
+  role,
+});
+
+const createResumeEntry = (name, versions = []) => ({
+  id: newId('r'),
+  name: name || DEFAULT_RESUME_NAME,
+  createdAt: Date.now(),
+  versions,
+});
+
+const latestVersion = (entry) => entry.versions[entry.versions.length - 1] || null;
+
+// Turns the pre-versioning global Base64 blob into this user's record (only if it was theirs)
+const migrateLegacyRecord = (userEmail) => {
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!legacy) return null;
+  const data = mockDecrypt(legacy);
+  if (!data || data.email !== userEmail) return null;
+  const entry = createResumeEntry(DEFAULT_RESUME_NAME, [
+    { ...createVersion({ resume: data.resume, jd: data.jd, sectionLayout: data.sectionLayout || null }), savedAt: data.timestamp || Date.now() },
+  ]);
+  return { email: userEmail, activeResumeId: entry.id, resumes: [entry], expiry: data.expiry || expiryFromNow() };
+};
+
+// Re-encrypts the user's record and writes it, after any write still in flight
+const persist = (userEmail) => {
+  const session = sessions.get(userEmail);
+  session.pending = session.pending
+    .then(async () => {
+      if (!session.record) return;
+      localStorage.setItem(userKey(userEmail), await encryptJson(session.key, session.salt, session.record));
+    })
+    .catch((err) => console.error("[ResumeStore] Encrypted write failed.", err));
+  return session.pending;
+};
+
+// The user's decrypted record, applying the 5-day expiry policy. Null when there is none or the store is locked.
+const readRecord = (userEmail) => {
+  const record = userEmail ? sessions.get(userEmail)?.record : null;
+  if (!record || record.email !== userEmail) return null;
+  if (Date.now() > record.expiry) {
+    console.warn(`[ResumeStore] Data for ${userEmail} has EXPIRED. Deleting now.`);
+    deleteResumeData(userEmail, "expired");
+    return null;
+  }
+  return record;
+};
+
+// Keeps the record in memory, resets the 5-day inactivity clock and writes it encrypted.
+// Refused (returns null) while the user's store is locked, so a wrong key can never overwrite their data.
+const writeRecord = (record) => {
+  const session = sessions.get(record.email);
+  if (!session) {
+    console.error(`[ResumeStore] Store for ${record.email} is locked. Nothing was saved.`);
+    return null;
+  }
+  record.expiry = expiryFromNow();
+  session.record = record;
+  persist(record.email);
+  return record;
+};
+
+/**
+ * Turns the password typed at login into the secret the store is unlocked with.
+ * Only non-extractable key material is kept. The store is keyed from the
+ * password itself, never from the hash the auth backend receives.
+ * @param {string} password - In clear text, as typed.
+ * @returns {Promise<{ material: CryptoKey, legacyMaterial: CryptoKey }>} legacyMaterial
+ *   only opens records encrypted by earlier versions with the password hash, to re-encrypt them.
+ */
+export const createStoreSecret = async (password) => ({
+  material: await importSecret(password),
+  legacyMaterial: await importSecret(await hashPassword(password)),
+});
+
+/**
+ * Derives the user's key and decrypts their stored record into memory.
+ * Old Base64 records (per-user or the legacy global one) and records keyed
+ * with the password hash are re-encrypted on the spot. Must resolve to "ok"
+ * before the other functions read or save.
+ * @param {string} userEmail
+ * @param {{ material: CryptoKey, legacyMaterial: CryptoKey }|null} storeSecret - From createStoreSecret.
+ * @returns {Promise<"ok"|"wrong-key"|"needs-password"|"no-key">} "wrong-key" when the
+ *   stored data does not decrypt with this password (it is left untouched);
+ *   "needs-password" when there is no store secret (a session restored after a
+ *   reload, since the secret is never stored); "no-key" when WebCrypto is unavailable.
+ */
+export const unlockResumeStore = async (userEmail, storeSecret) => {
+  sessions.delete(userEmail);
+  if (!userEmail || !isCryptoAvailable()) return "no-key";
+  if (!storeSecret) return "needs-password";
+
+  const stored = localStorage.getItem(userKey(userEmail));
+  const envelope = stored ? readEnvelope(stored) : null;
+
+  if (envelope) {
+    // Version 2 records were keyed with the password hash: decrypted with it once, then re-encrypted
+    const hashKeyed = envelope.v === LEGACY_ENVELOPE_VERSION;
+    const key = await deriveKey(hashKeyed ? storeSecret.legacyMaterial : storeSecret.material, envelope.salt);
+    let record;
+    try {
+      record = await decryptJson(key, envelope);
+    } catch (err) {
+      console.warn(`[ResumeStore] Stored data for ${userEmail} could not be decrypted with this password.`);
+      logAuditEvent(AUDIT_EVENTS.DECRYPTION_FAILURE, userEmail, { reason: "wrong key" });
+      return "wrong-key";
+    }
+    if (!hashKeyed) {
+      sessions.set(userEmail, { key, salt: envelope.salt, record, pending: Promise.resolve() });
+      return "ok";
+    }
+    const salt = createSalt();
+    sessions.set(userEmail, { key: await deriveKey(storeSecret.material, salt), salt, record, pending: Promise.resolve() });
+    await persist(userEmail);
+    console.log(`[ResumeStore] Re-encrypted the data of ${userEmail} with a key derived from the password instead of its hash.`);
+    return "ok";
+  }
+
+  // Nothing encrypted yet: start fresh, or migrate a Base64 record
+  const salt = createSalt();
+  const key = await deriveKey(storeSecret.material, salt);
+  const legacy = stored ? mockDecrypt(stored) : migrateLegacyRecord(userEmail);
+  const record = legacy && legacy.email === userEmail ? legacy : null;
+  sessions.set(userEmail, { key, salt, record, pending: Promise.resolve() });
+  if (record) {
+    await persist(userEmail);
+    if (!stored) localStorage.removeItem(LEGACY_STORAGE_KEY);
+    console.log(`[ResumeStore] Migrated the Base64 resume record of ${userEmail} to AES-GCM encryption.`);
+  }
+  return "ok";
+};
+
+/**
+ * Forgets the user's key and decrypted data (on logout). Waits for queued writes.
+ * @param {string} userEmail
+ * @returns {Promise<void>}
+ */
+export const lockResumeStore = async (userEmail) => {
+  const session = sessions.get(userEmail);
+  if (!session) return;
+  sessions.delete(userEmail);
+  await session.pending;
+};
+
+/**
+ * Resolves once every queued encrypted write for the user has been stored.
+ * @param {string} userEmail
+ * @returns {Promise<void>}
+ */
+export const flushResumeStore = (userEmail) => sessions.get(userEmail)?.pending || Promise.resolve();
+
+/**
+ * Re-encrypts the user's stored data under a new password (after a password
+ * change), unlocking it with the current password first if needed.
+ * @param {string} userEmail
+ * @param {object} currentSecret - createStoreSecret of the current password.
+ * @param {object} newSecret - createStoreSecret of the new password.
+ * @returns {Promise<"ok"|"wrong-key"|"needs-password"|"no-key">} Anything but "ok"
+ *   leaves the stored data encrypted as it was (see unlockResumeStore).
+ */
+export const rekeyResumeStore = async (userEmail, currentSecret, newSecret) => {
+  if (!sessions.has(userEmail)) {
+    const status = await unlockResumeStore(userEmail, currentSecret);
+    if (status !== "ok") return status;
+  }
+  const session = sessions.get(userEmail);
+  const salt = createSalt();
+  const key = await deriveKey(newSecret.material, salt);
+  // Writes already queued still land, now encrypted with the new key
+  session.key = key;
+  session.salt = salt;
+  await persist(userEmail);
+  console.log(`[ResumeStore] Re-encrypted the data of ${userEmail} with the new password.`);
+  return "ok";
+};
+
+const emptyRecord = (userEmail) => ({ email: userEmail, activeResumeId: null, resumes: [], expiry: expiryFromNow() });
+
+const findResume = (record, resumeId) => record?.resumes.find((r) => r.id === resumeId) || null;
+
 // --- CORE FUNCTIONALITY ---
 
 /**
- * Stores user and "encrypted" resume data. Resets the 5-day inactivity clock.
+ * Saves the resume as the newest version of the active resume (creating one if
+ * the user has none). Resets the 5-day inactivity clock. When the text and JD
+ * match the newest version, that version is updated in place (score, role,
+ * section layout) instead of adding a duplicate to the history.
  * @param {string} userEmail - The email of the logged-in user.
  * @param {string} resumeText - Resume content.
  * @param {string} [jdContent=""] - JD content.
+ * @param {object} [sectionLayout=null] - Section order, visibility and headings chosen in the section manager.
+ * @param {{ atsScore?: number, role?: string }} [meta] - Analysis result to keep with the version.
  */
-export const storeResumeData = (userEmail, resumeText, jdContent = "") => {
+export const storeResumeData = (userEmail, resumeText, jdContent = "", sectionLayout = null, meta = {}) => {
   if (!userEmail || !resumeText) return;
 
-  const expiryTimestamp = Date.now() + (EXPIRY_DAYS * 24 * 60 * 60 * 1000); 
+  const record = readRecord(userEmail) || emptyRecord(userEmail);
+  let entry = findResume(record, record.activeResumeId);
+  if (!entry) {
+    entry = createResumeEntry(DEFAULT_RESUME_NAME);
+    record.resumes.push(entry);
+    record.activeResumeId = entry.id;
+  }
+
+  const latest = latestVersion(entry);
+  if (latest && latest.resume === resumeText && latest.jd === jdContent) {
+    latest.sectionLayout = sectionLayout;
+    if (meta.atsScore !== undefined) latest.atsScore = meta.atsScore;
+    if (meta.role !== undefined) latest.role = meta.role;
+  } else {
+    entry.versions.push(createVersion({ resume: resumeText, jd: jdContent, sectionLayout, ...meta }));
+    entry.versions = entry.versions.slice(-MAX_VERSIONS_PER_RESUME);
+  }
 
-  
-  const dataToEncrypt = {
-    email: userEmail,
-    resume: resumeText,
-    jd: jdContent,
-    timestamp: Date.now(),
-    expiry: expiryTimestamp, 
-  };
-  const encryptedData = mockEncrypt(dataToEncrypt);
-  localStorage.setItem(STORAGE_KEY, encryptedData);
-  console.log(`[ResumeStore] Data for ${userEmail} stored. Mock Expiry: ${new Date(expiryTimestamp).toLocaleDateString()}.`);
-  console.log(`[LOG:ACTIVITY] User ${userEmail} saved resume content.`);
+  if (!writeRecord(record)) return;
+  console.log(`[ResumeStore] Data for ${userEmail} stored in "${entry.name}" (${entry.versions.length} version(s)). Mock Expiry: ${new Date(record.expiry).toLocaleDateString()}.`);
+  logAuditEvent(AUDIT_EVENTS.DATA_SAVED, userEmail, { resume: entry.name, versions: entry.versions.length, atsScore: meta.atsScore ?? null });
 };
 
 /**
- * Retrieves and "decrypts" resume data, checking the 5-day expiry policy.
- * If data is expired, it is deleted and returns null.
+ * Retrieves the newest version of the active resume from the unlocked store,
+ * checking the 5-day expiry policy. If data is expired, it is deleted and returns null.
  * @param {string} userEmail - The user's email.
+ * @returns {{ resume: string, jd: string, sectionLayout: object|null, resumeId: string, name: string }|null}
  */
 export const getResumeData = (userEmail) => {
-  const encryptedData = localStorage.getItem(STORAGE_KEY);
-  if (!encryptedData) return null;
-  const decryptedData = mockDecrypt(encryptedData);
-  if (!decryptedData || decryptedData.email !== userEmail) return null;
-  if (Date.now() > decryptedData.expiry) {
-    console.warn(`[ResumeStore] Data for ${userEmail} has EXPIRED. Deleting now.`);
-    deleteResumeData(); 
-    return null;
-  }
+  const record = readRecord(userEmail);
+  const entry = findResume(record, record?.activeResumeId);
+  const latest = entry && latestVersion(entry);
+  if (!latest) return null;
   return { 
-      resume: decryptedData.resume, 
-      jd: decryptedData.jd 
+      resume: latest.resume, 
+      jd: latest.jd,
+      sectionLayout: latest.sectionLayout || null,
+      resumeId: entry.id,
+      name: entry.name,
   };
 };
 
-// Deletes the stored resume data (called on Logout or Expiry).
-export const deleteResumeData = () => {
-    localStorage.removeItem(STORAGE_KEY);
+/**
+ * The user's named resumes, for the resume picker.
+ * @param {string} userEmail
+ * @returns {{ activeResumeId: string|null, resumes: Array<{ id: string, name: string, versionCount: number, updatedAt: number|null, atsScore: number|null }> }}
+ */
+export const listResumes = (userEmail) => {
+  const record = readRecord(userEmail);
+  if (!record) return { activeResumeId: null, resumes: [] };
+  return {
+    activeResumeId: record.activeResumeId,
+    resumes: record.resumes.map((r) => {
+      const latest = latestVersion(r);
+      return { id: r.id, name: r.name, versionCount: r.versions.length, updatedAt: latest?.savedAt ?? null, atsScore: latest?.atsScore ?? null };
+    }),
+  };
+};
+
+/**
+ * Creates a named resume and makes it the active one.
+ * @param {string} userEmail
+ * @param {string} name - e.g. "Backend", "Data".
+ * @param {{ resume: string, jd?: string, sectionLayout?: object }} [initial] - Content of its first version.
+ * @returns {string|null} The new resume id, or null while the store is locked.
+ */
+export const createResume = (userEmail, name, initial = null) => {
+  const record = readRecord(userEmail) || emptyRecord(userEmail);
+  const entry = createResumeEntry(name.trim(), initial?.resume ? [createVersion(initial)] : []);
+  record.resumes.push(entry);
+  record.activeResumeId = entry.id;
+  if (!writeRecord(record)) return null;
+  logAuditEvent(AUDIT_EVENTS.RESUME_CREATED, userEmail, { resume: entry.name });
+  return entry.id;
+};
+
+/**
+ * Switches the active resume (the one new saves go to).
+ * @param {string} userEmail
+ * @param {string} resumeId
+ */
+export const setActiveResume = (userEmail, resumeId) => {
+  const record = readRecord(userEmail);
+  if (!findResume(record, resumeId)) return;
+  record.activeResumeId = resumeId;
+  writeRecord(record);
+};
+
+/**
+ * @param {string} userEmail
+ * @param {string} resumeId
+ * @param {string} name
+ */
+export const renameResume = (userEmail, resumeId, name) => {
+  const record = readRecord(userEmail);
+  const entry = findResume(record, resumeId);
+  if (!entry || !name.trim()) return;
+  entry.name = name.trim();
+  writeRecord(record);
+};
+
+/**
+ * Deletes one named resume and its history. Another resume becomes active.
+ * @param {string} userEmail
+ * @param {string} resumeId
+ */
+export const deleteResume = (userEmail, resumeId) => {
+  const record = readRecord(userEmail);
+  const entry = findResume(record, resumeId);
+  if (!entry) return;
+  record.resumes = record.resumes.filter((r) => r.id !== resumeId);
+  if (record.activeResumeId === resumeId) record.activeResumeId = record.resumes[0]?.id || null;
+  writeRecord(record);
+  logAuditEvent(AUDIT_EVENTS.RESUME_DELETED, userEmail, { resume: entry.name });
+};
+
+/**
+ * Saved versions of a resume, newest first.
+ * @param {string} userEmail
+ * @param {string} resumeId
+ * @returns {Array<{ id: string, savedAt: number, resume: string, jd: string, sectionLayout: object|null, atsScore: number|null, role: string|null }>}
+ */
+export const getVersions = (userEmail, resumeId) => {
+  const entry = findResume(readRecord(userEmail), resumeId);
+  return entry ? [...entry.versions].reverse() : [];
+};
+
+/**
+ * Restores an old version by saving a copy of it as the newest version, so the
+ * history is never rewritten.
+ * @param {string} userEmail
+ * @param {string} resumeId
+ * @param {string} versionId
+ * @returns {{ resume: string, jd: string, sectionLayout: object|null }|null} The restored content.
+ */
+export const restoreVersion = (userEmail, resumeId, versionId) => {
+  const record = readRecord(userEmail);
+  const entry = findResume(record, resumeId);
+  const version = entry?.versions.find((v) => v.id === versionId);
+  if (!version) return null;
+  entry.versions.push({ ...version, id: newId('v'), savedAt: Date.now() });
+  entry.versions = entry.versions.slice(-MAX_VERSIONS_PER_RESUME);
+  record.activeResumeId = entry.id;
+  writeRecord(record);
+  logAuditEvent(AUDIT_EVENTS.VERSION_RESTORED, userEmail, { resume: entry.name, savedAt: new Date(version.savedAt).toISOString() });
+  return { resume: version.resume, jd: version.jd, sectionLayout: version.sectionLayout || null };
+};
+
+/**
+ * One named section of the user's record (e.g. "chats"), kept next to their resumes.
+ * @param {string} userEmail
+ * @param {string} section
+ * @returns {*} Null when the section is empty or the store is locked.
+ */
+export const readStoreSection = (userEmail, section) => readRecord(userEmail)?.[section] ?? null;
+
+/**
+ * Replaces one named section of the user's record, with the encryption and the
+ * 5-day inactivity clock of the resumes.
+ * @param {string} userEmail
+ * @param {string} section
+ * @param {*} value
+ * @returns {boolean} False while the store is locked.
+ */
+export const writeStoreSection = (userEmail, section, value) => {
+  if (!userEmail) return false;
+  const record = readRecord(userEmail) || emptyRecord(userEmail);
+  record[section] = value;
+  return Boolean(writeRecord(record));
+};
+
+/**
+ * A copy of the user's whole decrypted record, for the "My Data" export.
+ * @param {string} userEmail
+ * @returns {object|null} Null when there is nothing stored or the store is locked.
+ */
+export const exportResumeRecord = (userEmail) => {
+  const record = readRecord(userEmail);
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+};
+
+/**
+ * Replaces the user's resumes with a record from an exported data bundle.
+ * Other sections of the stored record (conversations) are kept.
+ * @param {string} userEmail
+ * @param {object} record - Record in the shape exportResumeRecord returns.
+ * @returns {boolean} False when the record is malformed or the store is locked.
+ */
+export const importResumeRecord = (userEmail, record) => {
+  const valid = record && Array.isArray(record.resumes) && record.resumes.every((r) => (
+    r && typeof r.id === 'string' && Array.isArray(r.versions) && r.versions.every((v) => v && typeof v.resume === 'string')
+  ));
+  if (!userEmail || !valid) return false;
+  const resumes = record.resumes.map((r) => ({
+    id: r.id,
+    name: r.name || DEFAULT_RESUME_NAME,
+    createdAt: r.createdAt || Date.now(),
+    versions: r.versions.slice(-MAX_VERSIONS_PER_RESUME).map((v) => ({ ...createVersion(v), id: v.id || newId('v'), savedAt: v.savedAt || Date.now() })),
+  }));
+  const activeResumeId = findResume({ resumes }, record.activeResumeId) ? record.activeResumeId : resumes[0]?.id || null;
+  if (!writeRecord({ ...readRecord(userEmail), email: userEmail, activeResumeId, resumes, expiry: expiryFromNow() })) return false;
+  return true;
+};
+
+/**
+ * Deletes all of the user's stored resumes and conversations (called on expiry or when the user asks).
+ * The removal is queued behind any encrypted write still in flight, so that write cannot bring the record back.
+ * @param {string} userEmail
+ * @param {"expired"|"user request"} [reason="user request"] - Recorded in the audit log.
+ * @returns {Promise<void>} Resolves once the stored record is gone.
+ */
+export const deleteResumeData = (userEmail, reason = "user request") => {
+    if (!userEmail) return Promise.resolve();
+    localStorage.removeItem(userKey(userEmail));
+    // Keeps the key, so the user can start saving again right away
+    const session = sessions.get(userEmail);
+    if (session) {
+        session.record = null;
+        session.pending = session.pending.then(() => localStorage.removeItem(userKey(userEmail)));
+    }
     console.log("[ResumeStore] Resume data deleted.");
-    console.log(`[LOG:SECURITY] Resume data deleted due to session clear or expiry.`); 
+    logAuditEvent(reason === "expired" ? AUDIT_EVENTS.DATA_EXPIRED : AUDIT_EVENTS.DATA_DELETED, userEmail, { reason });
+    return session ? session.pending : Promise.resolve();
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+// ResumeTemplates.js
+
+import { layoutSections } from "./ResumeParser";
+
+/**
+ * DECLARATIVE RESUME TEMPLATES
+ * Every template is plain data: layout (one column, or two with a sidebar),
+ * color palette, typography, section order, header style and bullet glyph.
+ * The live preview, the text PDF and the DOCX export all read these
+ * definitions, so a new template only needs a new entry here.
+ *
+ * The user's section choices (order, hidden sections, renamed headings) are
+ * layered on top when the template is resolved; the resume text is never
+ * changed.
+ *
+ * Font keys refer to FONT_OPTIONS, which maps each choice to a CSS stack, a
+ * jsPDF built-in font and a font that ships with Word and LibreOffice.
+ * Bullets must be WinAnsi characters so the PDF's built-in fonts can draw them.
+ */
+
+export const FONT_OPTIONS = {
+  sans: { label: "Sans-serif", css: "'Roboto', 'Helvetica', 'Arial', sans-serif", pdf: "helvetica", docx: "Arial" },
+  serif: { label: "Serif", css: "'Times New Roman', 'Georgia', serif", pdf: "times", docx: "Times New Roman" },
+  mono: { label: "Monospace", css: "'Courier New', 'Consolas', monospace", pdf: "courier", docx: "Courier New" },
+};
+
+export const RESUME_TEMPLATES = {
+  modern: {
+    id: "modern",
+    name: "Modern Professional",
+    layout: { columns: 1, sidebarSections: [], sidebarSide: "right" },
+    palette: { accent: "#4f46e5", text: "#1f2937", muted: "#6b7280", background: "#ffffff", sidebar: "#ffffff" },
+    typography: { body: "sans", headings: "sans", headingCase: "upper" },
+    sectionOrder: [],
+    header: { align: "left", avatar: true, style: "rule" },
+    bullet: "•",
+  },
+  minimal: {
+    id: "minimal",
+    name: "Minimal Clean",
+    layout: { columns: 1, sidebarSections: [], sidebarSide: "right" },
+    palette: { accent: "#1f2937", text: "#1f2937", muted: "#6b7280", background: "#ffffff", sidebar: "#ffffff" },
+    typography: { body: "sans", headings: "sans", headingCase: "upper" },
+    sectionOrder: [],
+    header: { align: "left", avatar: false, style: "plain" },
+    bullet: "•",
+  },
+  classic: {
+    id: "classic",
+    name: "Classic Standard",
+    layout: { columns: 1, sidebarSections: [], sidebarSide: "right" },
+    palette: { accent: "#333333", text: "#222222", muted: "#555555", background: "#fffdfa", sidebar: "#fffdfa" },
+    typography: { body: "serif", headings: "serif", headingCase: "upper" },
+    sectionOrder: ["summary", "experience", "education", "skills", "projects", "certifications", "awards"],
+    header: { align: "center", avatar: false, style: "rule" },
+    bullet: "—",
+  },
+  technical: {
+    id: "technical",
+    name: "Technical",
+    layout: { columns: 2, sidebarSections: ["skills", "certifications", "education"], sidebarSide: "right" },
+    palette: { accent: "#0f766e", text: "#111827", muted: "#4b5563", background: "#ffffff", sidebar: "#f0fdfa" },
+    typography: { body: "sans", headings: "mono", headingCase: "upper" },
+    sectionOrder: ["summary", "skills", "experience", "projects", "education", "certifications", "awards"],
+    header: { align: "left", avatar: false, style: "rule" },
+    bullet: "›",
+  },
+  creative: {
+    id: "creative",
+    name: "Creative",
+    layout: { columns: 2, sidebarSections: ["skills", "awards", "certifications"], sidebarSide: "left" },
+    palette: { accent: "#db2777", text: "#1f2937", muted: "#6b7280", background: "#ffffff", sidebar: "#fdf2f8" },
+    typography: { body: "sans", headings: "serif", headingCase: "title" },
+    sectionOrder: ["summary", "projects", "experience", "skills", "education", "awards", "certifications"],
+    header: { align: "left", avatar: true, style: "band" },
+    bullet: "•",
+  },
+};
+
+export const DEFAULT_TEMPLATE_ID = "modern";
+
+// No custom order (the template decides), nothing hidden, original headings
+export const DEFAULT_SECTION_LAYOUT = { order: [], hidden: [], headings: {} };
+
+/**
+ * A template with the user's tweaks and section choices applied.
+ * @param {string} templateId - Key of RESUME_TEMPLATES (falls back to the default).
+ * @param {{ accent?: string, font?: string }} [overrides] - Accent color and body font key (FONT_OPTIONS).
+ * @param {{ order: string[], hidden: string[], headings: Object<string, string> }} [sectionLayout]
+ *   Section keys in the user's order, keys left out of the export and custom heading text per key.
+ */
+export const resolveTemplate = (templateId, overrides = {}, sectionLayout = DEFAULT_SECTION_LAYOUT) => {
+  const template = RESUME_TEMPLATES[templateId] || RESUME_TEMPLATES[DEFAULT_TEMPLATE_ID];
+  const { order = [], hidden = [], headings = {} } = sectionLayout || {};
+  return {
+    ...template,
+    palette: { ...template.palette, ...(overrides.accent ? { accent: overrides.accent } : {}) },
+    typography: { ...template.typography, ...(FONT_OPTIONS[overrides.font] ? { body: overrides.font } : {}) },
+    sectionOrder: order.length > 0 ? order : template.sectionOrder,
+    hiddenSections: hidden,
+    sectionHeadings: headings,
+  };
+};
+
+/**
+ * Font details for one of the template's typography slots.
+ * @param {ReturnType<typeof resolveTemplate>} template
+ * @param {"body"|"headings"} slot
+ */
+export const templateFont = (template, slot) => FONT_OPTIONS[template.typography[slot]] || FONT_OPTIONS.sans;
+
+/**
+ * Heading text in the template's heading case.
+ * @param {string} heading
+ * @param {ReturnType<typeof resolveTemplate>} template
+ */
+export const formatHeading = (heading, template) =>
+  template.typography.headingCase === "upper"
+    ? heading.toUpperCase()
+    : heading.replace(/\w\S*/g, (w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase());
+
+/**
+ * All of the resume's sections in display order, hidden ones included, with
+ * the user's heading text applied.
+ * @param {object} model - From parseResume.
+ * @param {ReturnType<typeof resolveTemplate>} template
+ * @returns {Array<object>} Sections as returned by layoutSections.
+ */
+export const orderSections = (model, template) => {
+  const { sectionOrder, sectionHeadings = {} } = template;
+  // Keys listed in sectionOrder come first in that order, the rest keep the order of the text
+  const rank = (key) => (sectionOrder.includes(key) ? sectionOrder.indexOf(key) : sectionOrder.length);
+  return layoutSections(model)
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => rank(a.s.key) - rank(b.s.key) || a.i - b.i)
+    .map(({ s }) => (sectionHeadings[s.key]?.trim() ? { ...s, heading: sectionHeadings[s.key].trim() } : s));
+};
+
+/**
+ * The visible sections in display order, split into the main column and the
+ * sidebar (empty for one-column layouts).
+ * @param {object} model - From parseResume.
+ * @param {ReturnType<typeof resolveTemplate>} template
+ * @returns {{ main: Array<object>, sidebar: Array<object> }} Sections as returned by layoutSections.
+ */
+export const arrangeSections = (model, template) => {
+  const { layout, hiddenSections = [] } = template;
+  const sections = orderSections(model, template).filter((s) => !hiddenSections.includes(s.key));
+
+  if (layout.columns < 2) return { main: sections, sidebar: [] };
+  return {
+    main: sections.filter((s) => !layout.sidebarSections.includes(s.key)),
+    sidebar: sections.filter((s) => layout.sidebarSections.includes(s.key)),
+  };
+};
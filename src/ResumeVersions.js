@@ -0,0 +1,224 @@
+// ResumeVersions.js
+
+import React, { useEffect, useMemo, useState } from "react";
+import { listResumes, getVersions, createResume, setActiveResume, renameResume, deleteResume, restoreVersion, getResumeData, deleteResumeData } from "./ResumeStore";
+import { JOB_ROLES } from "./RoleProfiles";
+import { diffLines, summarizeDiff } from "./VersionDiff";
+
+/**
+ * SAVED RESUMES & VERSION HISTORY
+ * Named resumes per user (e.g. "Backend", "Data"), each with the versions
+ * saved by every analysis. Old versions can be restored, and any two can be
+ * compared side by side together with the ATS score each one got.
+ * Nothing is shown until the encrypted store is unlocked (`storeStatus`).
+ */
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+
+const scoreLabel = (score) => (score === null || score === undefined ? "—" : `${score}%`);
+
+function VersionDiffView({ older, newer }) {
+    const rows = useMemo(() => diffLines(older.resume, newer.resume), [older, newer]);
+    const { added, removed, changed } = summarizeDiff(rows);
+    const delta = older.atsScore !== null && newer.atsScore !== null ? newer.atsScore - older.atsScore : null;
+
+    return (
+        <div className="version-diff">
+            <div className="version-diff-head">
+                <div>
+                    <strong>{formatDate(older.savedAt)}</strong>
+                    <span className="hint"> ATS {scoreLabel(older.atsScore)}{older.role && ` · ${JOB_ROLES[older.role] || older.role}`}</span>
+                </div>
+                <div>
+                    <strong>{formatDate(newer.savedAt)}</strong>
+                    <span className="hint"> ATS {scoreLabel(newer.atsScore)}{newer.role && ` · ${JOB_ROLES[newer.role] || newer.role}`}</span>
+                    {delta !== null && delta !== 0 && (
+                        <span className={`score-delta ${delta > 0 ? "up" : "down"}`}>{delta > 0 ? `+${delta}` : delta}</span>
+                    )}
+                </div>
+            </div>
+            <p className="hint">{changed} changed, {added} added, {removed} removed line{removed === 1 ? "" : "s"}{older.jd !== newer.jd && " · the job descriptions differ too"}.</p>
+            <div className="version-diff-table" role="table">
+                {rows.map((row, i) => (
+                    <div key={i} className={`diff-row diff-${row.type}`} role="row">
+                        <div className="diff-cell" role="cell">{row.left ?? ""}</div>
+                        <div className="diff-cell" role="cell">{row.right ?? ""}</div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Shown instead of the panel while the store cannot be read
+const LOCKED_MESSAGES = {
+    "wrong-key": "Your saved resumes could not be decrypted with this password. They stay encrypted and untouched; log in with the password they were saved with to open them.",
+    "no-key": "Saved resumes are unavailable: encryption needs a secure connection (https or localhost). Analyses will not be saved.",
+    "needs-password": "Your saved resumes are encrypted with your password, which is not kept when the page reloads. Enter it to unlock them.",
+};
+
+// Asks for the password again after a reload; `onUnlock` rejects with a message when it is wrong
+function UnlockForm({ onUnlock }) {
+    const [password, setPassword] = useState("");
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!password) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await onUnlock(password);
+        } catch (err) {
+            setError(err.message);
+            setBusy(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="inline-form">
+            <input type="password" className="text-input" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password" aria-label="Password" disabled={busy} />
+            <button type="submit" className="btn primary" disabled={busy || !password}>{busy ? "Unlocking..." : "Unlock"}</button>
+            {error && <p className="hint file-error">⚠️ {error}</p>}
+        </form>
+    );
+}
+
+// `storeRevision` changes whenever the analyzer saves, which re-renders and re-reads the store
+export default function ResumeVersions({ userEmail, storeRevision, storeStatus, currentResume, onLoad, onUnlock }) {
+    // Bumped after changes made here, for the same reason
+    const [, setLocalRevision] = useState(0);
+    const [newName, setNewName] = useState("");
+    const [renaming, setRenaming] = useState(null);
+    const [compareIds, setCompareIds] = useState([]);
+
+    const { activeResumeId, resumes } = listResumes(userEmail);
+    const versions = activeResumeId ? getVersions(userEmail, activeResumeId) : [];
+
+    useEffect(() => { setCompareIds([]); }, [activeResumeId]);
+
+    const changed = () => setLocalRevision(r => r + 1);
+
+    const handleSwitch = (resumeId) => {
+        setActiveResume(userEmail, resumeId);
+        changed();
+        onLoad(getResumeData(userEmail));
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        // A new resume starts as a copy of what is on screen
+        createResume(userEmail, newName, currentResume.resume ? currentResume : null);
+        setNewName("");
+        changed();
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        renameResume(userEmail, renaming.id, renaming.name);
+        setRenaming(null);
+        changed();
+    };
+
+    const handleDelete = (resume) => {
+        if (!window.confirm(`Delete "${resume.name}" and all ${resume.versionCount} of its saved versions?`)) return;
+        deleteResume(userEmail, resume.id);
+        changed();
+        onLoad(getResumeData(userEmail));
+    };
+
+    const handleRestore = (version) => {
+        const restored = restoreVersion(userEmail, activeResumeId, version.id);
+        changed();
+        if (restored) onLoad(restored);
+    };
+
+    // Only way out when the password that encrypted the data is lost
+    const handleDeleteUnreadable = () => {
+        if (!window.confirm("Permanently delete the saved resumes you cannot decrypt? This cannot be undone.")) return;
+        deleteResumeData(userEmail);
+        onLoad(null);
+    };
+
+    const toggleCompare = (versionId) => {
+        setCompareIds(prev => (prev.includes(versionId)
+            ? prev.filter(id => id !== versionId)
+            : [...prev, versionId].slice(-2)));
+    };
+
+    // Older version on the left
+    const compared = versions.filter(v => compareIds.includes(v.id)).sort((a, b) => a.savedAt - b.savedAt);
+    const activeResume = resumes.find(r => r.id === activeResumeId);
+
+    if (storeStatus !== "ok") {
+        return (
+            <div className="card resume-versions-card">
+                <h2 className="section-title">🗂️ Saved Resumes</h2>
+                {storeStatus ? (
+                    <div className="store-locked">
+                        <p className={storeStatus === "needs-password" ? "hint" : "hint file-error"}>🔒 {LOCKED_MESSAGES[storeStatus]}</p>
+                        {storeStatus === "needs-password" && <UnlockForm onUnlock={onUnlock} />}
+                        {storeStatus === "wrong-key" && (
+                            <button type="button" className="btn secondary" onClick={handleDeleteUnreadable}>Delete unreadable data</button>
+                        )}
+                    </div>
+                ) : (
+                    <p className="hint">🔐 Unlocking your saved resumes…</p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="card resume-versions-card">
+            <h2 className="section-title">🗂️ Saved Resumes</h2>
+            <div className="resume-picker">
+                {resumes.map(r => (
+                    <div key={r.id} className={`resume-pill ${r.id === activeResumeId ? "active" : ""}`}>
+                        {renaming?.id === r.id ? (
+                            <form onSubmit={handleRename} className="inline-form">
+                                <input className="text-input" value={renaming.name} onChange={e => setRenaming({ ...renaming, name: e.target.value })} autoFocus aria-label="Resume name" />
+                                <button type="submit" className="btn secondary">Save</button>
+                            </form>
+                        ) : (
+                            <>
+                                <button type="button" className="resume-pill-name" onClick={() => handleSwitch(r.id)} title={`${r.versionCount} saved version(s)`}>
+                                    {r.name} <span className="hint">ATS {scoreLabel(r.atsScore)}</span>
+                                </button>
+                                <button type="button" className="pill-action" onClick={() => setRenaming({ id: r.id, name: r.name })} aria-label={`Rename ${r.name}`}>✎</button>
+                                <button type="button" className="pill-action" onClick={() => handleDelete(r)} aria-label={`Delete ${r.name}`}>🗑</button>
+                            </>
+                        )}
+                    </div>
+                ))}
+                <form onSubmit={handleCreate} className="inline-form">
+                    <input className="text-input" value={newName} onChange={e => setNewName(e.target.value)} placeholder='New resume, e.g. "Backend"' aria-label="New resume name" />
+                    <button type="submit" className="btn secondary" disabled={!newName.trim()}>+ Save as new</button>
+                </form>
+            </div>
+            {resumes.length === 0 && <p className="hint">Analyze a resume to save its first version.</p>}
+
+            {activeResume && versions.length > 0 && (
+                <>
+                    <h3 className="versions-title">History of "{activeResume.name}"</h3>
+                    <p className="hint">Every analysis saves a version. Tick two versions to compare them.</p>
+                    <ul className="version-list">
+                        {versions.map((v, i) => (
+                            <li key={v.id} className="version-item">
+                                <label>
+                                    <input type="checkbox" checked={compareIds.includes(v.id)} onChange={() => toggleCompare(v.id)} />
+                                    <span>{formatDate(v.savedAt)}{i === 0 && <em> (current)</em>}</span>
+                                </label>
+                                <span className="version-meta">ATS {scoreLabel(v.atsScore)}{v.role && ` · ${JOB_ROLES[v.role] || v.role}`}</span>
+                                {i > 0 && <button type="button" className="btn secondary version-restore" onClick={() => handleRestore(v)}>Restore</button>}
+                            </li>
+                        ))}
+                    </ul>
+                    {compared.length === 2 && <VersionDiffView older={compared[0]} newer={compared[1]} />}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+// RewriteAssistant.js
+
+import React, { useMemo, useState } from "react";
+import { findWeakBullets, applyRewrite } from "./BulletRewriter";
+import { generateContent, isAssistantConfigured } from "./AssistantClient";
+
+/**
+ * BULLET REWRITE ASSISTANT
+ * Lists every resume line that opens with a weak phrase together with
+ * rule-based rewrites (BulletRewriter.js, works offline). "Ask AI" adds more
+ * ideas from the chatbot backend, and is the only source of ideas for lines
+ * no rule-based rewrite fits. Applying a rewrite hands the new resume text
+ * back to the analyzer, which re-scores it.
+ */
+
+const REWRITE_INSTRUCTION = `You rewrite single resume bullet points.
+Return exactly 3 alternative versions of the bullet, one per line, with no numbering, quotes or commentary.
+Start each with a strong past-tense action verb, keep every fact from the original and do not invent numbers.
+Keep each under 25 words.`;
+
+const AI_REWRITE_COUNT = 3;
+
+// One rewrite per non-empty line, without list markers or quotes
+const parseAiRewrites = (reply) =>
+    reply.split("\n")
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").replace(/^["“]|["”]$/g, "").trim())
+        .filter(Boolean)
+        .slice(0, AI_REWRITE_COUNT);
+
+export default function RewriteAssistant({ resumeText, roleName, onApply }) {
+    const weakBullets = useMemo(() => findWeakBullets(resumeText), [resumeText]);
+    // AI results per bullet text: { loading, rewrites, error }
+    const [aiResults, setAiResults] = useState({});
+
+    const askAi = async (bullet) => {
+        setAiResults(prev => ({ ...prev, [bullet]: { loading: true } }));
+        try {
+            const reply = await generateContent({
+                systemInstruction: REWRITE_INSTRUCTION,
+                messages: [{ role: "user", text: `Target role: ${roleName}\nBullet: ${bullet}` }],
+            });
+            setAiResults(prev => ({ ...prev, [bullet]: { rewrites: parseAiRewrites(reply) } }));
+        } catch (err) {
+            console.error("AI rewrite failed:", err.message);
+            setAiResults(prev => ({ ...prev, [bullet]: { error: "AI suggestions are unavailable right now. The rule-based suggestions work offline." } }));
+        }
+    };
+
+    if (weakBullets.length === 0) {
+        return (
+            <div className="card mt-1 rewrite-card">
+                <h2 className="section-title">✍️ Bullet Rewrite Assistant</h2>
+                <p className="hint">No bullets open with a weak phrase. Nice work!</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="card mt-1 rewrite-card">
+            <h2 className="section-title">✍️ Bullet Rewrite Assistant</h2>
+            <p className="hint">{weakBullets.length} line{weakBullets.length > 1 ? "s open" : " opens"} with a weak phrase. Click a rewrite to apply it; the resume is re-analyzed right away.</p>
+            <ul className="rewrite-list">
+                {weakBullets.map(wb => {
+                    const ai = aiResults[wb.bullet] || {};
+                    return (
+                        <li key={`${wb.lineIndex}:${wb.bullet}`} className="rewrite-item">
+                            <div className="rewrite-original">
+                                <span className="mark-weak">{wb.bullet.slice(0, wb.openerLength)}</span>
+                                {wb.bullet.slice(wb.openerLength)}
+                            </div>
+                            {wb.rewrites.length === 0 && !ai.rewrites && (
+                                <p className="hint">No rule-based rewrite keeps this line's meaning.{isAssistantConfigured() ? " Ask the AI for ideas." : ""}</p>
+                            )}
+                            <div className="rewrite-options">
+                                {[...wb.rewrites, ...(ai.rewrites || [])].map((r, i) => (
+                                    <button key={i} type="button" className={`rewrite-option ${i >= wb.rewrites.length ? "ai" : ""}`} onClick={() => onApply(applyRewrite(resumeText, wb, r))}>
+                                        {r}
+                                    </button>
+                                ))}
+                            </div>
+                            {isAssistantConfigured() && !ai.rewrites && (
+                                <button type="button" className="btn rewrite-ai-btn" onClick={() => askAi(wb.bullet)} disabled={ai.loading}>
+                                    {ai.loading ? "Asking AI..." : wb.rewrites.length ? "✨ Ask AI for more" : "✨ Ask AI"}
+                                </button>
+                            )}
+                            {ai.error && <p className="hint file-error">{ai.error}</p>}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
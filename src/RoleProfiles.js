@@ -0,0 +1,86 @@
+// RoleProfiles.js
+
+/**
+ * ROLE-SPECIFIC SCORING PROFILES
+ * Each target role in JOB_ROLES has its own scoring profile: which resume
+ * sections (and contact links) it requires, which are merely nice to have,
+ * how the 100 points are split between structure, keywords, formatting and
+ * quantified impact,
+ * and which role keywords earn bonus points. `expectations` is shown to the
+ * user in the feedback list.
+ */
+
+export const JOB_ROLES = {
+  software_engineer: "Software Engineer",
+  data_analyst: "Data Scientist/Analyst",
+  product_manager: "Product Manager",
+  consultant: "Consultant",
+  sales_marketing: "Sales & Marketing",
+  other: "Other/General Role",
+};
+
+// Points per bonus keyword found, capped by each profile's `maxBonus`
+export const BONUS_POINTS_PER_KEYWORD = 1;
+
+export const ROLE_PROFILES = {
+  software_engineer: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education", "projects"],
+    optionalSections: ["certifications"],
+    requiredLinks: ["github"],
+    weights: { structure: 30, keywords: 30, formatting: 25, impact: 15 },
+    bonusKeywords: ["git", "testing", "ci/cd", "docker", "rest api", "cloud computing", "aws", "microservices", "sql", "agile", "system design"],
+    maxBonus: 5,
+    expectations: "Engineering recruiters look for a Projects section and a GitHub link that shows real code, plus everyday tooling such as Git, testing, CI/CD and cloud platforms.",
+  },
+  data_analyst: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education", "projects"],
+    optionalSections: ["certifications"],
+    requiredLinks: [],
+    weights: { structure: 25, keywords: 35, formatting: 25, impact: 15 },
+    bonusKeywords: ["sql", "python", "excel", "tableau", "power bi", "statistics", "dashboard", "etl", "visualization", "pandas", "a/b testing", "machine learning"],
+    maxBonus: 5,
+    expectations: "Data roles are keyword-heavy: name your query, BI and statistics tools explicitly and back them with analysis projects or dashboards.",
+  },
+  product_manager: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education"],
+    optionalSections: ["projects", "certifications", "awards"],
+    requiredLinks: ["linkedin"],
+    weights: { structure: 35, keywords: 25, formatting: 20, impact: 20 },
+    bonusKeywords: ["roadmap", "stakeholder", "user research", "kpi", "metrics", "launch", "go-to-market", "prioritization", "agile", "scrum", "a/b testing", "cross-functional"],
+    maxBonus: 5,
+    expectations: "Product roles expect a clear summary, outcome-driven experience (launches, KPIs, roadmaps) and a LinkedIn profile; side projects are a plus.",
+  },
+  consultant: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education", "certifications"],
+    optionalSections: ["projects", "awards"],
+    requiredLinks: ["linkedin"],
+    weights: { structure: 35, keywords: 25, formatting: 25, impact: 15 },
+    bonusKeywords: ["client", "stakeholder", "strategy", "presentation", "process improvement", "business case", "change management", "due diligence", "roi", "workshop"],
+    maxBonus: 5,
+    expectations: "Consulting firms screen for certifications, client-facing experience and a LinkedIn profile; show strategy and process-improvement work.",
+  },
+  sales_marketing: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education"],
+    optionalSections: ["awards", "certifications"],
+    requiredLinks: ["linkedin"],
+    weights: { structure: 30, keywords: 25, formatting: 25, impact: 20 },
+    bonusKeywords: ["quota", "revenue", "pipeline", "crm", "salesforce", "lead generation", "campaign", "seo", "conversion", "b2b", "negotiation", "market research"],
+    maxBonus: 5,
+    expectations: "Sales & marketing resumes are judged on punchy, results-first wording (quota, revenue, pipeline), a LinkedIn profile and any awards or rankings.",
+  },
+  other: {
+    requiredSections: ["contact", "summary", "experience", "skills", "education", "projects"],
+    optionalSections: ["certifications", "awards"],
+    requiredLinks: [],
+    weights: { structure: 35, keywords: 25, formatting: 25, impact: 15 },
+    bonusKeywords: [],
+    maxBonus: 0,
+    expectations: "General roles are scored on the six standard sections, keyword alignment with the job description and strong wording.",
+  },
+};
+
+/**
+ * Returns the scoring profile for a JOB_ROLES key (falls back to "other").
+ * @param {string} roleKey
+ */
+export const getRoleProfile = (roleKey) => ROLE_PROFILES[roleKey] || ROLE_PROFILES.other;
@@ -0,0 +1,91 @@
+// SectionManager.js
+
+import React, { useState } from "react";
+import { DEFAULT_SECTION_LAYOUT } from "./ResumeTemplates";
+
+/**
+ * SECTION MANAGER
+ * Reorder (drag and drop, or the arrow buttons), hide and rename the resume's
+ * sections. The choices are a layout on top of the text: the preview, the PDF
+ * and DOCX exports and the stored resume follow them, the textarea is never
+ * rewritten.
+ */
+
+// Moves the item at `from` to position `to`
+const moveItem = (keys, from, to) => {
+    const next = [...keys];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    return next;
+};
+
+export default function SectionManager({ sections, sectionLayout, twoColumn, onChange }) {
+    const [dragIndex, setDragIndex] = useState(null);
+    const keys = sections.map(s => s.key);
+    const { hidden, headings } = sectionLayout;
+
+    // Any reorder pins the full current order, so later template switches keep it
+    const reorder = (from, to) => {
+        if (to < 0 || to >= keys.length || from === to) return;
+        onChange({ ...sectionLayout, order: moveItem(keys, from, to) });
+    };
+
+    const toggleVisible = (key) => {
+        const nextHidden = hidden.includes(key) ? hidden.filter(k => k !== key) : [...hidden, key];
+        onChange({ ...sectionLayout, hidden: nextHidden });
+    };
+
+    // An empty heading falls back to the one in the text
+    const rename = (key, heading) => {
+        onChange({ ...sectionLayout, headings: { ...headings, [key]: heading } });
+    };
+
+    if (sections.length === 0) return null;
+
+    return (
+        <div className="card mt-1 section-manager-card">
+            <h2 className="section-title">🧩 Arrange Sections</h2>
+            <p className="hint">
+                Drag sections to reorder them, untick a section to leave it out of the preview and downloads, or type a new heading.
+                Your resume text is not changed.{twoColumn && " In two-column templates, sidebar sections keep their order within the sidebar."}
+            </p>
+            <ul className="section-manager-list">
+                {sections.map((s, i) => {
+                    const isHidden = hidden.includes(s.key);
+                    return (
+                        <li
+                            key={s.key}
+                            className={`section-manager-item ${isHidden ? "is-hidden" : ""} ${dragIndex === i ? "is-dragging" : ""}`}
+                            draggable
+                            onDragStart={e => { setDragIndex(i); e.dataTransfer.effectAllowed = "move"; }}
+                            onDragOver={e => e.preventDefault()}
+                            onDrop={e => { e.preventDefault(); if (dragIndex !== null) reorder(dragIndex, i); setDragIndex(null); }}
+                            onDragEnd={() => setDragIndex(null)}
+                        >
+                            <span className="drag-handle" aria-hidden="true">⠿</span>
+                            <input
+                                type="checkbox"
+                                checked={!isHidden}
+                                onChange={() => toggleVisible(s.key)}
+                                aria-label={`Show ${s.heading}`}
+                            />
+                            <input
+                                type="text"
+                                className="text-input section-heading-input"
+                                value={headings[s.key] ?? s.heading}
+                                placeholder={s.heading}
+                                onChange={e => rename(s.key, e.target.value)}
+                                aria-label={`Heading for ${s.heading}`}
+                            />
+                            <button type="button" className="btn section-move-btn" onClick={() => reorder(i, i - 1)} disabled={i === 0} aria-label="Move up">▲</button>
+                            <button type="button" className="btn section-move-btn" onClick={() => reorder(i, i + 1)} disabled={i === sections.length - 1} aria-label="Move down">▼</button>
+                        </li>
+                    );
+                })}
+            </ul>
+            <button type="button" className="btn secondary mt-05" onClick={() => onChange(DEFAULT_SECTION_LAYOUT)}>
+                Reset sections
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+// SessionManager.js
+
+/**
+ * LOGIN SESSIONS
+ * A session is { token, email, expiresAt, remember }: the opaque token from
+ * the auth backend and when it expires. It is kept in sessionStorage (this tab
+ * only) or, with "remember me", in localStorage. The password hash is never
+ * written to browser storage; it only lives in memory after a login. A loaded
+ * session is unverified: the app checks its token with the auth adapter
+ * (verifySession) before restoring it.
+ *
+ * Tabs share the time of the last user activity (for the idle timeout) and
+ * a logout signal through localStorage, so logging out, or timing out, in one
+ * tab logs out every tab.
+ */
+
+const SESSION_KEY = "RA_SESSION";
+// Written by older versions of the app, together with the password hash
+const LEGACY_SESSION_KEY = "RA_SESSION_AUTH";
+const ACTIVITY_KEY = "RA_LAST_ACTIVITY";
+const LOGOUT_SIGNAL_KEY = "RA_LOGOUT_SIGNAL";
+
+export const IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+// How long the "still there?" warning is shown before the idle logout
+export const IDLE_WARNING_MS = 60 * 1000;
+
+const parse = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Removes the stored session from both storages.
+ */
+export const clearSession = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(SESSION_KEY);
+};
+
+/**
+ * The stored session, if it exists and has not expired.
+ * @returns {{ token: string, email: string, expiresAt: number, remember: boolean }|null}
+ */
+export const loadSession = () => {
+  // Old sessions held the password hash: drop them, the user logs in again
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+
+  const session = parse(sessionStorage.getItem(SESSION_KEY)) || parse(localStorage.getItem(SESSION_KEY));
+  if (!session?.token || !session.email) return null;
+  if (Date.now() >= session.expiresAt) {
+    clearSession();
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Stores a new session and starts its idle clock.
+ * @param {{ token: string, email: string, expiresAt: number }} session
+ * @param {boolean} remember - Keep it across browser restarts (localStorage).
+ * @returns {{ token: string, email: string, expiresAt: number, remember: boolean }}
+ */
+export const saveSession = ({ token, email, expiresAt }, remember) => {
+  const session = { token, email, expiresAt, remember: Boolean(remember) };
+  clearSession();
+  (remember ? localStorage : sessionStorage).setItem(SESSION_KEY, JSON.stringify(session));
+  touchActivity();
+  return session;
+};
+
+/**
+ * Records user activity now (shared by all tabs).
+ */
+export const touchActivity = () => localStorage.setItem(ACTIVITY_KEY, String(Date.now()));
+
+/**
+ * Milliseconds since the last user activity in any tab.
+ * @returns {number}
+ */
+export const getIdleTime = () => Date.now() - (Number(localStorage.getItem(ACTIVITY_KEY)) || Date.now());
+
+/**
+ * Tells the other tabs to log out.
+ */
+export const broadcastLogout = () => localStorage.setItem(LOGOUT_SIGNAL_KEY, String(Date.now()));
+
+/**
+ * Calls the listener when another tab logs out.
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribes.
+ */
+export const onLogoutBroadcast = (listener) => {
+  // "storage" events only fire in the other tabs, never in the one that wrote
+  const handleStorage = (e) => {
+    if (e.key === LOGOUT_SIGNAL_KEY) listener();
+  };
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
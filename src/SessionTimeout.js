@@ -0,0 +1,88 @@
+// SessionTimeout.js
+
+import React, { useEffect, useRef, useState } from "react";
+import { IDLE_TIMEOUT_MS, IDLE_WARNING_MS, getIdleTime, touchActivity } from "./SessionManager";
+
+/**
+ * IDLE TIMEOUT & SESSION EXPIRY
+ * Watches for user activity while logged in. After IDLE_TIMEOUT_MS without any
+ * (in every open tab) the user is logged out; during the last IDLE_WARNING_MS a
+ * dialog counts down and offers to stay logged in. The session is also ended
+ * when its token expires.
+ */
+
+const ACTIVITY_EVENTS = ["mousedown", "keydown", "scroll", "touchstart", "mousemove"];
+// Activity is written to localStorage at most this often
+const ACTIVITY_THROTTLE_MS = 5000;
+
+/**
+ * @param {{ active: boolean, expiresAt: number|null, onTimeout: (reason: "idle"|"expired") => void }} options
+ * @returns {{ secondsLeft: number|null, stayLoggedIn: () => void }} `secondsLeft` is set while the warning should show.
+ */
+export function useIdleTimeout({ active, expiresAt, onTimeout }) {
+    const [secondsLeft, setSecondsLeft] = useState(null);
+    const warningRef = useRef(false);
+    const onTimeoutRef = useRef(onTimeout);
+    onTimeoutRef.current = onTimeout;
+
+    useEffect(() => {
+        if (!active) return;
+        let lastWrite = 0;
+        // Once the warning is up, only "Stay logged in" counts as activity
+        const handleActivity = () => {
+            if (warningRef.current || Date.now() - lastWrite < ACTIVITY_THROTTLE_MS) return;
+            lastWrite = Date.now();
+            touchActivity();
+        };
+        ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+
+        const timer = setInterval(() => {
+            if (expiresAt && Date.now() >= expiresAt) {
+                onTimeoutRef.current("expired");
+                return;
+            }
+            const remaining = IDLE_TIMEOUT_MS - getIdleTime();
+            if (remaining <= 0) {
+                onTimeoutRef.current("idle");
+            } else if (remaining <= IDLE_WARNING_MS) {
+                warningRef.current = true;
+                setSecondsLeft(Math.ceil(remaining / 1000));
+            } else if (warningRef.current) {
+                // Activity in another tab ended the warning
+                warningRef.current = false;
+                setSecondsLeft(null);
+            }
+        }, 1000);
+
+        return () => {
+            ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, handleActivity));
+            clearInterval(timer);
+            warningRef.current = false;
+            setSecondsLeft(null);
+        };
+    }, [active, expiresAt]);
+
+    const stayLoggedIn = () => {
+        touchActivity();
+        warningRef.current = false;
+        setSecondsLeft(null);
+    };
+
+    return { secondsLeft, stayLoggedIn };
+}
+
+export default function SessionTimeoutDialog({ secondsLeft, onStay, onLogout }) {
+    if (secondsLeft === null) return null;
+    return (
+        <div className="session-dialog-backdrop">
+            <div className="card session-dialog" role="alertdialog" aria-modal="true" aria-labelledby="session-dialog-title">
+                <h2 id="session-dialog-title" className="section-title">⏳ Still there?</h2>
+                <p>You have been inactive for a while. For your security you will be logged out in <strong>{secondsLeft} s</strong>.</p>
+                <div className="session-dialog-actions">
+                    <button type="button" className="btn primary" onClick={onStay} autoFocus>Stay logged in</button>
+                    <button type="button" className="btn secondary" onClick={onLogout}>Log out now</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+// StoreCrypto.js
+
+/**
+ * AT-REST ENCRYPTION FOR LOCAL STORAGE
+ * AES-GCM (256-bit) with a key derived by PBKDF2-SHA-256 from the user's
+ * password and a random per-user salt, all through the browser's WebCrypto
+ * API. The key never comes from the hash sent to the auth backend as the login
+ * credential: whoever sees that hash must not be able to decrypt the store.
+ * The password is imported as non-extractable key material at login, so only
+ * CryptoKeys (never the password itself) live in memory.
+ *
+ * Stored records are JSON envelopes: { v, salt, iv, data } with Base64 fields.
+ * Version 2 envelopes were keyed with the password hash; they are still read
+ * (see LEGACY_ENVELOPE_VERSION) so they can be re-encrypted.
+ * AES-GCM authenticates the ciphertext, so a wrong key (or tampered data)
+ * makes decryption throw instead of returning garbage.
+ */
+
+export const ENVELOPE_VERSION = 3;
+export const LEGACY_ENVELOPE_VERSION = 2;
+// OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const bytesToBase64 = (bytes) => btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(""));
+const base64ToBytes = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+/**
+ * Whether WebCrypto is usable here (it requires a secure context: https or localhost).
+ * @returns {boolean}
+ */
+export const isCryptoAvailable = () => Boolean(window.crypto?.subtle);
+
+/**
+ * A new random salt, Base64-encoded for storage next to the ciphertext.
+ * @returns {string}
+ */
+export const createSalt = () => bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+
+/**
+ * Imports a secret as PBKDF2 key material that cannot be read back.
+ * @param {string} secret - The user's password, as typed.
+ * @returns {Promise<CryptoKey>}
+ */
+export const importSecret = (secret) => crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveKey"]);
+
+/**
+ * Derives the AES-GCM key for one user.
+ * @param {CryptoKey} material - From importSecret.
+ * @param {string} salt - Base64 salt from createSalt.
+ * @returns {Promise<CryptoKey>}
+ */
+export const deriveKey = async (material, salt) => {
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: base64ToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+/**
+ * Encrypts a JSON-serializable value into a storable envelope string.
+ * @param {CryptoKey} key
+ * @param {string} salt - Stored in the envelope so the key can be derived again.
+ * @param {*} value
+ * @returns {Promise<string>}
+ */
+export const encryptJson = async (key, salt, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+  return JSON.stringify({ v: ENVELOPE_VERSION, salt, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) });
+};
+
+/**
+ * Parses a stored string as an encryption envelope.
+ * @param {string} stored
+ * @returns {{ v: number, salt: string, iv: string, data: string }|null} Null for anything else (e.g. old Base64 records).
+ */
+export const readEnvelope = (stored) => {
+  try {
+    const envelope = JSON.parse(stored);
+    return [ENVELOPE_VERSION, LEGACY_ENVELOPE_VERSION].includes(envelope?.v) && envelope.salt && envelope.iv && envelope.data ? envelope : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Decrypts an envelope back into its value.
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} envelope
+ * @returns {Promise<*>}
+ * @throws {Error} When the key is wrong or the data was modified.
+ */
+export const decryptJson = async (key, envelope) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (e) {
+    throw new Error("Stored data could not be decrypted with this key.");
+  }
+};
@@ -0,0 +1,135 @@
+// UserData.js
+
+import { exportResumeRecord, importResumeRecord, deleteResumeData, lockResumeStore } from "./ResumeStore";
+import { exportChatThreads, importChatThreads } from "./ChatStore";
+import { downloadBlob } from "./DocxExport";
+import { logAuditEvent, removeAuditEvents, AUDIT_EVENTS } from "./AuditLog";
+import { clearLoginFailures } from "./LoginThrottle";
+import { clearMockAuthData } from "./MockAuthAdapter";
+import { resetAssistantSettings } from "./AssistantClient";
+
+/**
+ * "MY DATA": EXPORT, IMPORT AND DELETION
+ * Everything the app holds for an account, as one JSON bundle the user can
+ * download and load again in another browser:
+ *   { format, version, exportedAt, email, resumes, chats, analysis, settings }
+ * `resumes` is the decrypted resume store record (every named resume and its
+ * versions, with their JDs, ATS scores and section layouts) and `chats` the
+ * saved chatbot conversations (ChatStore.js). Version 1 bundles held a single
+ * conversation as `chatHistory`; it is imported as one thread. The bundle is
+ * plain JSON on purpose: it is the user's own copy of their data.
+ */
+
+const BUNDLE_FORMAT = "dynamic-resume-analyzer/user-data";
+const BUNDLE_VERSION = 2;
+
+/**
+ * Collects the account's data into an export bundle.
+ * @param {string} userEmail
+ * @param {{ analysis?: object|null, settings?: object }} current - State that only lives in the open app.
+ * @returns {object}
+ */
+export const buildDataBundle = (userEmail, { analysis = null, settings = {} } = {}) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  email: userEmail,
+  resumes: exportResumeRecord(userEmail),
+  chats: exportChatThreads(userEmail),
+  analysis,
+  settings,
+});
+
+/**
+ * Downloads a bundle as a .json file.
+ * @param {object} bundle - From buildDataBundle.
+ */
+export const downloadDataBundle = (bundle) => {
+  const date = bundle.exportedAt.slice(0, 10);
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+  downloadBlob(blob, `resume-analyzer-data-${date}.json`);
+  logAuditEvent(AUDIT_EVENTS.DATA_EXPORTED, bundle.email, { format: "json", what: "data bundle" });
+};
+
+/**
+ * Parses and checks an uploaded bundle.
+ * @param {string} text - Contents of the .json file.
+ * @param {string} userEmail - The logged-in account; bundles of other accounts are refused.
+ * @returns {object} The bundle.
+ * @throws {Error} When the file is not a bundle of this account.
+ */
+export const parseDataBundle = (text, userEmail) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error("This file is not valid JSON.");
+  }
+  if (bundle?.format !== BUNDLE_FORMAT) throw new Error("This file is not a Dynamic Resume Analyzer data export.");
+  if (bundle.version > BUNDLE_VERSION) throw new Error("This export was made by a newer version of the app.");
+  if (String(bundle.email).toLowerCase() !== userEmail.toLowerCase()) {
+    throw new Error(`This export belongs to ${bundle.email}. Log in with that account to import it.`);
+  }
+  return bundle;
+};
+
+// The saved conversations of a bundle; a version 1 chat history becomes a single thread
+const bundleChats = (bundle) => {
+  if (bundle.chats) return bundle.chats;
+  const history = Array.isArray(bundle.chatHistory) ? bundle.chatHistory : [];
+  if (!history.some((m) => m?.type === "user")) return null;
+  const exportedAt = Date.parse(bundle.exportedAt) || Date.now();
+  return { threads: [{ createdAt: exportedAt, updatedAt: exportedAt, messages: history }] };
+};
+
+/**
+ * Stores the resumes and conversations of a parsed bundle for the account.
+ * The caller applies the rest (settings), which lives in the app's state.
+ * @param {string} userEmail
+ * @param {object} bundle - From parseDataBundle.
+ * @throws {Error} When the resumes or conversations cannot be stored.
+ */
+export const importDataBundle = (userEmail, bundle) => {
+  if (bundle.resumes && !importResumeRecord(userEmail, bundle.resumes)) {
+    throw new Error("The saved resumes in this export could not be imported.");
+  }
+  const chats = bundleChats(bundle);
+  if (chats && !importChatThreads(userEmail, chats)) {
+    throw new Error("The saved conversations in this export could not be imported.");
+  }
+  logAuditEvent(AUDIT_EVENTS.DATA_IMPORTED, userEmail, {
+    exportedAt: bundle.exportedAt,
+    resumes: bundle.resumes?.resumes.length ?? 0,
+    conversations: chats?.threads.length ?? 0,
+  });
+};
+
+/**
+ * Removes every trace of the account from this browser: the resume store
+ * (after its last queued write), any other per-user localStorage entry, the
+ * user's failed-login counter, their mock-backend sessions and reset codes,
+ * their assistant settings and API key (other users' are kept), their audit events
+ * and the whole sessionStorage (it only holds this tab's login session). A
+ * legacy record of the user is already migrated away when the store is
+ * unlocked at login. The deletion itself is then recorded as the only
+ * remaining audit event.
+ * @param {string} userEmail
+ * @returns {Promise<void>}
+ */
+export const deleteAllUserData = async (userEmail) => {
+  // Forget the key and wait for writes in flight, so none of them lands after the deletion
+  await lockResumeStore(userEmail);
+  await deleteResumeData(userEmail);
+  clearLoginFailures(userEmail.toLowerCase());
+  clearMockAuthData(userEmail);
+  resetAssistantSettings(userEmail);
+
+  const suffix = `:${userEmail.toLowerCase()}`;
+  Object.keys(localStorage)
+    .filter((key) => key.toLowerCase().endsWith(suffix))
+    .forEach((key) => localStorage.removeItem(key));
+
+  sessionStorage.clear();
+  removeAuditEvents(userEmail);
+  logAuditEvent(AUDIT_EVENTS.ACCOUNT_DATA_DELETED, userEmail);
+};
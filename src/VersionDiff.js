@@ -0,0 +1,69 @@
+// VersionDiff.js
+
+/**
+ * LINE DIFF FOR RESUME VERSIONS
+ * Compares two resume texts line by line (longest common subsequence) and
+ * returns rows for a side-by-side view. A run of removed lines followed by
+ * added lines is paired up as "changed" rows, so an edited bullet sits next to
+ * its old wording.
+ */
+
+const toLines = (text) => (text || "").split(/\r?\n/).map((l) => l.trimEnd());
+
+/**
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: "same"|"removed"|"added"|"changed", left: string|null, right: string|null }>}
+ */
+export const diffLines = (oldText, newText) => {
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k++) rows.push({ type: "changed", left: removed[k], right: added[k] });
+    removed.slice(paired).forEach((line) => rows.push({ type: "removed", left: line, right: null }));
+    added.slice(paired).forEach((line) => rows.push({ type: "added", left: null, right: line }));
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: "same", left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+  return rows;
+};
+
+/**
+ * Counts of changed lines, for a one-line summary.
+ * @param {ReturnType<typeof diffLines>} rows
+ * @returns {{ added: number, removed: number, changed: number }}
+ */
+export const summarizeDiff = (rows) => ({
+  added: rows.filter((r) => r.type === "added").length,
+  removed: rows.filter((r) => r.type === "removed").length,
+  changed: rows.filter((r) => r.type === "changed").length,
+});
@@ -0,0 +1,79 @@
+// Vocabulary.js
+
+/**
+ * WEAK PHRASES & STRONG ACTION VERBS
+ * The wording lists behind the Vocabulary score, plus helpers that locate weak
+ * phrases in the resume text and suggest stronger verbs for each of them.
+ */
+
+export const WEAK_WORDS = [
+  "responsible for", "managed", "worked on", "assisted", "duties included", "had to", "developed a", "was involved in", "my main task was",
+  "i was tasked with", "involved in", "helped out with", "supported", "contributed to", "participated in", "ran", "maintained", "utilized",
+  "gained experience in", "handled", "oversaw", "dealt with", "processed"
+];
+
+export const STRONG_ACTION_VERBS = [
+  "Spearheaded", "Drove", "Orchestrated", "Led", "Initiated",
+  "Optimized", "Engineered", "Developed", "Designed", "Executed", "Increased", "Reduced",
+  "Built", "Managed", "Created", "Implemented", "Analyzed", "Streamlined", "Pioneered"
+];
+
+// Strong verbs that usually fit in place of a weak phrase (all taken from STRONG_ACTION_VERBS)
+const REPLACEMENT_VERBS = {
+  "responsible for": ["Led", "Managed", "Orchestrated"],
+  "managed": ["Led", "Orchestrated", "Spearheaded"],
+  "worked on": ["Developed", "Built", "Engineered"],
+  "assisted": ["Executed", "Implemented", "Initiated"],
+  "duties included": ["Led", "Executed", "Managed"],
+  "had to": ["Executed", "Implemented", "Drove"],
+  "developed a": ["Designed", "Engineered", "Built"],
+  "was involved in": ["Executed", "Implemented", "Drove"],
+  "my main task was": ["Led", "Drove", "Executed"],
+  "i was tasked with": ["Led", "Initiated", "Executed"],
+  "involved in": ["Executed", "Implemented", "Drove"],
+  "helped out with": ["Implemented", "Executed", "Streamlined"],
+  "supported": ["Drove", "Implemented", "Streamlined"],
+  "contributed to": ["Drove", "Built", "Implemented"],
+  "participated in": ["Executed", "Initiated", "Drove"],
+  "ran": ["Led", "Orchestrated", "Executed"],
+  "maintained": ["Optimized", "Streamlined", "Engineered"],
+  "utilized": ["Implemented", "Engineered", "Analyzed"],
+  "gained experience in": ["Developed", "Executed", "Implemented"],
+  "handled": ["Managed", "Executed", "Streamlined"],
+  "oversaw": ["Led", "Orchestrated", "Spearheaded"],
+  "dealt with": ["Streamlined", "Executed", "Managed"],
+  "processed": ["Streamlined", "Optimized", "Analyzed"],
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest phrases first so "was involved in" wins over "involved in"
+const WEAK_PATTERN = new RegExp(
+  `\\b(${[...WEAK_WORDS].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})\\b`,
+  "gi"
+);
+
+/**
+ * Finds every weak phrase in a text (non-overlapping, longest match first).
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, phrase: string }>} `phrase` is the WEAK_WORDS entry.
+ */
+export const findWeakPhrases = (text) =>
+  [...(text || "").matchAll(WEAK_PATTERN)].map((m) => ({
+    start: m.index,
+    end: m.index + m[0].length,
+    phrase: m[0].toLowerCase(),
+  }));
+
+/**
+ * Strong action verbs to use instead of a weak phrase, best fit first.
+ * @param {string} phrase - A WEAK_WORDS entry (any case).
+ * @param {number} [count=5]
+ * @returns {string[]}
+ */
+export const suggestStrongVerbs = (phrase, count = 5) => {
+  const weak = phrase.toLowerCase();
+  const preferred = REPLACEMENT_VERBS[weak] || [];
+  // "managed" is on both lists, so never suggest the phrase itself
+  return [...new Set([...preferred, ...STRONG_ACTION_VERBS])].filter((v) => v.toLowerCase() !== weak).slice(0, count);
+};